@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { getMeeting } from '../../../../lib/backend-adapter.js';
 import { extractActionItems } from '../../../../lib/llm-service.js';
+import { getCachedOutput, cachedOutputFields } from '../../../../lib/schema.js';
 
 export async function GET(request, { params }) {
     try {
@@ -11,16 +12,17 @@ export async function GET(request, { params }) {
             return NextResponse.json({ error: 'Meeting not found' }, { status: 404 });
         }
 
-        // Optimzied: Check Cache First
-        if (meeting.actionItems) {
-            return NextResponse.json(meeting.actionItems);
+        // Optimzied: Check Cache First (unless it was generated by an older prompt)
+        const cached = getCachedOutput(meeting, 'actionItems');
+        if (cached) {
+            return NextResponse.json(cached);
         }
 
         const result = await extractActionItems(meeting);
 
         // Cache the result to DB
         const { updateMeeting } = await import('../../../../lib/backend-adapter.js');
-        await updateMeeting(id, { actionItems: result });
+        await updateMeeting(id, cachedOutputFields('actionItems', result));
 
         return NextResponse.json(result);
     } catch (error) {
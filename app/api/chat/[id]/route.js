@@ -1,16 +1,25 @@
 import { NextResponse } from 'next/server';
 import { loadChunksForMeeting } from '../../../../lib/backend-adapter.js';
-import { chatWithMeeting, searchChunks } from '../../../../lib/llm-service.js';
-
+import { chatWithMeeting } from '../../../../lib/llm-service.js';
+import { parseChatRequest, retrieveChatContext, chatSources, NO_CONTEXT_ANSWER } from '../../../../lib/meeting-chat.js';
+
+/**
+ * POST /api/chat/:id
+ * Body: { question, chatHistory?, unsupported?, speakerMode? }
+ * The answer carries [n] markers that match `citations` (chunk id and time range). Every
+ * cited chunk is checked against the retrieved context; `claims` and `verification` report
+ * which sentences are backed. unsupported: "flag" (default) or "drop" uncited sentences.
+ * Names in the question are matched to speaker labels (`matchedSpeakers`), and their chunks
+ * are ranked first (speakerMode "boost", default) or used exclusively ("filter").
+ * Follow-ups ("and who owns that?") are rewritten into a standalone query from chatHistory
+ * before retrieval; `queryRewrite` shows the query that was searched.
+ * POST /api/chat/:id/stream answers the same request as server-sent events.
+ */
 export async function POST(request, { params }) {
     try {
         const { id } = params;
-        const body = await request.json();
-        const { question, chatHistory = [] } = body;
-
-        if (!question) {
-            return NextResponse.json({ error: 'Question is required' }, { status: 400 });
-        }
+        const chatRequest = parseChatRequest(await request.json());
+        const { question, chatHistory, unsupported } = chatRequest;
 
         // Get all chunks for this meeting
         const allChunks = await loadChunksForMeeting(id);
@@ -19,30 +28,32 @@ export async function POST(request, { params }) {
             return NextResponse.json({ error: 'No chunks found for this meeting' }, { status: 404 });
         }
 
-        // Index search (Semantic RAG)
-        const { searchChunksSemantic } = await import('../../../../lib/llm-service.js');
-        const relevantChunks = await searchChunksSemantic(question, id);
+        const { chunks: relevantChunks, matchedSpeakers, queryRewrite } = await retrieveChatContext(id, chatRequest);
 
         if (relevantChunks.length === 0) {
             return NextResponse.json({
                 question,
-                answer: "I couldn't find relevant information in this meeting transcript to answer your question.",
+                answer: NO_CONTEXT_ANSWER,
+                citations: [],
+                matchedSpeakers,
+                queryRewrite,
                 timestamp: new Date().toISOString()
             });
         }
 
         // Get answer from LLM
-        const result = await chatWithMeeting(question, relevantChunks, chatHistory);
+        const result = await chatWithMeeting(question, relevantChunks, chatHistory, { unsupported, matchedSpeakers });
+        result.matchedSpeakers = matchedSpeakers;
+        result.queryRewrite = queryRewrite;
 
         // Attach source chunks for RAG transparency
-        result.sources = relevantChunks.map(c => ({
-            text: c.text,
-            startSec: c.startSec,
-            endSec: c.endSec
-        }));
+        result.sources = chatSources(relevantChunks);
 
         return NextResponse.json(result);
     } catch (error) {
+        if (error.message.startsWith('INVALID_PARAM: ')) {
+            return NextResponse.json({ error: error.message.slice('INVALID_PARAM: '.length) }, { status: 400 });
+        }
         console.error('Chat error:', error);
         return NextResponse.json(
             { error: error.message || 'Failed to process chat' },
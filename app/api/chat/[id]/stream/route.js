@@ -0,0 +1,92 @@
+import { NextResponse } from 'next/server';
+import { loadChunksForMeeting } from '../../../../../lib/backend-adapter.js';
+import { streamChatWithMeeting } from '../../../../../lib/llm-service.js';
+import { parseChatRequest, retrieveChatContext, chatSources, NO_CONTEXT_ANSWER } from '../../../../../lib/meeting-chat.js';
+
+/**
+ * POST /api/chat/:id/stream
+ * Same body as POST /api/chat/:id; the answer arrives as server-sent events:
+ *   event: sources  { sources, matchedSpeakers, queryRewrite }   once, before any text
+ *   event: token    { text }                                       pieces of the answer as the model writes
+ *   event: done     { answer, citations, claims, verification, generatedBy, timestamp, ... }
+ *   event: error    { error }                                      the answer failed midway
+ * Tokens carry the model's raw [C1] labels; `done.answer` is the checked answer with [n]
+ * markers matching `citations`, and should replace the streamed text.
+ * Bad requests and unknown meetings are answered with JSON errors (400/404), as on /api/chat/:id.
+ */
+export async function POST(request, { params }) {
+    let chatRequest;
+    try {
+        chatRequest = parseChatRequest(await request.json());
+    } catch (error) {
+        if (error.message.startsWith('INVALID_PARAM: ')) {
+            return NextResponse.json({ error: error.message.slice('INVALID_PARAM: '.length) }, { status: 400 });
+        }
+        return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+    }
+
+    try {
+        const { id } = params;
+        const allChunks = await loadChunksForMeeting(id);
+        if (!allChunks || allChunks.length === 0) {
+            return NextResponse.json({ error: 'No chunks found for this meeting' }, { status: 404 });
+        }
+
+        const { question, chatHistory, unsupported } = chatRequest;
+        const { chunks, matchedSpeakers, queryRewrite } = await retrieveChatContext(id, chatRequest);
+        const encoder = new TextEncoder();
+        let closed = false;
+
+        const stream = new ReadableStream({
+            async start(controller) {
+                const send = (event, data) => {
+                    if (!closed) controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+                };
+
+                try {
+                    send('sources', { sources: chatSources(chunks), matchedSpeakers, queryRewrite });
+
+                    if (chunks.length === 0) {
+                        send('token', { text: NO_CONTEXT_ANSWER });
+                        send('done', { question, answer: NO_CONTEXT_ANSWER, citations: [], matchedSpeakers, queryRewrite, timestamp: new Date().toISOString() });
+                        return;
+                    }
+
+                    for await (const event of streamChatWithMeeting(question, chunks, chatHistory, { unsupported, matchedSpeakers })) {
+                        // The client went away: stop reading from the model
+                        if (closed) break;
+                        if (event.type === 'token') send('token', { text: event.text });
+                        else send('done', { ...event.result, matchedSpeakers, queryRewrite });
+                    }
+                } catch (error) {
+                    console.error('Chat stream error:', error);
+                    send('error', { error: error.message || 'Failed to process chat' });
+                } finally {
+                    if (!closed) {
+                        closed = true;
+                        controller.close();
+                    }
+                }
+            },
+            cancel() {
+                closed = true;
+            }
+        });
+
+        return new Response(stream, {
+            headers: {
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                // Keeps nginx-style proxies from buffering the whole answer
+                'X-Accel-Buffering': 'no'
+            }
+        });
+    } catch (error) {
+        console.error('Chat error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to process chat' },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { askAcrossMeetings } from '../../../lib/cross-meeting-chat.js';
+import { UNSUPPORTED_MODES } from '../../../lib/citations.js';
+
+/**
+ * POST /api/chat
+ * Body: { question, chatHistory?, scope?, unsupported? }
+ * scope: "all" (default) or { meetingIds?: string[], from?: date, to?: date, tag?: string }.
+ * Answers from every meeting in scope; each source and citation names its meeting.
+ * unsupported: "flag" (default) or "drop" answer sentences that cite no context chunk.
+ * Follow-ups are searched as a standalone query rewritten from chatHistory (`queryRewrite`).
+ */
+export async function POST(request) {
+    try {
+        const { question, chatHistory = [], scope = 'all', unsupported = 'flag' } = await request.json();
+
+        if (!question) {
+            return NextResponse.json({ error: 'Question is required' }, { status: 400 });
+        }
+        if (!Array.isArray(chatHistory)) {
+            return NextResponse.json({ error: 'chatHistory must be an array of messages' }, { status: 400 });
+        }
+        if (!UNSUPPORTED_MODES.includes(unsupported)) {
+            return NextResponse.json({ error: `unsupported must be one of ${UNSUPPORTED_MODES.join(', ')}` }, { status: 400 });
+        }
+
+        const result = await askAcrossMeetings(question, scope, chatHistory, { unsupported });
+        return NextResponse.json(result);
+    } catch (error) {
+        if (error.message.startsWith('INVALID_PARAM: ')) {
+            return NextResponse.json({ error: error.message.slice('INVALID_PARAM: '.length) }, { status: 400 });
+        }
+        if (error.message === 'NO_MEETINGS_IN_SCOPE') {
+            return NextResponse.json({ error: 'No meetings match this scope' }, { status: 404 });
+        }
+        console.error('Cross-meeting chat error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to process chat' },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { exportArchive } from '../../../lib/data-export.js';
+
+/**
+ * GET /api/export
+ * Downloads a ZIP of all meetings, chunks, cached AI output, versions, schedules and
+ * raw uploaded files, with a manifest of sha256 checksums. Load it with POST /api/import.
+ */
+export async function GET() {
+    try {
+        const { buffer, manifest } = await exportArchive();
+        const stamp = manifest.exportedAt.replace(/[:.]/g, '-');
+
+        return new NextResponse(buffer, {
+            headers: {
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="meetingai-export-${stamp}.zip"`,
+                'Content-Length': String(buffer.length)
+            }
+        });
+    } catch (error) {
+        console.error('Export error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
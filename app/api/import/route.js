@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { importJobStages, IMPORT_MODES } from '../../../lib/data-export.js';
+import { enqueueJob } from '../../../lib/jobs.js';
+
+/**
+ * POST /api/import
+ * Form fields: file (an archive from GET /api/export), mode? ('merge' | 'replace', default merge).
+ * merge adds meetings that don't exist yet; replace deletes all current data first.
+ * Responds 202 with a jobId; poll GET /api/jobs/:jobId for progress.
+ */
+export async function POST(request) {
+    try {
+        const formData = await request.formData();
+        const file = formData.get('file');
+        const mode = formData.get('mode') || 'merge';
+
+        if (!file) {
+            return NextResponse.json({ error: 'No file provided' }, { status: 400 });
+        }
+        if (!IMPORT_MODES.includes(mode)) {
+            return NextResponse.json({ error: `mode must be one of: ${IMPORT_MODES.join(', ')}` }, { status: 400 });
+        }
+
+        const buffer = Buffer.from(await file.arrayBuffer());
+        const job = await enqueueJob('import', { fileName: file.name, fileSize: buffer.length, mode }, importJobStages(buffer, { mode }));
+
+        return NextResponse.json({
+            success: true,
+            jobId: job.jobId,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.jobId}`,
+            message: `Import of ${file.name} queued (${mode})`
+        }, { status: 202 });
+    } catch (error) {
+        console.error('Import error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
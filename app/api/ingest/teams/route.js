@@ -1,27 +1,35 @@
 import { NextResponse } from 'next/server';
-import { ingestTeamsMeeting } from '../../../../lib/backend-adapter.js';
+import { teamsIngestStages } from '../../../../lib/backend-adapter.js';
+import { enqueueJob, aiPregenerationStages } from '../../../../lib/jobs.js';
 
 /**
  * POST /api/ingest/teams
- * Body: { accessToken: string, teamsMeetingId: string }
+ * Body: { accessToken: string, teamsMeetingId: string, pregenerate?: boolean }
+ * Responds 202 with a jobId; poll GET /api/jobs/:jobId for progress.
  */
 export async function POST(request) {
     try {
         const body = await request.json();
-        const { accessToken, teamsMeetingId } = body;
+        const { accessToken, teamsMeetingId, pregenerate = false } = body;
 
         if (!accessToken || !teamsMeetingId) {
             return NextResponse.json({ error: 'accessToken and teamsMeetingId are required' }, { status: 400 });
         }
 
-        // Trigger real-world ingestion from MS Graph to MongoDB
-        const meeting = await ingestTeamsMeeting(accessToken, teamsMeetingId);
+        // Trigger real-world ingestion from MS Graph to MongoDB in the background
+        const stages = [
+            ...teamsIngestStages(accessToken, teamsMeetingId),
+            ...(pregenerate ? aiPregenerationStages() : [])
+        ];
+        const job = await enqueueJob('teams-ingest', { teamsMeetingId, pregenerate }, stages);
 
         return NextResponse.json({
             success: true,
-            meetingId: meeting.meetingId,
-            message: 'Meeting successfully ingested from Microsoft Teams'
-        });
+            jobId: job.jobId,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.jobId}`,
+            message: 'Teams ingestion queued'
+        }, { status: 202 });
     } catch (error) {
         console.error('Teams Ingestion Failed:', error);
         return NextResponse.json({ error: error.message }, { status: 500 });
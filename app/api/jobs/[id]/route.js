@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { getJob } from '../../../../lib/jobs.js';
+
+/**
+ * GET /api/jobs/:id
+ * Job status: overall status, per-stage status/attempts/errors, progress and the final result.
+ */
+export async function GET(request, { params }) {
+    try {
+        const job = await getJob(params.id);
+        if (!job) return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+        return NextResponse.json(job);
+    } catch (error) {
+        console.error('Job status error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
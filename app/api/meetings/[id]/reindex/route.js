@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { getMeeting } from '../../../../../lib/backend-adapter.js';
+import { resolveChunking } from '../../../../../lib/indexer.js';
+import { reindexJobStages } from '../../../../../lib/reindex.js';
+import { enqueueJob } from '../../../../../lib/jobs.js';
+
+/**
+ * POST /api/meetings/:id/reindex
+ * Body: { strategy?: 'window' | 'speaker-turn' | 'token-budget' | 'topic', options?: object }
+ * Re-chunks the meeting with that strategy (default CHUNKING_STRATEGY) as a background job:
+ * responds 202 with a jobId, poll GET /api/jobs/:jobId.
+ */
+export async function POST(request, { params }) {
+    try {
+        const { id } = params;
+        const { strategy, options } = await request.json().catch(() => ({}));
+
+        let chunking;
+        try {
+            chunking = resolveChunking({ strategy, options });
+        } catch (err) {
+            if (err.message.startsWith('INVALID_PARAM: ')) {
+                return NextResponse.json({ error: err.message.replace('INVALID_PARAM: ', '') }, { status: 400 });
+            }
+            throw err;
+        }
+
+        // Trashed meetings read as not found
+        if (!(await getMeeting(id))) return NextResponse.json({ error: 'Meeting not found' }, { status: 404 });
+
+        const job = await enqueueJob('reindex', { meetingId: id, chunking: chunking.strategy }, reindexJobStages(id, chunking));
+        return NextResponse.json({
+            success: true,
+            jobId: job.jobId,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.jobId}`,
+            message: `Meeting ${id} queued for re-indexing with the ${chunking.strategy} strategy`
+        }, { status: 202 });
+    } catch (error) {
+        console.error('Reindex error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
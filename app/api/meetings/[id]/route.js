@@ -1,14 +1,39 @@
 
 import { NextResponse } from 'next/server';
-import { deleteMeeting } from '../../../../lib/backend-adapter.js';
+import { getMeeting, updateMeeting, deleteMeeting } from '../../../../lib/backend-adapter.js';
+
+/**
+ * PATCH /api/meetings/:id
+ * Body: { tags: string[] } - tags are used by retention rules (see lib/retention.js).
+ */
+export async function PATCH(request, { params }) {
+    try {
+        const { id } = params;
+        const { tags } = await request.json();
+        if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string')) {
+            return NextResponse.json({ error: 'tags must be an array of strings' }, { status: 400 });
+        }
+        if (!(await getMeeting(id))) return NextResponse.json({ error: 'Meeting not found' }, { status: 404 });
+
+        const normalized = [...new Set(tags.map(t => t.trim().toLowerCase()).filter(Boolean))];
+        await updateMeeting(id, { tags: normalized });
+        return NextResponse.json({ success: true, meetingId: id, tags: normalized });
+    } catch (error) {
+        console.error('Update meeting error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
 
 export async function DELETE(request, { params }) {
     try {
         const { id } = params;
         if (!id) return NextResponse.json({ error: 'ID required' }, { status: 400 });
 
-        await deleteMeeting(id);
-        return NextResponse.json({ success: true, message: `Meeting ${id} deleted` });
+        // Soft delete: restore or purge via /api/trash
+        const trashed = await deleteMeeting(id);
+        if (!trashed) return NextResponse.json({ error: 'Meeting not found' }, { status: 404 });
+
+        return NextResponse.json({ success: true, message: `Meeting ${id} moved to trash`, ...trashed });
     } catch (error) {
         console.error('Delete error:', error);
         return NextResponse.json({ error: error.message }, { status: 500 });
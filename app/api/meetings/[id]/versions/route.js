@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { listVersions, restoreVersion } from '../../../../../lib/meeting-versions.js';
+
+/**
+ * GET /api/meetings/:id/versions
+ * Lists the current version and every archived version of a meeting.
+ */
+export async function GET(request, { params }) {
+    try {
+        const { id } = params;
+        const result = await listVersions(id);
+        if (!result) return NextResponse.json({ error: 'Meeting not found' }, { status: 404 });
+        return NextResponse.json(result);
+    } catch (error) {
+        console.error('List versions error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
+
+/**
+ * POST /api/meetings/:id/versions
+ * Body: { version: number } - restores that version as the current one.
+ */
+export async function POST(request, { params }) {
+    try {
+        const { id } = params;
+        const { version } = await request.json();
+        if (!version) return NextResponse.json({ error: 'version is required' }, { status: 400 });
+
+        const meeting = await restoreVersion(id, version);
+        return NextResponse.json({
+            success: true,
+            meetingId: meeting.meetingId,
+            version: meeting.version,
+            restoredFrom: meeting.restoredFrom,
+            message: `Meeting ${id} restored from version ${meeting.restoredFrom}`
+        });
+    } catch (error) {
+        if (error.message === 'VERSION_NOT_FOUND') {
+            return NextResponse.json({ error: 'Version not found' }, { status: 404 });
+        }
+        if (error.message === 'MEETING_IN_TRASH') {
+            return NextResponse.json({ error: 'Meeting is in the trash; restore it first' }, { status: 409 });
+        }
+        console.error('Restore version error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
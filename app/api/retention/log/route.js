@@ -0,0 +1,16 @@
+import { NextResponse } from 'next/server';
+import { getPurgeLog } from '../../../../lib/retention.js';
+
+/**
+ * GET /api/retention/log?limit=100
+ * Purge log, newest first: retention purges and permanent deletes from the trash.
+ */
+export async function GET(request) {
+    try {
+        const limit = Math.min(Number(request.nextUrl.searchParams.get('limit')) || 100, 1000);
+        return NextResponse.json(await getPurgeLog(limit));
+    } catch (error) {
+        console.error('Purge log error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { loadRetentionPolicy, previewRetention, runRetention } from '../../../lib/retention.js';
+
+/**
+ * GET /api/retention
+ * The configured rules and a preview of what the next run would delete.
+ */
+export async function GET() {
+    try {
+        const { rules } = await loadRetentionPolicy();
+        const preview = await previewRetention();
+        return NextResponse.json({ rules, ...preview });
+    } catch (error) {
+        console.error('Retention preview error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
+
+/**
+ * POST /api/retention
+ * Runs the retention rules now.
+ */
+export async function POST() {
+    try {
+        const result = await runRetention();
+        return NextResponse.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Retention run error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -1,9 +1,30 @@
 import { NextResponse } from 'next/server';
 import { searchEntries } from '../../../lib/backend-adapter.js';
 
+/**
+ * GET /api/search?q=...
+ * Ranked transcript entries with highlighted snippets, across all meetings or one (meetingId).
+ * q supports "quoted phrases", speaker:name, from:/to: dates; speaker, from, to, limit and offset
+ * can also be passed as query parameters.
+ */
 export async function GET(request) {
-  const q = request.nextUrl.searchParams.get('q') || '';
-  const meetingId = request.nextUrl.searchParams.get('meetingId');
-  const results = await searchEntries(q, meetingId);
-  return NextResponse.json(results);
+  try {
+    const params = request.nextUrl.searchParams;
+    const q = params.get('q') || '';
+    const meetingId = params.get('meetingId');
+    const results = await searchEntries(q, meetingId, {
+      speaker: params.get('speaker') || undefined,
+      from: params.get('from') || undefined,
+      to: params.get('to') || undefined,
+      limit: params.get('limit') || undefined,
+      offset: params.get('offset') || undefined
+    });
+    return NextResponse.json(results);
+  } catch (error) {
+    if (error.message.startsWith('INVALID_PARAM: ')) {
+      return NextResponse.json({ error: error.message.slice('INVALID_PARAM: '.length) }, { status: 400 });
+    }
+    console.error('Search error:', error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
 }
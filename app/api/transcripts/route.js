@@ -1,7 +1,25 @@
 import { NextResponse } from 'next/server';
-import { loadTranscripts } from '../../../lib/backend-adapter.js';
+import { listMeetings } from '../../../lib/backend-adapter.js';
 
-export async function GET() {
-  const list = await loadTranscripts();
-  return NextResponse.json(list);
+/**
+ * GET /api/transcripts
+ * Paginated meeting metadata (no entries): counts, speakers, hasSummary / hasActionItems.
+ * Query: sort=date|duration, order=desc|asc, limit (max 200), cursor (nextCursor of the previous page),
+ * source=teams|upload|<exact source>, from, to (ISO dates), speaker, q (title text).
+ * Full meetings: GET /api/transcripts/:id
+ */
+export async function GET(request) {
+  try {
+    const params = Object.fromEntries(request.nextUrl.searchParams);
+    return NextResponse.json(await listMeetings(params));
+  } catch (error) {
+    if (error.message === 'INVALID_CURSOR') {
+      return NextResponse.json({ error: 'Invalid cursor' }, { status: 400 });
+    }
+    if (error.message.startsWith('INVALID_PARAM: ')) {
+      return NextResponse.json({ error: error.message.slice('INVALID_PARAM: '.length) }, { status: 400 });
+    }
+    console.error('List transcripts error:', error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
 }
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { restoreFromTrash, purgeMeeting } from '../../../../lib/trash.js';
+
+/**
+ * POST /api/trash/:id
+ * Restores a deleted meeting.
+ */
+export async function POST(request, { params }) {
+    try {
+        const { id } = params;
+        const meeting = await restoreFromTrash(id);
+        if (!meeting) return NextResponse.json({ error: 'Meeting not found in trash' }, { status: 404 });
+
+        return NextResponse.json({ success: true, meetingId: id, message: `Meeting ${id} restored` });
+    } catch (error) {
+        console.error('Restore from trash error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
+
+/**
+ * DELETE /api/trash/:id
+ * Permanently deletes a meeting in the trash: transcript, chunks, versions and raw files.
+ */
+export async function DELETE(request, { params }) {
+    try {
+        const { id } = params;
+        const result = await purgeMeeting(id);
+        if (!result) return NextResponse.json({ error: 'Meeting not found in trash' }, { status: 404 });
+
+        return NextResponse.json({ success: true, ...result, message: `Meeting ${id} permanently deleted` });
+    } catch (error) {
+        console.error('Purge error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { listTrash, emptyTrash, sweepExpiredTrash } from '../../../lib/trash.js';
+import { TRASH_RETENTION_DAYS } from '../../../lib/config.js';
+
+/**
+ * GET /api/trash
+ * Lists deleted meetings with the date each will be purged automatically.
+ */
+export async function GET() {
+    try {
+        const meetings = await listTrash();
+        return NextResponse.json({ retentionDays: TRASH_RETENTION_DAYS, meetings });
+    } catch (error) {
+        console.error('List trash error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
+
+/**
+ * POST /api/trash
+ * Purges the meetings that have been in the trash longer than TRASH_RETENTION_DAYS.
+ */
+export async function POST() {
+    try {
+        const result = await sweepExpiredTrash();
+        return NextResponse.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Trash sweep error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
+
+/**
+ * DELETE /api/trash
+ * Empties the trash: every deleted meeting is purged permanently.
+ */
+export async function DELETE() {
+    try {
+        const result = await emptyTrash();
+        return NextResponse.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Empty trash error:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -1,117 +1,89 @@
 import { NextResponse } from 'next/server';
-import { writeFile, mkdir } from 'fs/promises';
+import { mkdir } from 'fs/promises';
 import path from 'path';
-import { parseVTT } from '../../../lib/parser.js';
-import { chunkEntries } from '../../../lib/indexer.js';
-import * as storage from '../../../lib/storage-prod.js';
-
-const UPLOAD_DIR = path.join(process.cwd(), 'public', 'uploads');
+import {
+    UPLOAD_DIR,
+    TRANSCRIPT_EXTENSIONS,
+    isSupportedTranscript,
+    isZipArchive,
+    openArchive,
+    uploadJobStages,
+    archiveJobStages
+} from '../../../lib/upload-processor.js';
+import { resolveChunking } from '../../../lib/indexer.js';
+import { enqueueJob, aiPregenerationStages } from '../../../lib/jobs.js';
 
 /**
- * Handle file uploads (VTT or recording files)
+ * Handle file uploads (transcripts, ZIP archives of transcripts, or recording files)
+ * Transcripts may be VTT, SRT, SBV, timestamped plain text or a Teams .docx export;
+ * the format is detected by extension or content.
+ *
+ * Processing runs as a background job: responds 202 with a jobId, poll GET /api/jobs/:jobId.
+ * Form fields: file, fileName?, fileType? ('transcript' | 'archive' | 'recording'),
+ * versionOf? (store as new version of that meeting), pregenerate? ('true' to cache summary + action items),
+ * chunking? ('window' | 'speaker-turn' | 'token-budget' | 'topic', default CHUNKING_STRATEGY)
  */
 export async function POST(request) {
     try {
         const formData = await request.formData();
         const file = formData.get('file');
-        const fileName = formData.get('fileName') || file.name;
-        const fileType = formData.get('fileType') || 'vtt';
 
         if (!file) {
             return NextResponse.json({ error: 'No file provided' }, { status: 400 });
         }
 
+        const fileName = formData.get('fileName') || file.name;
+        const fileType = formData.get('fileType') || 'transcript';
+        // Deliberate re-upload: store as a new version of this meeting
+        const versionOf = formData.get('versionOf') || undefined;
+        const pregenerate = formData.get('pregenerate') === 'true';
+        let chunking;
+        try {
+            chunking = resolveChunking(formData.get('chunking') || undefined);
+        } catch (err) {
+            return NextResponse.json({ error: err.message.replace('INVALID_PARAM: ', '') }, { status: 400 });
+        }
+
         // Ensure upload directory exists
         await mkdir(UPLOAD_DIR, { recursive: true });
 
-        // Handle VTT upload
-        if (fileType === 'vtt' || fileName.endsWith('.vtt')) {
-            const bytes = await file.arrayBuffer();
-            const buffer = Buffer.from(bytes);
-            const content = buffer.toString('utf8');
-
-            // Parse VTT
-            const entries = parseVTT(content, fileName);
-
-            // Generate meeting ID from filename
-            const meetingId = fileName.replace(/\.vtt$/, '').replace(/[^a-z0-9-_]/gi, '-').toLowerCase();
-
-            // Calculate duration
-            const durationSeconds = entries.length > 0
-                ? Math.max(...entries.map(e => {
-                    const end = e.end || e.start;
-                    const parts = (end || '00:00:00').split(':');
-                    return Number(parts[0]) * 3600 + Number(parts[1]) * 60 + Number(parts[2]);
-                }))
-                : 0;
-
-            // Create meeting object
-            const meetingObj = {
-                meetingId,
-                source: fileName,
-                uploadedAt: new Date().toISOString(),
-                durationSeconds,
-                entries: entries.map((e, idx) => ({
-                    id: `${meetingId}:${String(idx + 1).padStart(4, '0')}`,
-                    sequence: idx + 1,
-                    start: e.start,
-                    end: e.end,
-                    speaker: e.speaker || 'Unknown',
-                    text: e.text || '',
-                }))
-            };
-
-            // Save meeting to MongoDB
-            await storage.saveTranscripts(meetingObj);
-
-            // Generate and save chunks to MongoDB
-            const chunks = chunkEntries(entries);
-            chunks.forEach((c, i) => {
-                c.meetingId = meetingId;
-                c.chunkId = `${meetingId}#${String(i + 1).padStart(4, '0')}`;
-            });
-
-            await storage.saveChunks(chunks);
-
-            // Save uploaded file
-            const filePath = path.join(UPLOAD_DIR, fileName);
-            await writeFile(filePath, buffer);
+        const buffer = Buffer.from(await file.arrayBuffer());
+        const input = { fileName, fileType, fileSize: buffer.length, versionOf: versionOf || null, pregenerate, chunking: chunking.strategy };
 
-            return NextResponse.json({
-                success: true,
-                meetingId,
-                fileName,
-                entriesCount: entries.length,
-                chunksCount: chunks.length,
-                durationSeconds,
-                message: 'VTT file uploaded and processed successfully'
-            });
+        // Handle bulk upload: every transcript in the archive becomes its own meeting
+        if (fileType === 'archive' || isZipArchive(fileName)) {
+            await openArchive(fileName, buffer);
+            const job = await enqueueJob('archive', input, archiveJobStages(fileName, buffer, { chunking }));
+            return jobAccepted(job, `Archive ${fileName} queued for processing`);
         }
 
-        // Handle other file types (MP4, WebM, audio) - placeholder for future transcription service
+        // Handle recordings (MP4, WebM, audio): transcribe with the configured provider, then store
         if (fileType === 'recording') {
-            const bytes = await file.arrayBuffer();
-            const buffer = Buffer.from(bytes);
-
-            // Generate unique filename
-            const timestamp = Date.now();
-            const safeFileName = `recording_${timestamp}_${fileName.replace(/[^a-z0-9._-]/gi, '_')}`;
-            const filePath = path.join(UPLOAD_DIR, safeFileName);
-
-            await writeFile(filePath, buffer);
+            const stages = uploadJobStages(fileName, buffer, {
+                recording: true,
+                versionOf,
+                chunking,
+                language: formData.get('language') || undefined
+            });
+            const job = await enqueueJob('recording', input, [...stages, ...(pregenerate ? aiPregenerationStages() : [])]);
+            return jobAccepted(job, `Recording ${fileName} queued for transcription`);
+        }
 
+        // Handle transcript upload (VTT, SRT, SBV, plain text, Teams .docx)
+        if (!isSupportedTranscript(fileName, buffer)) {
             return NextResponse.json({
-                success: true,
-                fileName: safeFileName,
-                fileSize: buffer.length,
-                message: 'Recording uploaded. Transcription service coming soon.',
-                note: 'For now, please upload VTT files directly. Recording transcription will be implemented in the FUTURE phase.'
-            });
+                error: `Unsupported transcript format. Supported: ${[...TRANSCRIPT_EXTENSIONS, '.zip'].join(', ')}`
+            }, { status: 400 });
         }
 
-        return NextResponse.json({ error: 'Unsupported file type' }, { status: 400 });
+        const stages = uploadJobStages(fileName, buffer, { versionOf, chunking });
+        const job = await enqueueJob('upload', input, [...stages, ...(pregenerate ? aiPregenerationStages() : [])]);
+        return jobAccepted(job, `Transcript ${fileName} queued for processing`);
 
     } catch (error) {
+        if (error.message.startsWith('INVALID_PARAM: ')) {
+            return NextResponse.json({ error: error.message.slice('INVALID_PARAM: '.length) }, { status: 400 });
+        }
         console.error('Upload error:', error);
         return NextResponse.json(
             { error: error.message || 'Failed to upload file' },
@@ -120,6 +92,16 @@ export async function POST(request) {
     }
 }
 
+function jobAccepted(job, message) {
+    return NextResponse.json({
+        success: true,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.jobId}`,
+        message
+    }, { status: 202 });
+}
+
 /**
  * Get list of uploaded files
  */
@@ -1,6 +1,9 @@
 'use client';
 import { useEffect, useState, useRef } from 'react';
 
+// How long the UI follows a processing job before leaving it to run in the background
+const JOB_POLL_TIMEOUT_MS = 30 * 60 * 1000;
+
 const Icons = {
   bot: <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><rect x="3" y="11" width="18" height="10" rx="2" /><circle cx="12" cy="5" r="2" /><line x1="12" y1="7" x2="12" y2="11" /><circle cx="8" cy="16" r="1" /><circle cx="16" cy="16" r="1" /></svg>,
   sparkle: <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M12 2l2.4 7.2L22 12l-7.6 2.8L12 22l-2.4-7.2L2 12l7.6-2.8z" /></svg>,
@@ -73,6 +76,7 @@ export default function SkaryaAI() {
   // State
   const [tab, setTab] = useState('bot');
   const [recordings, setRecordings] = useState([]);
+  const [recordingsCursor, setRecordingsCursor] = useState(null);
   const [upcoming, setUpcoming] = useState([]);
   const [selected, setSelected] = useState(null);
   const [view, setView] = useState('transcript');
@@ -140,20 +144,33 @@ export default function SkaryaAI() {
   // Data Loading
   async function loadRecordings() {
     try {
-      const res = await fetch('/api/transcripts');
-      const data = await res.json() || [];
-      setRecordings(data);
+      // Metadata only; the full transcript is fetched when a recording is selected
+      const res = await fetch('/api/transcripts?limit=50');
+      const data = await res.json();
+      const list = data.meetings || [];
+      setRecordings(list);
+      setRecordingsCursor(data.nextCursor || null);
       // Use recordings as recent activity for now
-      setRecentActivity(data.slice(0, 5).map(r => ({
+      setRecentActivity(list.slice(0, 5).map(r => ({
         id: r.meetingId,
-        title: r.meetingId,
-        timestamp: r.importedAt,
+        title: r.title,
+        timestamp: r.date,
         status: 'completed',
-        segments: r.entries?.length || 0
+        segments: r.entriesCount
       })));
     } catch (e) { }
   }
 
+  async function loadMoreRecordings() {
+    if (!recordingsCursor) return;
+    try {
+      const res = await fetch(`/api/transcripts?limit=50&cursor=${encodeURIComponent(recordingsCursor)}`);
+      const data = await res.json();
+      setRecordings(p => [...p, ...(data.meetings || [])]);
+      setRecordingsCursor(data.nextCursor || null);
+    } catch (e) { }
+  }
+
   async function loadUpcoming() {
     setLoading(true);
     try {
@@ -271,14 +288,38 @@ export default function SkaryaAI() {
     const fd = new FormData();
     fd.append('file', file);
     try {
-      await fetch('/api/upload', { method: 'POST', body: fd });
+      const res = await fetch('/api/upload', { method: 'POST', body: fd });
+      const data = await res.json();
+      if (data.jobId) await waitForJob(data.jobId);
       await loadRecordings();
     } catch (e) { }
     setStatus('');
   }
 
+  // Poll a background processing job until it finishes, showing the running stage.
+  // Gives up after JOB_POLL_TIMEOUT_MS; the job keeps running and shows up in the list when done.
+  async function waitForJob(jobId) {
+    const deadline = Date.now() + JOB_POLL_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, 1000));
+      const res = await fetch(`/api/jobs/${jobId}`);
+      if (!res.ok) return;
+      const job = await res.json();
+      if (job.status === 'completed') return;
+      if (job.status === 'failed') {
+        setStatus('Error: ' + job.error);
+        await new Promise(r => setTimeout(r, 3000));
+        return;
+      }
+      const stage = job.stages.find(s => s.status === 'running');
+      setStatus(stage ? `Processing (${stage.name})...` : 'Queued...');
+    }
+    setStatus('Still processing in the background; refresh the list later.');
+    await new Promise(r => setTimeout(r, 3000));
+  }
+
   async function deleteMeeting(id) {
-    if (!confirm('Delete this recording?')) return;
+    if (!confirm('Move this recording to the trash?')) return;
     try {
       await fetch(`/api/meetings/${id}`, { method: 'DELETE' });
       setRecordings(p => p.filter(m => m.meetingId !== id));
@@ -310,29 +351,74 @@ export default function SkaryaAI() {
   async function sendMessage() {
     if (!input.trim() || !selected) return;
     const msg = input;
-    setChat(p => [...p, { role: 'user', content: msg }]);
+    // The answer streams into a placeholder after the question
+    const answerIdx = chat.length + 1;
+    const updateAnswer = fn => setChat(p => p.map((m, i) => (i === answerIdx ? { ...m, ...fn(m) } : m)));
+    setChat(p => [...p, { role: 'user', content: msg }, { role: 'assistant', content: '', streaming: true }]);
     setInput('');
 
     try {
-      const res = await fetch(`/api/chat/${selected.meetingId}`, {
+      const res = await fetch(`/api/chat/${selected.meetingId}/stream`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ question: msg, chatHistory: chat })
       });
-      const data = await res.json();
-      setChat(p => [...p, { role: 'assistant', content: data.answer || 'No response' }]);
+      if (!res.ok || !res.body) {
+        const data = await res.json().catch(() => ({}));
+        updateAnswer(() => ({ content: data.error || 'Error occurred', streaming: false }));
+        return;
+      }
+
+      // Server-sent events: sources, token..., done (or error)
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let finished = false;
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        for (const raw of events) {
+          const event = raw.match(/^event: (.*)$/m)?.[1];
+          const data = JSON.parse(raw.match(/^data: (.*)$/m)?.[1] || '{}');
+          if (event === 'token') updateAnswer(m => ({ content: m.content + data.text }));
+          if (event === 'done' || event === 'error') finished = true;
+          if (event === 'done') updateAnswer(() => ({ content: data.answer || 'No response', citations: data.citations || [], streaming: false }));
+          if (event === 'error') updateAnswer(m => ({ content: m.content ? `${m.content}\n\n(${data.error})` : 'Error occurred', streaming: false }));
+        }
+      }
+      // The connection closed without done or error (server restart, proxy timeout)
+      if (!finished) updateAnswer(m => ({ content: m.content ? `${m.content}\n\n(The answer was cut off)` : 'Error occurred', streaming: false }));
     } catch (e) {
-      setChat(p => [...p, { role: 'assistant', content: 'Error occurred' }]);
+      updateAnswer(() => ({ content: 'Error occurred', streaming: false }));
     }
   }
 
-  function selectRecording(m) {
+  // Citation chips open the transcript at the first entry of the cited chunk
+  function jumpToTime(sec) {
+    if (!selected?.entries?.length || sec == null) return;
+    const toSec = t => (t || '0:0:0').split(':').reduce((acc, part) => acc * 60 + Number(part), 0);
+    const idx = selected.entries.findIndex(e => toSec(e.start) >= sec);
+    setView('transcript');
+    setTimeout(() => document.getElementById(`entry-${idx === -1 ? 0 : idx}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' }), 50);
+  }
+
+  async function selectRecording(m) {
     setSelected(m);
     setTab('assistant');
     setView('transcript');
     setSummary(null);
     setActions(null);
     setChat([]);
+    try {
+      const res = await fetch(`/api/transcripts/${m.meetingId}`);
+      if (res.ok) {
+        const full = await res.json();
+        setSelected(s => (s?.meetingId === full.meetingId ? full : s));
+      }
+    } catch (e) { }
   }
 
   function toggleTheme() {
@@ -744,12 +830,15 @@ export default function SkaryaAI() {
                 ) : (
                   recordings.map(m => (
                     <div key={m.meetingId} className={`recording-item ${selected?.meetingId === m.meetingId ? 'active' : ''}`} onClick={() => selectRecording(m)}>
-                      <div className="recording-title">{m.meetingId}</div>
-                      <div className="recording-meta">{m.entries?.length || 0} segments</div>
+                      <div className="recording-title">{m.title}</div>
+                      <div className="recording-meta">{m.entriesCount} segments</div>
                       <button className="delete-btn" onClick={e => { e.stopPropagation(); deleteMeeting(m.meetingId); }}>{Icons.x}</button>
                     </div>
                   ))
                 )}
+                {recordingsCursor && (
+                  <button className="load-more-btn" onClick={loadMoreRecordings}>Load more</button>
+                )}
               </div>
             </aside>
 
@@ -764,7 +853,7 @@ export default function SkaryaAI() {
                 <>
                   <div className="analysis-header">
                     <h1>{selected.meetingId}</h1>
-                    <p className="subtitle">{selected.entries?.length || 0} segments · {selected.source || 'Upload'}</p>
+                    <p className="subtitle">{selected.entries?.length ?? selected.entriesCount ?? 0} segments · {selected.source || 'Upload'}</p>
                   </div>
 
                   <div className="analysis-tabs">
@@ -778,7 +867,7 @@ export default function SkaryaAI() {
                     {view === 'transcript' && (
                       <div className="transcript-view">
                         {selected.entries?.length > 0 ? selected.entries.map((e, i) => (
-                          <div key={i} className="transcript-entry">
+                          <div key={i} id={`entry-${i}`} className="transcript-entry">
                             <div className="transcript-main">
                               <div className="speaker-name">{e.speaker}</div>
                               <p className="text">{e.text}</p>
@@ -825,7 +914,18 @@ export default function SkaryaAI() {
                             </div>
                           ) : chat.map((msg, i) => (
                             <div key={i} className={`chat-msg ${msg.role}`}>
-                              <div className="msg-bubble">{msg.content}</div>
+                              <div className="msg-bubble">
+                                {msg.content || (msg.streaming ? '…' : '')}
+                                {msg.citations?.length > 0 && (
+                                  <div className="msg-citations">
+                                    {msg.citations.map(c => (
+                                      <button key={c.id} className="citation-chip" title={c.excerpt} onClick={() => jumpToTime(c.startSec)}>
+                                        [{c.id}] {c.start}{c.end ? `–${c.end}` : ''}
+                                      </button>
+                                    ))}
+                                  </div>
+                                )}
+                              </div>
                             </div>
                           ))}
                           <div ref={chatEnd} />
@@ -0,0 +1,13 @@
+/**
+ * Server startup hook: Next.js calls register() once per server process
+ * (experimental.instrumentationHook in next.config.js).
+ */
+export async function register() {
+    // Also called for the edge runtime, which has no storage or timers to schedule
+    if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+
+    const { startRetentionSchedule } = await import('./lib/retention.js');
+    const { startTrashSweepSchedule } = await import('./lib/trash.js');
+    startRetentionSchedule();
+    startTrashSweepSchedule();
+}
@@ -4,61 +4,106 @@
  * Provides backward-compatible API while integrating with the new hybrid system.
  */
 
-import * as storage from './storage-prod.js';
-import { parseVTT } from './parser.js';
-import { chunkEntries } from './indexer.js';
-import { fetchTeamsTranscript, fetchTeamsRecording, checkTranscriptAccess } from './ms-graph.js';
+import * as storage from './storage.js';
+import { parseVTT, mergeTranscriptParts } from './parser.js';
+import { chunkMeetingEntries } from './indexer.js';
+import { SCHEMA_VERSION } from './schema.js';
+import { isTrashed, trashMeeting } from './trash.js';
+import { listMeetings as listMeetingPage } from './meeting-list.js';
+import { searchEntries as searchTranscriptEntries } from './search.js';
+import { fetchTeamsTranscripts, fetchTeamsRecording, checkTranscriptAccess } from './ms-graph.js';
 import { processMeeting, handleManualUpload } from './hybrid-processor.js';
 import { checkConsent, grantConsent } from './consent-manager.js';
 
 /**
  * Handle real Microsoft Teams Ingestion (Legacy - Direct Graph API)
  * Still works for organizers with direct access.
+ * Runs the same stages as the background job, inline.
  */
 export async function ingestTeamsMeeting(accessToken, teamsMeetingId) {
-  // 1. Fetch real VTT content from MS Graph
-  const vttContent = await fetchTeamsTranscript(accessToken, teamsMeetingId);
-
-  // 2. Parse the VTT content
-  const entries = parseVTT(vttContent, `teams_${teamsMeetingId}.vtt`);
-
-  // 3. Fetch Recording metadata if available
-  let recordingUrl = null;
-  try {
-    const recording = await fetchTeamsRecording(accessToken, teamsMeetingId);
-    if (recording) recordingUrl = recording.contentUrl;
-  } catch (e) { console.error("No recording found or permission denied", e); }
-
-  // 4. Normalize into meeting object
-  const meetingId = generateMeetingId(teamsMeetingId);
-  const meetingObj = {
-    meetingId,
-    source: 'Microsoft Teams API',
-    externalId: teamsMeetingId,
-    recordingUrl: recordingUrl,
-    importedAt: new Date().toISOString(),
-    durationSeconds: calculateDuration(entries),
-    entries: entries.map((e, idx) => ({
-      id: `${meetingId}:${String(idx + 1).padStart(4, '0')}`,
-      sequence: idx + 1,
-      ...e
-    }))
-  };
-
-  // 5. Save to MongoDB
-  await storage.saveTranscripts(meetingObj);
-
-  // 6. Generate RAG Chunks
-  const chunks = chunkEntries(entries);
-  for (let i = 0; i < chunks.length; i++) {
-    chunks[i].meetingId = meetingId;
-    chunks[i].chunkId = `${meetingId}#${String(i + 1).padStart(4, '0')}`;
+  const ctx = {};
+  for (const stage of teamsIngestStages(accessToken, teamsMeetingId)) {
+    await stage.run(ctx, { setProgress: async () => {} });
   }
+  return ctx.meeting;
+}
 
-  // 7. Save Chunks to MongoDB Atlas
-  await storage.saveChunks(chunks);
-
-  return meetingObj;
+/**
+ * Teams ingestion as job stages (see jobs.js): fetch, parse, chunk, store.
+ * The access token only lives in this closure; it is never persisted with the job.
+ */
+export function teamsIngestStages(accessToken, teamsMeetingId) {
+  return [
+    {
+      name: 'fetch',
+      run: async (ctx) => {
+        // 1. Fetch every transcript part from MS Graph (one per transcription session)
+        ctx.parts = await fetchTeamsTranscripts(accessToken, teamsMeetingId);
+
+        // 2. Fetch Recording metadata if available
+        ctx.recordingUrl = null;
+        try {
+          const recording = await fetchTeamsRecording(accessToken, teamsMeetingId);
+          if (recording) ctx.recordingUrl = recording.contentUrl;
+        } catch (e) { console.error("No recording found or permission denied", e); }
+      }
+    },
+    {
+      name: 'parse',
+      retry: false,
+      run: async (ctx) => {
+        // 3. Parse each part and merge into one timeline
+        ctx.entries = mergeTranscriptParts(ctx.parts.map(part => ({
+          ...part,
+          entries: parseVTT(part.content, `teams_${teamsMeetingId}_${part.id}.vtt`)
+        })));
+      }
+    },
+    {
+      name: 'chunk',
+      run: async (ctx) => {
+        // 4. Normalize into meeting object
+        const meetingId = generateMeetingId(teamsMeetingId);
+        ctx.meeting = {
+          schemaVersion: SCHEMA_VERSION,
+          meetingId,
+          source: 'Microsoft Teams API',
+          externalId: teamsMeetingId,
+          recordingUrl: ctx.recordingUrl,
+          transcriptParts: ctx.parts.length,
+          importedAt: new Date().toISOString(),
+          durationSeconds: calculateDuration(ctx.entries),
+          entries: ctx.entries.map((e, idx) => ({
+            id: `${meetingId}:${String(idx + 1).padStart(4, '0')}`,
+            sequence: idx + 1,
+            ...e
+          }))
+        };
+
+        // 5. Generate RAG Chunks
+        const { chunks, chunking } = chunkMeetingEntries(meetingId, ctx.entries);
+        ctx.chunks = chunks;
+        ctx.meeting.chunking = chunking;
+      }
+    },
+    {
+      name: 'store',
+      run: async (ctx) => {
+        // 6. Save transcript and chunks to MongoDB Atlas
+        await storage.saveTranscripts(ctx.meeting);
+        await storage.saveChunks(ctx.chunks);
+
+        ctx.meetingId = ctx.meeting.meetingId;
+        ctx.result = {
+          meetingId: ctx.meeting.meetingId,
+          entriesCount: ctx.meeting.entries.length,
+          chunksCount: ctx.chunks.length,
+          durationSeconds: ctx.meeting.durationSeconds,
+          transcriptParts: ctx.meeting.transcriptParts
+        };
+      }
+    }
+  ];
 }
 
 /**
@@ -92,15 +137,35 @@ export async function grantMeetingConsent(meetingId, organizerEmail, method = 'm
 
 // === Existing Functions (Unchanged) ===
 
+// Meetings in the trash (see trash.js) are invisible to everything below. Nothing here purges:
+// see startTrashSweepSchedule (trash.js) and startRetentionSchedule (retention.js).
+
 export async function loadTranscripts() {
-  return await storage.loadTranscripts();
+  const meetings = await storage.loadTranscripts();
+  return meetings.filter(m => !isTrashed(m));
+}
+
+/**
+ * Paginated, filtered meeting metadata without entries (see meeting-list.js).
+ */
+export async function listMeetings(params) {
+  return await listMeetingPage(params);
+}
+
+/**
+ * Ranked entry-level search across meetings (see search.js).
+ */
+export async function searchEntries(query, meetingId, options) {
+  return await searchTranscriptEntries(query, meetingId, options);
 }
 
 export async function getMeeting(meetingId) {
-  return await storage.getMeeting(meetingId);
+  const meeting = await storage.getMeeting(meetingId);
+  return isTrashed(meeting) ? null : meeting;
 }
 
 export async function loadChunksForMeeting(meetingId) {
+  if (!(await getMeeting(meetingId))) return [];
   return await storage.loadChunks(meetingId);
 }
 
@@ -108,8 +173,11 @@ export async function updateMeeting(meetingId, updateData) {
   return await storage.updateMeeting(meetingId, updateData);
 }
 
+/**
+ * Moves the meeting to the trash; use trash.js to restore or purge it.
+ */
 export async function deleteMeeting(meetingId) {
-  return await storage.deleteMeeting(meetingId);
+  return await trashMeeting(meetingId);
 }
 
 // === Utility Functions ===
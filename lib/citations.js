@@ -0,0 +1,168 @@
+/**
+ * Chat Citations
+ *
+ * Chat prompts label every context chunk ([C1], [C2], ...) with its time range and ask the
+ * model to cite those labels after each statement. verifyCitations() then checks the answer
+ * against the chunks that were really sent:
+ *   - a label that was not in the context is removed and counted as invalid
+ *   - each statement is a claim: 'supported' (cites a chunk that shares terms with it),
+ *     'weak' (cites chunks, but none share a term) or 'unsupported' (cites nothing valid)
+ *   - unsupported claims are flagged, or dropped from the answer with { unsupported: 'drop' }
+ * Markers are renumbered [1], [2], ... in order of first use, matching the `citations` list.
+ */
+
+import { analyze } from './lexical-index.js';
+import { secondsToTimestamp } from './parser.js';
+
+export const UNSUPPORTED_MODES = ['flag', 'drop'];
+
+const MARKER_RE = /\[((?:C|Chunk\s*)\d+(?:\s*[,;]\s*(?:C|Chunk\s*)?\d+)*)\]/gi;
+// A marker with the space before it, so a removed marker does not leave "work ." behind
+const SPACED_MARKER_RE = new RegExp(`(\\s*)${MARKER_RE.source}`, 'gi');
+const SENTENCE_RE = /.+?(?:[.!?]+(?=\s|$)|$)(?:\s*\[[^\]]*\])*/g;
+const EXCERPT_CHARS = 200;
+
+// "Here is what was decided:" and one-word lines are structure, not claims
+const MIN_CLAIM_WORDS = 4;
+
+function timeLabel(sec) {
+    return Number.isFinite(sec) ? secondsToTimestamp(sec).slice(0, 8) : null;
+}
+
+/**
+ * Context block for a chat prompt: each chunk under its [Cn] label and time range.
+ * `describe(chunk)` can add to the label line (e.g. the meeting it came from).
+ */
+export function formatCitationContext(chunks, describe = () => '') {
+    return chunks
+        .map((chunk, idx) => {
+            const start = timeLabel(chunk.startSec);
+            const end = timeLabel(chunk.endSec);
+            const range = start ? ` ${start}${end ? `–${end}` : ''}` : '';
+            return `[C${idx + 1}]${range}${describe(chunk)}\n${chunk.text}`;
+        })
+        .join('\n\n');
+}
+
+export const CITATION_INSTRUCTIONS = 'Cite the chunk behind every statement with its label in square brackets right after the sentence, e.g. [C2] or [C1][C3]. Only use labels that appear in the context. Leave out anything the context does not support.';
+
+function markerLabels(inner) {
+    return inner.split(/[,;]/).map(part => Number(part.replace(/\D/g, '')));
+}
+
+function stripMarkers(text) {
+    return text.replace(MARKER_RE, '').replace(/\s+([.!?,;:])/g, '$1').trim();
+}
+
+// Claim text without markers, list bullets or emphasis
+function plainText(text) {
+    return stripMarkers(text).replace(/^\s*(?:[>*#-]+|\d+[.)])\s*/, '').replace(/[*_`]/g, '').trim();
+}
+
+function isClaim(text) {
+    const plain = plainText(text);
+    return !plain.endsWith(':') && plain.split(/\s+/).filter(Boolean).length >= MIN_CLAIM_WORDS;
+}
+
+function sharesTerms(text, chunk) {
+    const terms = new Set(analyze(chunk.text));
+    return analyze(stripMarkers(text)).some(t => terms.has(t));
+}
+
+/**
+ * Check and normalize the citations in a model answer.
+ * @param {string} answer - model output with [Cn] markers
+ * @param {Array} chunks - the chunks sent as context, in label order
+ * @param {object} [options] - { unsupported: 'flag' | 'drop' }
+ * @returns {{ answer, citations, claims, verification }}
+ */
+export function verifyCitations(answer, chunks, { unsupported = 'flag' } = {}) {
+    if (!UNSUPPORTED_MODES.includes(unsupported)) {
+        throw new Error(`INVALID_PARAM: unsupported must be one of ${UNSUPPORTED_MODES.join(', ')}`);
+    }
+
+    const citations = [];
+    const byLabel = new Map();
+    const claims = [];
+    let invalidCitations = 0;
+    let dropped = 0;
+
+    const cite = (label) => {
+        if (!byLabel.has(label)) {
+            const chunk = chunks[label - 1];
+            const citation = {
+                id: citations.length + 1,
+                label: `C${label}`,
+                chunkId: chunk.chunkId || null,
+                startSec: chunk.startSec ?? null,
+                endSec: chunk.endSec ?? null,
+                start: timeLabel(chunk.startSec),
+                end: timeLabel(chunk.endSec),
+                excerpt: chunk.text.length > EXCERPT_CHARS ? `${chunk.text.slice(0, EXCERPT_CHARS)}…` : chunk.text
+            };
+            if (chunk.meetingId) citation.meetingId = chunk.meetingId;
+            if (chunk.meetingTitle) citation.meetingTitle = chunk.meetingTitle;
+            citations.push(citation);
+            byLabel.set(label, citation);
+        }
+        return byLabel.get(label);
+    };
+
+    const lines = String(answer || '').split('\n').map(line => {
+        const sentences = line.match(SENTENCE_RE) || [];
+        if (!sentences.length) return line;
+
+        const kept = sentences.map(sentence => {
+            const cited = [];
+            const rewritten = sentence.replace(SPACED_MARKER_RE, (match, space, inner) => {
+                const ids = [];
+                for (const label of markerLabels(inner)) {
+                    if (label >= 1 && label <= chunks.length) {
+                        const citation = cite(label);
+                        if (!ids.includes(citation.id)) ids.push(citation.id);
+                        cited.push({ citation, chunk: chunks[label - 1] });
+                    } else {
+                        invalidCitations++;
+                    }
+                }
+                return ids.length ? space + ids.map(id => `[${id}]`).join('') : '';
+            });
+
+            if (!isClaim(sentence)) return rewritten;
+
+            const status = !cited.length
+                ? 'unsupported'
+                : cited.some(({ chunk }) => sharesTerms(sentence, chunk)) ? 'supported' : 'weak';
+            claims.push({
+                text: plainText(sentence),
+                citations: [...new Set(cited.map(({ citation }) => citation.id))],
+                status
+            });
+
+            if (status === 'unsupported' && unsupported === 'drop') {
+                dropped++;
+                return null;
+            }
+            return rewritten;
+        });
+
+        const remaining = kept.filter(s => s !== null);
+        // A bullet whose only sentence was dropped goes away entirely
+        return remaining.length ? remaining.join('').replace(/\s+$/, '') : null;
+    });
+
+    const count = status => claims.filter(c => c.status === status).length;
+    return {
+        answer: lines.filter(line => line !== null).join('\n').trim(),
+        citations,
+        claims,
+        verification: {
+            claims: claims.length,
+            supported: count('supported'),
+            weak: count('weak'),
+            unsupported: count('unsupported'),
+            dropped,
+            invalidCitations
+        }
+    };
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatCitationContext, verifyCitations } from './citations.js';
+
+const chunks = [
+    { chunkId: 'm#0001', startSec: 65, endSec: 130, text: 'Ravi will move the billing tables to Postgres in June.' },
+    { chunkId: 'm#0002', startSec: 3605, endSec: 3660, text: 'Asha owns the onboarding redesign and the new colour palette.' },
+    { chunkId: 'm#0003', startSec: null, endSec: null, text: 'Lunch is at noon on Friday.' }
+];
+
+test('context labels each chunk with its time range', () => {
+    const context = formatCitationContext(chunks, chunk => ` (${chunk.chunkId})`);
+    assert.equal(context.split('\n\n')[0], '[C1] 00:01:05–00:02:10 (m#0001)\nRavi will move the billing tables to Postgres in June.');
+    assert.match(context, /^\[C2\] 01:00:05–01:01:00 \(m#0002\)$/m);
+    assert.match(context, /^\[C3\] \(m#0003\)$/m);
+});
+
+test('markers are renumbered in order of first use and mapped to chunks and timestamps', () => {
+    const { answer, citations, verification } = verifyCitations(
+        'Asha owns the onboarding redesign [C2]. The billing tables move to Postgres in June [C1][C2].',
+        chunks
+    );
+    assert.equal(answer, 'Asha owns the onboarding redesign [1]. The billing tables move to Postgres in June [2][1].');
+    assert.deepEqual(citations.map(c => [c.id, c.label, c.chunkId, c.start, c.end]), [
+        [1, 'C2', 'm#0002', '01:00:05', '01:01:00'],
+        [2, 'C1', 'm#0001', '00:01:05', '00:02:10']
+    ]);
+    assert.equal(verification.supported, 2);
+});
+
+test('claims are supported, weak or unsupported, and invalid labels are removed', () => {
+    const { answer, claims, verification } = verifyCitations([
+        'Here is what was decided:',
+        '- Ravi moves the billing tables in June [C1].',
+        '- The team celebrated with cake afterwards [C3].',
+        '- Marketing launches the campaign next week.',
+        '- Asha owns the colour palette work [C9].'
+    ].join('\n'), chunks);
+
+    assert.deepEqual(claims.map(c => c.status), ['supported', 'weak', 'unsupported', 'unsupported']);
+    assert.deepEqual(claims[0], { text: 'Ravi moves the billing tables in June.', citations: [1], status: 'supported' });
+    assert.equal(verification.invalidCitations, 1);
+    assert.match(answer, /^- Asha owns the colour palette work\.$/m);
+});
+
+test('unsupported claims can be dropped from the answer', () => {
+    const { answer, verification } = verifyCitations(
+        'Ravi moves the billing tables in June [C1]. Marketing launches the campaign next week.\n- Nobody mentioned the budget at all.',
+        chunks,
+        { unsupported: 'drop' }
+    );
+    assert.equal(answer, 'Ravi moves the billing tables in June [1].');
+    assert.equal(verification.dropped, 2);
+    assert.throws(() => verifyCitations('x', chunks, { unsupported: 'hide' }), /^Error: INVALID_PARAM/);
+});
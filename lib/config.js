@@ -1,5 +1,32 @@
 import path from 'path';
 
-export const DATA_DIR = path.join(process.cwd(), 'data');
-export const CHUNKS_FILE = path.join(process.cwd(), 'data', 'chunks.json');
-export const TRANSCRIPTS_FILE = path.join(process.cwd(), 'data', 'transcripts.json');
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+export const CHUNKS_FILE = path.join(DATA_DIR, 'chunks.json');
+export const TRANSCRIPTS_FILE = path.join(DATA_DIR, 'transcripts.json');
+export const UPLOAD_DIR = path.join(process.cwd(), 'public', 'uploads');
+
+// 'mongo', 'files' or 'sqlite'. Defaults to MongoDB when MONGO_URL is set, local files otherwise.
+export const STORAGE_BACKEND = process.env.STORAGE_BACKEND || (process.env.MONGO_URL ? 'mongo' : 'files');
+
+// Days a deleted meeting stays in the trash before it is purged for good. 0 keeps it until emptied by hand.
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+// How often the server purges expired trash itself. 0 (default): only when started by hand (POST /api/trash).
+export const TRASH_SWEEP_INTERVAL_HOURS = Number(process.env.TRASH_SWEEP_INTERVAL_HOURS ?? 0);
+
+// Retention rules (JSON, see retention.example.json) and how often the server runs them.
+// 0 (default): only when started by hand (POST /api/retention, npm run retention).
+export const RETENTION_POLICY_FILE = process.env.RETENTION_POLICY_FILE || path.join(process.cwd(), 'retention.json');
+export const RETENTION_INTERVAL_HOURS = Number(process.env.RETENTION_INTERVAL_HOURS ?? 0);
+
+// Default chunking strategy for new meetings: 'window', 'speaker-turn', 'token-budget' or 'topic' (see lib/indexer.js)
+export const CHUNKING_STRATEGY = process.env.CHUNKING_STRATEGY || 'window';
+
+// How follow-up chat questions become standalone queries: 'llm', 'heuristic' or 'off' (see lib/query-rewrite.js).
+// Checked once here; an unknown value is reported and the default is used.
+export const QUERY_REWRITE_MODES = ['llm', 'heuristic', 'off'];
+export const QUERY_REWRITE = (() => {
+    const mode = process.env.QUERY_REWRITE || 'llm';
+    if (QUERY_REWRITE_MODES.includes(mode)) return mode;
+    console.warn(`⚠️ Unknown QUERY_REWRITE "${mode}" (expected ${QUERY_REWRITE_MODES.join(', ')}); using llm`);
+    return 'llm';
+})();
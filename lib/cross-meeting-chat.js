@@ -0,0 +1,167 @@
+/**
+ * Cross-Meeting Chat
+ *
+ * Answers one question from chunks of many meetings. The scope picks the meetings:
+ *   'all' (or omitted)                        every meeting outside the trash
+ *   { from: '2024-05-01', to: '2024-05-31' }  meetings in a date range (inclusive)
+ *   { tag: 'platform' }                       meetings with a tag (see PATCH /api/meetings/:id)
+ *   { meetingIds: ['a', 'b'] }                these meetings
+ * Filters combine, so { tag, from } is "platform meetings since May".
+ *
+ * Each meeting is searched with the same hybrid retrieval as single-meeting chat, the best
+ * chunks overall go to the LLM labelled with their meeting, and the answer names its sources.
+ * Follow-up questions are rewritten into standalone queries first (see query-rewrite.js).
+ */
+
+import * as storage from './storage.js';
+import { chatAcrossMeetings, searchChunksSemantic } from './llm-service.js';
+import { meetingDate, parseDateBound } from './meeting-list.js';
+import { rewriteQuery } from './query-rewrite.js';
+
+// The most recent meetings in scope are searched; older ones are reported as skipped
+const MAX_SCOPE_MEETINGS = 200;
+const CHUNKS_PER_MEETING = 4;
+const MAX_CONTEXT_CHUNKS = 12;
+// Meetings searched at once; each search may embed the query and hit the storage backend
+const SEARCH_CONCURRENCY = 8;
+
+/**
+ * Validate a scope and normalize it to { meetingIds, from, to, tag } (unused filters are null).
+ */
+export function normalizeScope(scope) {
+    if (scope === undefined || scope === null || scope === 'all') {
+        return { meetingIds: null, from: null, to: null, tag: null };
+    }
+    if (typeof scope !== 'object' || Array.isArray(scope)) {
+        throw new Error('INVALID_PARAM: scope must be "all" or an object with meetingIds, from, to or tag');
+    }
+
+    const { meetingIds = null, from = null, to = null, tag = null } = scope;
+    if (meetingIds !== null && (!Array.isArray(meetingIds) || !meetingIds.length || meetingIds.some(id => typeof id !== 'string'))) {
+        throw new Error('INVALID_PARAM: scope.meetingIds must be a non-empty array of meeting ids');
+    }
+    if (tag !== null && typeof tag !== 'string') throw new Error('INVALID_PARAM: scope.tag must be a string');
+    parseDateBound(from, false);
+    parseDateBound(to, true);
+
+    return { meetingIds, from, to, tag: tag ? tag.trim().toLowerCase() : null };
+}
+
+/**
+ * Meetings (metadata, newest first) that fall inside a normalized scope.
+ */
+export async function resolveScope(scope) {
+    const from = parseDateBound(scope.from, false);
+    const to = parseDateBound(scope.to, true);
+    const ids = scope.meetingIds ? new Set(scope.meetingIds) : null;
+
+    const meetings = (await storage.listMeetingMetadata()).filter(m => {
+        if (m.deletedAt) return false;
+        if (ids && !ids.has(m.meetingId)) return false;
+        if (scope.tag && !(m.tags || []).includes(scope.tag)) return false;
+        if (from || to) {
+            const date = meetingDate(m) ? new Date(meetingDate(m)) : null;
+            if (!date) return false;
+            if (from && date < from) return false;
+            if (to && date > to) return false;
+        }
+        return true;
+    });
+
+    return meetings.sort((a, b) => (meetingDate(b) || '').localeCompare(meetingDate(a) || ''));
+}
+
+/**
+ * Best chunks for the question across the given meetings, labelled with their meeting.
+ * Fused scores are rank based within each meeting, so ties are broken by embedding
+ * similarity, which is comparable between meetings.
+ */
+export async function searchAcrossMeetings(question, meetings, limit = MAX_CONTEXT_CHUNKS) {
+    // Results are kept per meeting so equal scores still sort newest meeting first
+    const perMeeting = new Array(meetings.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < meetings.length) {
+            const idx = next++;
+            const meeting = meetings[idx];
+            const chunks = await searchChunksSemantic(question, meeting.meetingId, CHUNKS_PER_MEETING);
+            perMeeting[idx] = chunks.map(chunk => ({
+                ...chunk,
+                meetingId: meeting.meetingId,
+                meetingTitle: meeting.title || meeting.meetingId,
+                meetingDate: meetingDate(meeting)
+            }));
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(SEARCH_CONCURRENCY, meetings.length) }, worker));
+
+    return perMeeting.flat()
+        .sort((a, b) =>
+            b.score - a.score ||
+            (b.semanticScore || 0) - (a.semanticScore || 0) ||
+            (b.keywordScore || 0) - (a.keywordScore || 0)
+        )
+        .slice(0, limit);
+}
+
+/**
+ * Answer a question from every meeting in scope.
+ * `options` go to chatAcrossMeetings (e.g. { unsupported: 'drop' }).
+ * @returns {Promise<{ question, answer, citations, claims, verification, timestamp, queryRewrite, scope, meetingsSearched, meetingsSkipped, meetings, sources }>}
+ */
+export async function askAcrossMeetings(question, scope, chatHistory = [], options = {}) {
+    const normalized = normalizeScope(scope);
+    const inScope = await resolveScope(normalized);
+    if (!inScope.length) throw new Error('NO_MEETINGS_IN_SCOPE');
+
+    const searched = inScope.slice(0, MAX_SCOPE_MEETINGS);
+    const queryRewrite = await rewriteQuery(question, chatHistory);
+    const chunks = await searchAcrossMeetings(queryRewrite.query, searched);
+
+    const base = {
+        queryRewrite,
+        scope: normalized,
+        meetingsSearched: searched.length,
+        meetingsSkipped: inScope.length - searched.length
+    };
+
+    if (chunks.length === 0) {
+        return {
+            question,
+            answer: "I couldn't find relevant information in these meetings to answer your question.",
+            citations: [],
+            timestamp: new Date().toISOString(),
+            ...base,
+            meetings: [],
+            sources: []
+        };
+    }
+
+    const result = await chatAcrossMeetings(question, chunks, chatHistory, options);
+
+    // Meetings that contributed context, in the order they first appear
+    const meetings = new Map();
+    for (const c of chunks) {
+        if (!meetings.has(c.meetingId)) {
+            meetings.set(c.meetingId, { meetingId: c.meetingId, title: c.meetingTitle, date: c.meetingDate, chunks: 0 });
+        }
+        meetings.get(c.meetingId).chunks++;
+    }
+
+    return {
+        ...result,
+        ...base,
+        meetings: [...meetings.values()],
+        sources: chunks.map(c => ({
+            meetingId: c.meetingId,
+            meetingTitle: c.meetingTitle,
+            meetingDate: c.meetingDate,
+            chunkId: c.chunkId,
+            text: c.text,
+            startSec: c.startSec,
+            endSec: c.endSec,
+            score: c.score,
+            matchedBy: c.matchedBy
+        }))
+    };
+}
@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingai-cross-'));
+process.env.STORAGE_BACKEND = 'files';
+process.env.DATA_DIR = dataDir;
+process.env.EMBEDDING_PROVIDER = 'counting';
+
+const QUESTION = 'what did we decide about the billing migration';
+const queryEmbeds = [];
+
+let cross;
+let meetings;
+
+before(async () => {
+    const { registerEmbeddingProvider, createFakeProvider } = await import('./embeddings.js');
+    const fake = createFakeProvider();
+    registerEmbeddingProvider('counting', () => ({
+        ...fake,
+        async embed(texts) {
+            if (texts.length === 1 && texts[0] === QUESTION) queryEmbeds.push(texts[0]);
+            return fake.embed(texts);
+        }
+    }));
+
+    const storage = await import('./storage.js');
+    const { chunkMeetingEntries } = await import('./indexer.js');
+    cross = await import('./cross-meeting-chat.js');
+
+    // More meetings than are searched at once, identical text so every meeting ties
+    for (let day = 1; day <= 20; day++) {
+        const meetingId = `sync-${String(day).padStart(2, '0')}`;
+        const entries = [{ start: '00:00:01.000', end: '00:00:09.000', speaker: 'Asha', text: 'We decided to ship the billing migration in June.' }];
+        await storage.saveTranscripts({ meetingId, source: `${meetingId}.vtt`, importedAt: `2024-05-${String(day).padStart(2, '0')}T10:00:00.000Z`, entries });
+        await storage.saveChunks(chunkMeetingEntries(meetingId, entries).chunks);
+    }
+    meetings = await cross.resolveScope(cross.normalizeScope('all'));
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('scopes filter by date range and reject bad dates', async () => {
+    const scoped = await cross.resolveScope(cross.normalizeScope({ from: '2024-05-18', to: '2024-05-19' }));
+    assert.deepEqual(scoped.map(m => m.meetingId), ['sync-19', 'sync-18']);
+    assert.throws(() => cross.normalizeScope({ to: 'someday' }), /INVALID_PARAM: "someday" is not a date/);
+});
+
+test('every meeting is searched, the question embedded once, and ties keep the newest meeting first', async () => {
+    const hits = await cross.searchAcrossMeetings(QUESTION, meetings, 100);
+    assert.equal(hits.length, 20);
+    assert.deepEqual(hits.map(h => h.meetingId), meetings.map(m => m.meetingId));
+    assert.deepEqual(hits[0].matchedBy.sort(), ['keyword', 'semantic']);
+    assert.equal(hits[0].meetingDate, '2024-05-20T10:00:00.000Z');
+    assert.equal(queryEmbeds.length, 1);
+
+    const top = await cross.searchAcrossMeetings(QUESTION, meetings);
+    assert.equal(top.length, 12);
+    assert.equal(queryEmbeds.length, 1);
+});
@@ -0,0 +1,289 @@
+/**
+ * Data Export / Import
+ *
+ * A portable ZIP archive of everything the app stores, written and read through the
+ * storage interface, so an export from one backend (files, MongoDB, SQLite) imports into any other:
+ *
+ *   manifest.json                   format, schema version, counts and a sha256 per file
+ *   meetings/<meetingId>.json       meeting documents, including cached summary and action items
+ *   chunks/<meetingId>.json
+ *   versions/<meetingId>/<n>.json   archived meeting versions
+ *   schedules.json                  scheduled recordings
+ *   uploads/<rawFile>               raw uploaded files
+ *
+ * Import verifies every checksum before writing anything. Meetings from an older schema are
+ * migrated on the way in (see migrations.js).
+ */
+
+import crypto from 'crypto';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import * as storage from './storage.js';
+import { UPLOAD_DIR } from './config.js';
+import { SCHEMA_VERSION } from './schema.js';
+import { migrateMeeting } from './migrations.js';
+import { deleteRawFiles } from './trash.js';
+
+export const EXPORT_FORMAT = 'meetingai-export';
+export const EXPORT_FORMAT_VERSION = 1;
+export const IMPORT_MODES = ['merge', 'replace'];
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function stripId({ _id, ...doc }) {
+    return doc;
+}
+
+function idPath(id) {
+    return encodeURIComponent(id);
+}
+
+/**
+ * Build the export archive.
+ * `options.onProgress({ done, total })` is called after each meeting.
+ * @returns {Promise<{ buffer: Buffer, manifest: object }>}
+ */
+export async function exportArchive(options = {}) {
+    const zip = new JSZip();
+    const files = {};
+    const add = (name, content) => {
+        const buffer = Buffer.isBuffer(content) ? content : Buffer.from(JSON.stringify(content, null, 2), 'utf8');
+        zip.file(name, buffer);
+        files[name] = { sha256: sha256(buffer), bytes: buffer.length };
+    };
+
+    // Includes meetings in the trash, so an import restores exactly what was there
+    const meetings = await storage.loadTranscripts();
+    const counts = { meetings: 0, chunks: 0, versions: 0, schedules: 0, rawFiles: 0, missingRawFiles: 0 };
+
+    for (const meeting of meetings) {
+        const id = idPath(meeting.meetingId);
+        add(`meetings/${id}.json`, stripId(meeting));
+        counts.meetings++;
+
+        const chunks = await storage.loadChunks(meeting.meetingId);
+        if (chunks.length) {
+            add(`chunks/${id}.json`, chunks.map(stripId));
+            counts.chunks += chunks.length;
+        }
+
+        const rawFiles = new Set([meeting.rawFile]);
+        for (const { version } of await storage.listMeetingVersions(meeting.meetingId)) {
+            const snapshot = await storage.getMeetingVersion(meeting.meetingId, version);
+            if (!snapshot) continue;
+            add(`versions/${id}/${version}.json`, stripId(snapshot));
+            rawFiles.add(snapshot.meeting?.rawFile);
+            counts.versions++;
+        }
+
+        for (const rawFile of [...rawFiles].filter(Boolean)) {
+            try {
+                add(`uploads/${path.basename(rawFile)}`, await readFile(path.join(UPLOAD_DIR, path.basename(rawFile))));
+                counts.rawFiles++;
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+                counts.missingRawFiles++;
+            }
+        }
+
+        options.onProgress?.({ done: counts.meetings, total: meetings.length });
+    }
+
+    const schedules = (await storage.getScheduledRecordings()).map(stripId);
+    add('schedules.json', schedules);
+    counts.schedules = schedules.length;
+
+    const manifest = {
+        format: EXPORT_FORMAT,
+        formatVersion: EXPORT_FORMAT_VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        storageBackend: storage.getBackendName(),
+        counts,
+        files
+    };
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    return { buffer, manifest };
+}
+
+/**
+ * Open an archive and check the manifest and every checksum. Throws on any problem.
+ * @returns {Promise<{ manifest, read: (name) => Promise<Buffer> }>}
+ */
+export async function verifyArchive(buffer) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (err) {
+        throw new Error('Not a valid ZIP archive');
+    }
+
+    const manifestFile = zip.file('manifest.json');
+    if (!manifestFile) throw new Error('Archive has no manifest.json');
+    const manifest = JSON.parse(await manifestFile.async('string'));
+
+    if (manifest.format !== EXPORT_FORMAT) throw new Error(`Unknown archive format "${manifest.format}"`);
+    if (manifest.formatVersion > EXPORT_FORMAT_VERSION) {
+        throw new Error(`Archive format version ${manifest.formatVersion} is newer than this app supports (${EXPORT_FORMAT_VERSION})`);
+    }
+    if (manifest.schemaVersion > SCHEMA_VERSION) {
+        throw new Error(`Archive schema version ${manifest.schemaVersion} is newer than this app (${SCHEMA_VERSION}); upgrade first`);
+    }
+
+    const problems = [];
+    for (const [name, { sha256: expected }] of Object.entries(manifest.files || {})) {
+        const file = zip.file(name);
+        if (!file) {
+            problems.push(`${name} is missing`);
+            continue;
+        }
+        if (sha256(await file.async('nodebuffer')) !== expected) problems.push(`${name} checksum mismatch`);
+    }
+    const unlisted = Object.keys(zip.files).filter(n => !zip.files[n].dir && n !== 'manifest.json' && !manifest.files?.[n]);
+    unlisted.forEach(n => problems.push(`${n} is not in the manifest`));
+
+    if (problems.length) {
+        throw new Error(`Archive failed verification: ${problems.slice(0, 10).join('; ')}${problems.length > 10 ? ` (+${problems.length - 10} more)` : ''}`);
+    }
+
+    return { manifest, read: name => zip.file(name).async('nodebuffer') };
+}
+
+async function readJsonEntry(read, name) {
+    return JSON.parse((await read(name)).toString('utf8'));
+}
+
+/**
+ * Remove every meeting (with chunks, versions and raw files) and every schedule.
+ * Used by replace-mode imports; each removed meeting is written to the purge log.
+ */
+async function clearAllData() {
+    const meetings = await storage.loadTranscripts();
+    for (const meeting of meetings) {
+        const deletedFiles = await deleteRawFiles(meeting);
+        const { deletedChunks } = await storage.deleteMeeting(meeting.meetingId);
+        const { deletedCount: deletedVersions } = await storage.deleteMeetingVersions(meeting.meetingId);
+        await storage.savePurgeLogEntry({
+            purgedAt: new Date().toISOString(),
+            reason: 'import-replace',
+            meetingId: meeting.meetingId,
+            source: meeting.source,
+            targets: ['meeting'],
+            details: { deletedChunks, deletedVersions, deletedFiles }
+        });
+    }
+    for (const schedule of await storage.getScheduledRecordings()) {
+        await storage.deleteScheduledRecording(schedule.id);
+    }
+    return meetings.length;
+}
+
+/**
+ * Load an export archive.
+ *   merge:   add meetings and schedules that don't exist yet; existing ones are left untouched
+ *   replace: delete all current data first, then load the archive
+ * `options.onProgress({ done, total })` is called after each meeting.
+ */
+export async function importArchive(buffer, { mode = 'merge', onProgress } = {}) {
+    if (!IMPORT_MODES.includes(mode)) throw new Error(`Unknown import mode "${mode}". Use: ${IMPORT_MODES.join(', ')}`);
+
+    const { manifest, read } = await verifyArchive(buffer);
+    const names = Object.keys(manifest.files);
+    const meetingFiles = names.filter(n => n.startsWith('meetings/'));
+
+    const result = {
+        mode,
+        exportedAt: manifest.exportedAt,
+        fromBackend: manifest.storageBackend,
+        cleared: 0,
+        imported: [],
+        skipped: [],
+        migrated: 0,
+        chunks: 0,
+        versions: 0,
+        rawFiles: 0,
+        schedules: { imported: 0, skipped: 0 }
+    };
+
+    if (mode === 'replace') result.cleared = await clearAllData();
+    await mkdir(UPLOAD_DIR, { recursive: true });
+
+    for (const name of meetingFiles) {
+        const archived = await readJsonEntry(read, name);
+        const id = idPath(archived.meetingId);
+
+        if (mode === 'merge' && await storage.getMeeting(archived.meetingId)) {
+            result.skipped.push(archived.meetingId);
+            onProgress?.({ done: result.imported.length + result.skipped.length, total: meetingFiles.length });
+            continue;
+        }
+
+        const chunkFile = `chunks/${id}.json`;
+        const archivedChunks = manifest.files[chunkFile] ? await readJsonEntry(read, chunkFile) : [];
+        const { meeting, chunks, steps } = migrateMeeting(archived, archivedChunks);
+        if (steps.length) result.migrated++;
+
+        await storage.replaceMeeting(meeting);
+        if (chunks.length) await storage.saveChunks(chunks);
+        result.chunks += chunks.length;
+
+        const rawFiles = new Set([meeting.rawFile]);
+        for (const versionFile of names.filter(n => n.startsWith(`versions/${id}/`))) {
+            const snapshot = await readJsonEntry(read, versionFile);
+            await storage.saveMeetingVersion(snapshot);
+            rawFiles.add(snapshot.meeting?.rawFile);
+            result.versions++;
+        }
+
+        for (const rawFile of [...rawFiles].filter(Boolean)) {
+            const entry = `uploads/${path.basename(rawFile)}`;
+            if (!manifest.files[entry]) continue;
+            await writeFile(path.join(UPLOAD_DIR, path.basename(rawFile)), await read(entry));
+            result.rawFiles++;
+        }
+
+        result.imported.push(meeting.meetingId);
+        onProgress?.({ done: result.imported.length + result.skipped.length, total: meetingFiles.length });
+    }
+
+    if (manifest.files['schedules.json']) {
+        const existing = new Set((await storage.getScheduledRecordings()).map(s => s.id));
+        for (const schedule of await readJsonEntry(read, 'schedules.json')) {
+            if (existing.has(schedule.id)) {
+                result.schedules.skipped++;
+                continue;
+            }
+            await storage.saveScheduledRecording(schedule);
+            result.schedules.imported++;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Job stages for an import (see jobs.js). Nothing is retried: a failed import should be looked at.
+ */
+export function importJobStages(buffer, options = {}) {
+    return [
+        {
+            name: 'verify',
+            retry: false,
+            run: async (ctx) => {
+                ctx.manifest = (await verifyArchive(buffer)).manifest;
+            }
+        },
+        {
+            name: 'import',
+            retry: false,
+            run: async (ctx, { setProgress }) => {
+                ctx.result = await importArchive(buffer, { ...options, onProgress: setProgress });
+            }
+        }
+    ];
+}
@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingai-export-'));
+process.chdir(workDir);
+process.env.STORAGE_BACKEND = 'files';
+process.env.DATA_DIR = path.join(workDir, 'data');
+
+const uploads = path.join(workDir, 'public', 'uploads');
+
+let storage;
+let dataExport;
+let archive;
+
+// Rewrite one file of an archive without touching its manifest
+async function tamper(buffer, name, content) {
+    const zip = await JSZip.loadAsync(buffer);
+    zip.file(name, content);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+before(async () => {
+    fs.mkdirSync(uploads, { recursive: true });
+    storage = await import('./storage.js');
+    dataExport = await import('./data-export.js');
+
+    const { SCHEMA_VERSION } = await import('./schema.js');
+    const entries = [{ start: '00:00:01.000', end: '00:00:02.000', speaker: 'Asha', text: 'Ship it' }];
+    await storage.saveTranscripts({ meetingId: 'standup', schemaVersion: SCHEMA_VERSION, source: 'standup.vtt', rawFile: 'standup.vtt', entries, summary: { summary: 'Shipped' } });
+    await storage.saveChunks([{ meetingId: 'standup', chunkId: 'standup#0001', schemaVersion: SCHEMA_VERSION, startSec: 1, endSec: 2, text: 'Ship it' }]);
+    await storage.saveMeetingVersion({ meetingId: 'standup', version: 1, archivedAt: '2024-05-01T00:00:00.000Z', meeting: { meetingId: 'standup', rawFile: 'standup-v1.vtt' }, chunks: [] });
+    await storage.saveTranscripts({ meetingId: 'retro', schemaVersion: SCHEMA_VERSION, source: 'retro.vtt', rawFile: 'retro.vtt', entries, deletedAt: '2024-05-02T00:00:00.000Z' });
+    await storage.saveScheduledRecording({ id: 'weekly', title: 'Weekly sync' });
+    fs.writeFileSync(path.join(uploads, 'standup.vtt'), 'WEBVTT standup');
+    fs.writeFileSync(path.join(uploads, 'standup-v1.vtt'), 'WEBVTT standup v1');
+
+    ({ buffer: archive } = await dataExport.exportArchive());
+});
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('the export lists everything, including the trash, with a checksum per file', async () => {
+    const { manifest } = await dataExport.verifyArchive(archive);
+    assert.equal(manifest.format, 'meetingai-export');
+    assert.deepEqual(manifest.counts, { meetings: 2, chunks: 1, versions: 1, schedules: 1, rawFiles: 2, missingRawFiles: 1 });
+    assert.deepEqual(Object.keys(manifest.files).sort(), [
+        'chunks/standup.json', 'meetings/retro.json', 'meetings/standup.json', 'schedules.json',
+        'uploads/standup-v1.vtt', 'uploads/standup.vtt', 'versions/standup/1.json'
+    ]);
+});
+
+test('an archive that was changed, is newer or is not a ZIP is rejected before anything is written', async () => {
+    await assert.rejects(dataExport.importArchive(await tamper(archive, 'meetings/standup.json', '{}')), /meetings\/standup\.json checksum mismatch/);
+    await assert.rejects(dataExport.importArchive(await tamper(archive, 'extra.json', '{}')), /extra\.json is not in the manifest/);
+
+    const zip = await JSZip.loadAsync(archive);
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+    const newer = await tamper(archive, 'manifest.json', JSON.stringify({ ...manifest, schemaVersion: manifest.schemaVersion + 1 }));
+    await assert.rejects(dataExport.verifyArchive(newer), /is newer than this app/);
+
+    await assert.rejects(dataExport.verifyArchive(Buffer.from('plain text')), /Not a valid ZIP archive/);
+    await assert.rejects(dataExport.importArchive(archive, { mode: 'overwrite' }), /Unknown import mode "overwrite"/);
+    assert.equal((await storage.getMeeting('standup')).summary.summary, 'Shipped');
+});
+
+test('a merge import only adds what is missing', async () => {
+    await storage.deleteMeeting('retro');
+    await storage.updateMeeting('standup', { title: 'Edited locally' });
+
+    const result = await dataExport.importArchive(archive);
+    assert.deepEqual([result.imported, result.skipped, result.schedules], [['retro'], ['standup'], { imported: 0, skipped: 1 }]);
+    assert.equal((await storage.getMeeting('standup')).title, 'Edited locally');
+    assert.equal((await storage.getMeeting('retro')).deletedAt, '2024-05-02T00:00:00.000Z');
+});
+
+test('a replace import clears current data, logs the purge and restores the archive', async () => {
+    await storage.saveTranscripts({ meetingId: 'scratch', source: 'scratch.vtt', entries: [] });
+    fs.rmSync(path.join(uploads, 'standup-v1.vtt'));
+
+    const result = await dataExport.importArchive(archive, { mode: 'replace' });
+    assert.deepEqual([result.cleared, result.imported.sort(), result.chunks, result.versions, result.rawFiles], [3, ['retro', 'standup'], 1, 1, 2]);
+
+    assert.equal(await storage.getMeeting('scratch'), null);
+    assert.equal((await storage.getMeeting('standup')).title, undefined);
+    assert.equal((await storage.loadChunks('standup')).length, 1);
+    assert.equal((await storage.getMeetingVersion('standup', 1)).meeting.rawFile, 'standup-v1.vtt');
+    assert.equal(fs.readFileSync(path.join(uploads, 'standup-v1.vtt'), 'utf8'), 'WEBVTT standup v1');
+    assert.deepEqual((await storage.getScheduledRecordings()).map(s => s.id), ['weekly']);
+    assert.ok((await storage.listPurgeLog()).some(e => e.reason === 'import-replace' && e.meetingId === 'scratch'));
+});
@@ -0,0 +1,134 @@
+/**
+ * Embedding Providers
+ *
+ * Turn chunk text and questions into vectors, so chat retrieval can find chunks that mean the
+ * same thing as the question without sharing its words ("what blockers came up?" -> "we're
+ * stuck waiting on the API keys").
+ *
+ * A provider is { name, model, dims, minSimilarity, embed(texts) => Promise<number[][]> },
+ * returning unit-length vectors. Selected with EMBEDDING_PROVIDER:
+ * - 'none' (default): no embeddings; chat retrieval is keyword only
+ * - 'local': a sentence-transformer model on the CPU via the optional
+ *   @huggingface/transformers package, no cloud dependency
+ * - 'fake': deterministic hashed bag-of-words vectors for tests and local development
+ */
+
+import { analyze } from './lexical-index.js';
+
+const DEFAULT_LOCAL_MODEL = 'Xenova/paraphrase-multilingual-MiniLM-L12-v2';
+const BATCH_SIZE = 16;
+
+const providers = {
+    'local': createLocalProvider,
+    'fake': createFakeProvider
+};
+
+// Models are expensive to load, so each provider is created once per process
+const instances = new Map();
+
+/**
+ * Register an additional provider factory (e.g. a hosted embeddings API) under a name.
+ */
+export function registerEmbeddingProvider(name, factory) {
+    providers[name] = factory;
+    instances.delete(name);
+}
+
+/**
+ * Get the configured provider (EMBEDDING_PROVIDER, default 'none'), or null for 'none'.
+ */
+export function getEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'none') {
+    if (name === 'none') return null;
+    if (!instances.has(name)) {
+        const factory = providers[name];
+        if (!factory) {
+            throw new Error(`Unknown embedding provider "${name}". Available: ${[...Object.keys(providers), 'none'].join(', ')}`);
+        }
+        instances.set(name, factory());
+    }
+    return instances.get(name);
+}
+
+export function normalizeVector(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm ? vector.map(v => v / norm) : vector;
+}
+
+/**
+ * Sentence-transformer model run with ONNX on the CPU. The model is downloaded to the
+ * transformers cache on first use. The default is multilingual, so Hinglish and Devanagari
+ * chunks land near their English paraphrases.
+ *
+ * Env: EMBEDDING_MODEL, EMBEDDING_MIN_SIMILARITY
+ */
+export function createLocalProvider(config = {}) {
+    const model = config.model || process.env.EMBEDDING_MODEL || DEFAULT_LOCAL_MODEL;
+    let extractor = null;
+
+    async function load() {
+        if (extractor) return extractor;
+        let transformers;
+        try {
+            transformers = await import('@huggingface/transformers');
+        } catch (err) {
+            throw new Error('Local embeddings need @huggingface/transformers. Run: npm install @huggingface/transformers (or unset EMBEDDING_PROVIDER)');
+        }
+        extractor = await transformers.pipeline('feature-extraction', model);
+        return extractor;
+    }
+
+    return {
+        name: 'local',
+        model,
+        dims: null,
+        minSimilarity: Number(config.minSimilarity ?? process.env.EMBEDDING_MIN_SIMILARITY ?? 0.3),
+        async embed(texts) {
+            const pipe = await load();
+            const vectors = [];
+            for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+                const output = await pipe(texts.slice(i, i + BATCH_SIZE), { pooling: 'mean', normalize: true });
+                vectors.push(...output.tolist());
+            }
+            return vectors;
+        }
+    };
+}
+
+function hashToken(token) {
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (const ch of token) {
+        hash ^= ch.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Deterministic provider for tests: stems and character trigrams hashed into a fixed number
+ * of dimensions. Texts that share words (or word pieces) are similar; nothing is downloaded.
+ */
+export function createFakeProvider(config = {}) {
+    const dims = config.dims || 256;
+
+    return {
+        name: 'fake',
+        model: `hashed-${dims}`,
+        dims,
+        minSimilarity: Number(config.minSimilarity ?? process.env.EMBEDDING_MIN_SIMILARITY ?? 0.1),
+        async embed(texts) {
+            return texts.map(text => {
+                const vector = new Array(dims).fill(0);
+                for (const term of analyze(text)) {
+                    const features = [term];
+                    for (let i = 0; i + 3 <= term.length; i++) features.push(`#${term.slice(i, i + 3)}`);
+                    for (const feature of features) {
+                        const hash = hashToken(feature);
+                        vector[hash % dims] += (hash & 0x80000000) ? -1 : 1;
+                    }
+                }
+                return normalizeVector(vector);
+            });
+        }
+    };
+}
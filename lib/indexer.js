@@ -1,29 +1,342 @@
-export function chunkEntries(entries, opts = { windowSec: 90, minChars: 350, overlapSec: 15 }) {
+/**
+ * Transcript Chunker
+ *
+ * Splits a meeting's entries into the chunks that retrieval and chat work on. Strategies:
+ *   - 'window'       (default) time windows of ~90s with overlap, the original chunker
+ *   - 'speaker-turn' whole speaker turns packed together; long monologues split between lines
+ *   - 'token-budget' windows of a fixed token budget (~4 chars per token) with token overlap
+ *   - 'topic'        topic-shift segments: a chunk ends where the vocabulary of the lines
+ *                    before and after a gap stops overlapping (TextTiling-style lexical cohesion)
+ *
+ * The strategy is chosen per meeting (upload field or re-index, else CHUNKING_STRATEGY) and
+ * recorded on the meeting (`chunking`) and on every chunk (`strategy`).
+ */
+
+import { timestampToSeconds } from './parser.js';
+import { analyze } from './lexical-index.js';
+import { SCHEMA_VERSION } from './schema.js';
+import { CHUNKING_STRATEGY } from './config.js';
+
+const STRATEGIES = {
+  'window': {
+    defaults: { windowSec: 90, minChars: 350, overlapSec: 15 },
+    chunk: windowChunks
+  },
+  'speaker-turn': {
+    defaults: { maxChars: 1200, minChars: 200 },
+    chunk: speakerTurnChunks
+  },
+  'token-budget': {
+    defaults: { maxTokens: 256, overlapTokens: 32 },
+    chunk: tokenBudgetChunks
+  },
+  'topic': {
+    defaults: { blockSize: 4, minEntries: 3, maxChars: 2400 },
+    chunk: topicChunks
+  }
+};
+
+export const CHUNKING_STRATEGIES = Object.keys(STRATEGIES);
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Validate a chunking choice and fill in defaults.
+ * Accepts a strategy name, { strategy, options } or nothing (CHUNKING_STRATEGY).
+ * @returns {{ strategy, options }} options are the strategy's defaults with overrides applied
+ */
+export function resolveChunking(chunking) {
+  const { strategy = CHUNKING_STRATEGY, options = {} } = typeof chunking === 'string' ? { strategy: chunking } : (chunking || {});
+  const def = STRATEGIES[strategy];
+  if (!def) {
+    throw new Error(`INVALID_PARAM: Unknown chunking strategy "${strategy}". Available: ${CHUNKING_STRATEGIES.join(', ')}`);
+  }
+  const resolved = { ...def.defaults };
+  for (const [key, value] of Object.entries(options || {})) {
+    if (!(key in def.defaults)) continue;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`INVALID_PARAM: chunking option ${key} must be a non-negative number`);
+    resolved[key] = n;
+  }
+  return { strategy, options: resolved };
+}
+
+/**
+ * Chunk entries with a strategy. Chunks get placeholder ids ('web#0001'); see chunkMeetingEntries.
+ * A bare options object (the old signature) uses the 'window' strategy.
+ */
+export function chunkEntries(entries, chunking) {
+  const isLegacyOptions = chunking && typeof chunking === 'object' && !chunking.strategy && !chunking.options;
+  const { strategy, options } = resolveChunking(isLegacyOptions ? { strategy: 'window', options: chunking } : chunking);
+  const prepared = prepareEntries(entries);
+  if (!prepared.length) return [];
+
+  return STRATEGIES[strategy].chunk(prepared, options).map((chunk, idx) => ({
+    chunkId: `web#${String(idx + 1).padStart(4, '0')}`,
+    sequence: idx + 1,
+    ...chunk,
+    strategy
+  }));
+}
+
+/**
+ * Chunks ready to store for a meeting: ids `${meetingId}#0001`, meetingId and schemaVersion set.
+ * @returns {{ chunks, chunking }} chunking is what to record on the meeting
+ */
+export function chunkMeetingEntries(meetingId, entries, chunking) {
+  const resolved = resolveChunking(chunking);
+  const chunks = chunkEntries(entries, resolved).map((chunk, i) => ({
+    ...chunk,
+    schemaVersion: SCHEMA_VERSION,
+    meetingId,
+    chunkId: `${meetingId}#${String(i + 1).padStart(4, '0')}`
+  }));
+  return { chunks, chunking: resolved };
+}
+
+function timeToSec(t) {
+  if (t === undefined || t === null || t === '') return null;
+  const sec = typeof t === 'number' ? t : timestampToSeconds(t);
+  return Number.isFinite(sec) ? sec : null;
+}
+
+// Sorted entries with numeric times. A missing start falls back to the previous entry's, so
+// untimed lines stay where they were; a missing end stays null (the window strategy relies on it).
+function prepareEntries(entries) {
+  let lastStart = 0;
+  return (entries || [])
+    .filter(e => e && typeof e.text === 'string' && e.text.trim())
+    .map(e => {
+      const startSec = timeToSec(e.start) ?? timeToSec(e.end) ?? lastStart;
+      lastStart = startSec;
+      return { ...e, startSec, endSec: timeToSec(e.end) };
+    })
+    .sort((a, b) => a.startSec - b.startSec);
+}
+
+function entryEnd(e) {
+  return e.endSec ?? e.startSec;
+}
+
+function entryLine(e) {
+  return `${e.speaker ? `[${e.speaker}]: ` : ''}${e.text}`;
+}
+
+// One line per turn: consecutive lines of the same speaker are joined
+function renderTurns(entries) {
+  const lines = [];
+  let last;
+  for (const e of entries) {
+    if (lines.length && e.speaker === last) lines[lines.length - 1] += ` ${e.text}`;
+    else lines.push(entryLine(e));
+    last = e.speaker;
+  }
+  return lines.join('\n');
+}
+
+function toChunk(entries) {
+  return {
+    startSec: entries[0].startSec,
+    endSec: Math.max(...entries.map(entryEnd)),
+    text: renderTurns(entries)
+  };
+}
+
+function roundSec(sec) {
+  return Math.round(sec * 1000) / 1000;
+}
+
+function tokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// === 'window' ===
+
+function windowChunks(sorted, opts) {
   // very small in-memory chunker for the web app
   const chunks = [];
-  let seq = 0;
   let i = 0;
-  const sorted = (entries || []).slice().map((e, idx) => ({ ...e, startSec: timeToSec(e.start) })).sort((a, b) => a.startSec - b.startSec);
   while (i < sorted.length) {
-    const startSec = sorted[i].startSec || 0;
-    let endSec = sorted[i].end ? timeToSec(sorted[i].end) : startSec + 5;
+    const startSec = sorted[i].startSec;
+    let endSec = sorted[i].endSec ?? startSec + 5;
     let textAcc = '';
     let j = i;
     while (j < sorted.length) {
       const e = sorted[j];
-      const speakerLabel = e.speaker ? `[${e.speaker}]: ` : '';
-      const entryText = `${speakerLabel}${e.text}`;
-      const potentialText = textAcc ? (textAcc + '\n' + entryText) : entryText;
-      const potentialEnd = e.end ? timeToSec(e.end) : e.startSec;
+      const potentialText = textAcc ? (textAcc + '\n' + entryLine(e)) : entryLine(e);
+      const potentialEnd = entryEnd(e);
       if ((potentialEnd - startSec) > opts.windowSec && potentialText.length >= opts.minChars) break;
       textAcc = potentialText; endSec = potentialEnd; j++;
     }
-    seq++;
-    const chunk = { chunkId: `web#${String(seq).padStart(4, '0')}`, sequence: seq, startSec, endSec, text: textAcc };
-    chunks.push(chunk);
+    chunks.push({ startSec, endSec, text: textAcc });
     // advance with overlap
-    const threshold = endSec - opts.overlapSec; let k = j; while (k < sorted.length && (sorted[k].startSec || 0) < threshold) k++; if (k === i) k = j || i + 1; i = k;
+    const threshold = endSec - opts.overlapSec; let k = j; while (k < sorted.length && sorted[k].startSec < threshold) k++; if (k === i) k = j || i + 1; i = k;
+  }
+  return chunks;
+}
+
+// === 'speaker-turn' ===
+
+function speakerTurnChunks(sorted, opts) {
+  // Turns, with any turn longer than maxChars cut between its lines (or inside a single huge line)
+  const pieces = [];
+  let turn = [];
+  let turnChars = 0;
+  for (const e of splitLongEntries(sorted, opts.maxChars / CHARS_PER_TOKEN)) {
+    const chars = e.text.length + 1;
+    if (turn.length && (e.speaker !== turn[0].speaker || turnChars + chars > opts.maxChars)) {
+      pieces.push(turn);
+      turn = [];
+      turnChars = 0;
+    }
+    turn.push(e);
+    turnChars += chars;
+  }
+  if (turn.length) pieces.push(turn);
+
+  // Pack whole turns until the next one would overflow a chunk that is already big enough
+  const chunks = [];
+  let current = [];
+  for (const piece of pieces) {
+    const size = renderTurns([...current, ...piece]).length;
+    if (current.length && size > opts.maxChars && renderTurns(current).length >= opts.minChars) {
+      chunks.push(toChunk(current));
+      current = [];
+    }
+    current.push(...piece);
+  }
+  if (current.length) chunks.push(toChunk(current));
+  return chunks;
+}
+
+// === 'token-budget' ===
+
+// Entries longer than the budget are cut at word boundaries, with times interpolated
+function splitLongEntries(sorted, maxTokens) {
+  const out = [];
+  for (const e of sorted) {
+    if (tokens(entryLine(e)) <= maxTokens) {
+      out.push(e);
+      continue;
+    }
+    const words = e.text.split(/\s+/).filter(Boolean);
+    const parts = [];
+    let part = [];
+    for (const word of words) {
+      if (part.length && tokens(entryLine({ ...e, text: [...part, word].join(' ') })) > maxTokens) {
+        parts.push(part);
+        part = [];
+      }
+      part.push(word);
+    }
+    if (part.length) parts.push(part);
+
+    const duration = entryEnd(e) - e.startSec;
+    let done = 0;
+    for (const p of parts) {
+      const startSec = roundSec(e.startSec + duration * done / words.length);
+      done += p.length;
+      out.push({ ...e, text: p.join(' '), startSec, endSec: roundSec(e.startSec + duration * done / words.length) });
+    }
+  }
+  return out;
+}
+
+function tokenBudgetChunks(sorted, opts) {
+  const maxTokens = Math.max(1, opts.maxTokens);
+  const pieces = splitLongEntries(sorted, maxTokens);
+  const chunks = [];
+  let i = 0;
+  while (i < pieces.length) {
+    let j = i;
+    let used = 0;
+    while (j < pieces.length && (j === i || used + tokens(entryLine(pieces[j])) <= maxTokens)) {
+      used += tokens(entryLine(pieces[j]));
+      j++;
+    }
+    chunks.push(toChunk(pieces.slice(i, j)));
+    if (j >= pieces.length) break;
+
+    // Start the next chunk far enough back to repeat about overlapTokens
+    let k = j;
+    let overlap = 0;
+    while (k - 1 > i && overlap + tokens(entryLine(pieces[k - 1])) <= opts.overlapTokens) {
+      overlap += tokens(entryLine(pieces[k - 1]));
+      k--;
+    }
+    i = k;
+  }
+  return chunks;
+}
+
+// === 'topic' ===
+
+function termCounts(entries) {
+  const counts = new Map();
+  for (const e of entries) {
+    for (const term of analyze(e.text)) counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (const [term, n] of a) dot += n * (b.get(term) || 0);
+  const norm = m => Math.sqrt([...m.values()].reduce((sum, n) => sum + n * n, 0));
+  const denom = norm(a) * norm(b);
+  return denom ? dot / denom : 0;
+}
+
+/**
+ * Gap indices (a boundary before entry i) where the topic shifts. The cohesion of each gap is
+ * the similarity of the blockSize lines on either side; a gap is a boundary when it sits in a
+ * valley deeper than mean - stddev / 2 of all valley depths.
+ */
+export function topicBoundaries(sorted, { blockSize, minEntries }) {
+  const n = sorted.length;
+  if (n < Math.max(2, minEntries * 2)) return [];
+
+  const gaps = [];
+  for (let i = 1; i < n; i++) {
+    const left = termCounts(sorted.slice(Math.max(0, i - blockSize), i));
+    const right = termCounts(sorted.slice(i, i + blockSize));
+    gaps.push({ index: i, cohesion: cosine(left, right) });
+  }
+
+  // Depth: how far the cohesion drops below the nearest peaks on both sides
+  for (let g = 0; g < gaps.length; g++) {
+    let leftPeak = gaps[g].cohesion;
+    for (let l = g - 1; l >= 0 && gaps[l].cohesion >= leftPeak; l--) leftPeak = gaps[l].cohesion;
+    let rightPeak = gaps[g].cohesion;
+    for (let r = g + 1; r < gaps.length && gaps[r].cohesion >= rightPeak; r++) rightPeak = gaps[r].cohesion;
+    gaps[g].depth = (leftPeak - gaps[g].cohesion) + (rightPeak - gaps[g].cohesion);
+  }
+
+  const depths = gaps.map(g => g.depth);
+  const mean = depths.reduce((a, b) => a + b, 0) / depths.length;
+  const std = Math.sqrt(depths.reduce((sum, d) => sum + (d - mean) ** 2, 0) / depths.length);
+  const cutoff = mean - std / 2;
+
+  // Deepest valleys first, keeping every segment at least minEntries lines long
+  const boundaries = [];
+  for (const gap of gaps.filter(g => g.depth > 0 && g.depth >= cutoff).sort((a, b) => b.depth - a.depth)) {
+    const edges = [0, ...boundaries, n];
+    if (edges.every(edge => Math.abs(edge - gap.index) >= minEntries)) boundaries.push(gap.index);
+  }
+  return boundaries.sort((a, b) => a - b);
+}
+
+function topicChunks(sorted, opts) {
+  const edges = [0, ...topicBoundaries(sorted, opts), sorted.length];
+  const chunks = [];
+  for (let s = 0; s + 1 < edges.length; s++) {
+    const segment = sorted.slice(edges[s], edges[s + 1]);
+    // A long single-topic stretch is still cut to a size the chat prompt can hold
+    if (renderTurns(segment).length > opts.maxChars) {
+      chunks.push(...tokenBudgetChunks(segment, { maxTokens: opts.maxChars / CHARS_PER_TOKEN, overlapTokens: 0 }));
+    } else {
+      chunks.push(toChunk(segment));
+    }
   }
   return chunks;
 }
-function timeToSec(t) { const [h, m, s] = t.split(':'); return Number(h) * 3600 + Number(m) * 60 + Number(s); }
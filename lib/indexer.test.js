@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveChunking, chunkEntries, chunkMeetingEntries, topicBoundaries, CHUNKING_STRATEGIES } from './indexer.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+const ts = sec => `00:${String(Math.floor(sec / 60)).padStart(2, '0')}:${String(sec % 60).padStart(2, '0')}.000`;
+const entry = (sec, speaker, text, duration = 8) => ({ start: ts(sec), end: ts(sec + duration), speaker, text });
+
+// Two topics: the Postgres migration, then the marketing campaign
+const meeting = [
+  entry(0, 'Asha', 'The database migration to Postgres starts Monday with the billing tables.'),
+  entry(10, 'Ravi', 'Postgres replicas for the billing database are ready, migration scripts tested.'),
+  entry(20, 'Asha', 'Database backups run before each migration step on the billing tables.'),
+  entry(30, 'Ravi', 'Rollback for the Postgres migration restores the billing database backups.'),
+  entry(40, 'Meera', 'Marketing launches the summer campaign with new banner designs.'),
+  entry(50, 'Ben', 'Campaign banners and social posts for marketing are scheduled for June.'),
+  entry(60, 'Meera', 'The marketing budget covers campaign ads and banner printing.'),
+  entry(70, 'Ben', 'Social campaign metrics get reported to marketing weekly.'),
+];
+
+test('resolveChunking fills in defaults and rejects unknown strategies and bad options', () => {
+  assert.deepEqual(CHUNKING_STRATEGIES, ['window', 'speaker-turn', 'token-budget', 'topic']);
+  assert.deepEqual(resolveChunking({ strategy: 'window', options: { windowSec: '60', ignored: 1 } }), {
+    strategy: 'window',
+    options: { windowSec: 60, minChars: 350, overlapSec: 15 },
+  });
+  assert.deepEqual(resolveChunking('topic').options, { blockSize: 4, minEntries: 3, maxChars: 2400 });
+  assert.throws(() => resolveChunking('paragraph'), /^Error: INVALID_PARAM: Unknown chunking strategy "paragraph"/);
+  assert.throws(() => resolveChunking({ strategy: 'token-budget', options: { maxTokens: -1 } }), /maxTokens must be a non-negative number/);
+});
+
+test('window chunks cover fixed time spans; a bare options object still means window', () => {
+  const options = { windowSec: 25, minChars: 0, overlapSec: 10 };
+  const chunks = chunkEntries(meeting, { strategy: 'window', options });
+  assert.deepEqual(chunks.map(c => [c.startSec, c.endSec]), [[0, 18], [20, 38], [40, 58], [60, 78]]);
+  assert.deepEqual(chunkEntries(meeting, options), chunks);
+  assert.equal(chunks[0].text, '[Asha]: The database migration to Postgres starts Monday with the billing tables.\n[Ravi]: Postgres replicas for the billing database are ready, migration scripts tested.');
+});
+
+test('speaker-turn chunks join a speaker\'s consecutive lines and never split a short turn', () => {
+  const lines = [
+    entry(0, 'Asha', 'One.'), entry(5, 'Asha', 'Two.'),
+    entry(10, 'Ravi', 'Three.'), entry(15, 'Ravi', 'Four.'),
+    entry(20, 'Asha', 'Five.'),
+  ];
+  const chunks = chunkEntries(lines, { strategy: 'speaker-turn', options: { maxChars: 30, minChars: 0 } });
+  assert.deepEqual(chunks.map(c => c.text), ['[Asha]: One. Two.', '[Ravi]: Three. Four.', '[Asha]: Five.']);
+  assert.deepEqual(chunks.map(c => c.strategy), ['speaker-turn', 'speaker-turn', 'speaker-turn']);
+  assert.equal(chunkEntries(lines, 'speaker-turn').length, 1);
+});
+
+test('token-budget chunks stay within the budget and repeat about overlapTokens', () => {
+  const chunks = chunkEntries(meeting, { strategy: 'token-budget', options: { maxTokens: 40, overlapTokens: 20 } });
+  assert.deepEqual(chunks.map(c => [c.startSec, c.endSec]), [[0, 8], [10, 18], [20, 28], [30, 48], [40, 58], [50, 68], [60, 78]]);
+  for (const chunk of chunks) assert.ok(Math.ceil(chunk.text.length / 4) <= 40, chunk.text);
+});
+
+test('an entry longer than the budget is cut at word boundaries with interpolated times', () => {
+  const long = entry(0, 'Asha', 'word '.repeat(400).trim(), 100);
+  const { chunks, chunking } = chunkMeetingEntries('m', [long], { strategy: 'token-budget', options: { maxTokens: 200 } });
+  assert.deepEqual(chunking, { strategy: 'token-budget', options: { maxTokens: 200, overlapTokens: 32 } });
+  assert.deepEqual(chunks.map(c => [c.chunkId, c.startSec, c.endSec]), [['m#0001', 0, 39.5], ['m#0002', 39.5, 79], ['m#0003', 79, 100]]);
+  assert.ok(chunks.every(c => c.meetingId === 'm' && c.schemaVersion === SCHEMA_VERSION));
+});
+
+test('topic chunks break where the vocabulary shifts', () => {
+  const chunks = chunkEntries(meeting, 'topic');
+  assert.deepEqual(chunks.map(c => [c.startSec, c.endSec]), [[0, 38], [40, 78]]);
+  assert.match(chunks[1].text, /^\[Meera\]: Marketing launches/);
+  // Too few lines for two segments of minEntries each
+  assert.deepEqual(topicBoundaries(meeting.slice(0, 5).map((e, i) => ({ ...e, startSec: i })), { blockSize: 4, minEntries: 3 }), []);
+});
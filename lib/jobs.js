@@ -0,0 +1,228 @@
+/**
+ * Background Jobs
+ *
+ * Uploads and Teams ingestion run as jobs: the request enqueues the job and returns its id,
+ * the work runs in-process after the response, and GET /api/jobs/:id reports progress.
+ *
+ * A job is a list of stages ({ name, run(ctx, { setProgress }), retry?, optional?, skip?(ctx) }) sharing a ctx;
+ * the last stage puts the job's outcome in ctx.result.
+ * Each stage is retried with backoff up to JOB_MAX_ATTEMPTS; stages with `retry: false` fail at once
+ * (e.g. parse errors), `optional` stages (AI pre-generation) never fail the job.
+ * Job state is persisted through the storage layer after every transition.
+ * The queue itself lives in this process: jobs left queued or running by a previous process
+ * (restart, crash) are marked failed as 'interrupted' before this process takes new jobs.
+ */
+
+import crypto from 'crypto';
+import * as storage from './storage.js';
+import { generateSummary, extractActionItems } from './llm-service.js';
+import { getCachedOutput, cachedOutputFields } from './schema.js';
+
+export const JobStatus = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+export const StageStatus = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped'
+};
+
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 1);
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 3);
+const RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS || 2000);
+
+const queue = [];
+let active = 0;
+let recovery = null;
+
+export const INTERRUPTED_ERROR = 'interrupted: the server restarted before the job finished';
+
+/**
+ * Fail the jobs an earlier process left unfinished. Runs once per process, before the first
+ * job is enqueued or looked up.
+ */
+export function recoverInterruptedJobs() {
+    if (!recovery) {
+        recovery = failInterruptedJobs().catch(err => {
+            console.error('Failed to recover interrupted jobs:', err.message);
+            return 0;
+        });
+    }
+    return recovery;
+}
+
+async function failInterruptedJobs() {
+    const unfinished = await storage.listJobsByStatus([JobStatus.QUEUED, JobStatus.RUNNING]);
+    const now = new Date().toISOString();
+    for (const job of unfinished) {
+        for (const stage of job.stages || []) {
+            if (stage.status === StageStatus.RUNNING) {
+                stage.status = StageStatus.FAILED;
+                stage.finishedAt = now;
+            }
+        }
+        job.status = JobStatus.FAILED;
+        job.error = INTERRUPTED_ERROR;
+        job.finishedAt = now;
+        await persist(job);
+    }
+    if (unfinished.length) console.warn(`⚠️ Marked ${unfinished.length} interrupted job(s) as failed`);
+    return unfinished.length;
+}
+
+/**
+ * Create a job, persist it and schedule it. Returns the job record immediately.
+ * @param {string} type - e.g. 'upload', 'archive', 'recording', 'teams-ingest'
+ * @param {object} input - metadata shown in the status endpoint (no buffers or tokens)
+ * @param {Array} stages
+ */
+export async function enqueueJob(type, input, stages) {
+    await recoverInterruptedJobs();
+    const now = new Date().toISOString();
+    const job = {
+        jobId: `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        type,
+        status: JobStatus.QUEUED,
+        input,
+        stages: stages.map(s => ({
+            name: s.name,
+            status: StageStatus.PENDING,
+            optional: Boolean(s.optional),
+            attempts: 0,
+            errors: []
+        })),
+        progress: null,
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await storage.saveJob(job);
+    queue.push({ job, stages });
+    drain();
+    return job;
+}
+
+export async function getJob(jobId) {
+    await recoverInterruptedJobs();
+    return await storage.getJob(jobId);
+}
+
+/**
+ * Stages that pre-generate and cache the summary and action items, like the
+ * /api/summary and /api/actions routes do on first view. Expects ctx.meetingId.
+ */
+export function aiPregenerationStages() {
+    const noMeeting = ctx => !ctx.meetingId || ctx.duplicate;
+    return [
+        {
+            name: 'summary',
+            optional: true,
+            skip: noMeeting,
+            run: async (ctx) => {
+                const meeting = await storage.getMeeting(ctx.meetingId);
+                if (getCachedOutput(meeting, 'summary')) return;
+                await storage.updateMeeting(ctx.meetingId, cachedOutputFields('summary', await generateSummary(meeting)));
+            }
+        },
+        {
+            name: 'actions',
+            optional: true,
+            skip: noMeeting,
+            run: async (ctx) => {
+                const meeting = await storage.getMeeting(ctx.meetingId);
+                if (getCachedOutput(meeting, 'actionItems')) return;
+                await storage.updateMeeting(ctx.meetingId, cachedOutputFields('actionItems', await extractActionItems(meeting)));
+            }
+        }
+    ];
+}
+
+function drain() {
+    while (active < CONCURRENCY && queue.length) {
+        const { job, stages } = queue.shift();
+        active++;
+        runJob(job, stages)
+            .catch(err => console.error(`Job ${job.jobId} crashed:`, err))
+            .finally(() => { active--; drain(); });
+    }
+}
+
+async function runJob(job, stages) {
+    const ctx = {};
+    job.status = JobStatus.RUNNING;
+    job.startedAt = new Date().toISOString();
+    await persist(job);
+
+    for (let i = 0; i < stages.length; i++) {
+        const def = stages[i];
+        const state = job.stages[i];
+
+        if (def.skip && def.skip(ctx)) {
+            state.status = StageStatus.SKIPPED;
+            await persist(job);
+            continue;
+        }
+
+        state.status = StageStatus.RUNNING;
+        state.startedAt = new Date().toISOString();
+        await persist(job);
+
+        const maxAttempts = def.retry === false ? 1 : MAX_ATTEMPTS;
+        while (state.status === StageStatus.RUNNING) {
+            state.attempts++;
+            try {
+                await def.run(ctx, {
+                    setProgress: async (progress) => { job.progress = progress; await persist(job); }
+                });
+                state.status = StageStatus.COMPLETED;
+            } catch (err) {
+                console.error(`Job ${job.jobId} stage ${def.name} attempt ${state.attempts} failed:`, err.message);
+                state.errors.push({ attempt: state.attempts, message: err.message, at: new Date().toISOString() });
+                if (state.attempts >= maxAttempts) {
+                    state.status = StageStatus.FAILED;
+                } else {
+                    await persist(job);
+                    await sleep(RETRY_BASE_MS * 2 ** (state.attempts - 1));
+                }
+            }
+        }
+
+        state.finishedAt = new Date().toISOString();
+
+        if (state.status === StageStatus.FAILED && !def.optional) {
+            job.status = JobStatus.FAILED;
+            job.error = `${def.name}: ${state.errors[state.errors.length - 1].message}`;
+            job.finishedAt = state.finishedAt;
+            await persist(job);
+            return;
+        }
+        await persist(job);
+    }
+
+    job.status = JobStatus.COMPLETED;
+    job.result = ctx.result || null;
+    job.finishedAt = new Date().toISOString();
+    await persist(job);
+}
+
+async function persist(job) {
+    job.updatedAt = new Date().toISOString();
+    try {
+        await storage.saveJob(job);
+    } catch (err) {
+        // Status reporting must never break the processing itself
+        console.error(`Failed to persist job ${job.jobId}:`, err.message);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingai-jobs-'));
+process.env.STORAGE_BACKEND = 'files';
+process.env.DATA_DIR = dataDir;
+process.env.JOB_RETRY_BASE_MS = '1';
+
+let storage;
+let jobs;
+
+before(async () => {
+    storage = await import('./storage.js');
+    // Left behind by an earlier process
+    await storage.saveJob({ jobId: 'job_old_running', status: 'running', stages: [{ name: 'parse', status: 'running' }] });
+    await storage.saveJob({ jobId: 'job_old_queued', status: 'queued', stages: [{ name: 'parse', status: 'pending' }] });
+    await storage.saveJob({ jobId: 'job_old_done', status: 'completed', stages: [{ name: 'parse', status: 'completed' }] });
+    jobs = await import('./jobs.js');
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+async function waitFor(jobId) {
+    for (let i = 0; i < 200; i++) {
+        const job = await jobs.getJob(jobId);
+        if (job.status === 'completed' || job.status === 'failed') return job;
+        await new Promise(r => setTimeout(r, 10));
+    }
+    throw new Error(`${jobId} did not finish`);
+}
+
+test('jobs left unfinished by an earlier process are failed as interrupted', async () => {
+    const running = await jobs.getJob('job_old_running');
+    assert.equal(running.status, 'failed');
+    assert.equal(running.error, jobs.INTERRUPTED_ERROR);
+    assert.equal(running.stages[0].status, 'failed');
+    assert.equal((await jobs.getJob('job_old_queued')).status, 'failed');
+    assert.equal((await jobs.getJob('job_old_done')).status, 'completed');
+});
+
+test('stages share ctx, retry with backoff and optional stages never fail the job', async () => {
+    let attempts = 0;
+    const { jobId } = await jobs.enqueueJob('test', {}, [
+        { name: 'flaky', run: async (ctx) => { attempts++; if (attempts < 2) throw new Error('try again'); ctx.value = 42; } },
+        { name: 'extra', optional: true, run: async () => { throw new Error('no model'); } },
+        { name: 'skipped', skip: () => true, run: async () => { throw new Error('never runs'); } },
+        { name: 'finish', run: async (ctx) => { ctx.result = { value: ctx.value }; } }
+    ]);
+
+    const job = await waitFor(jobId);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.result, { value: 42 });
+    assert.deepEqual(job.stages.map(s => s.status), ['completed', 'failed', 'skipped', 'completed']);
+    assert.equal(job.stages[0].attempts, 2);
+});
+
+test('a stage with retry: false fails the job at once', async () => {
+    const { jobId } = await jobs.enqueueJob('test', {}, [
+        { name: 'parse', retry: false, run: async () => { throw new Error('bad file'); } }
+    ]);
+    const job = await waitFor(jobId);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'parse: bad file');
+    assert.equal(job.stages[0].attempts, 1);
+});
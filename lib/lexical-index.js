@@ -0,0 +1,197 @@
+/**
+ * Lexical Index (BM25)
+ *
+ * One inverted index per meeting over its chunks, rebuilt by storage.saveChunks whenever a
+ * meeting's chunks are written, and persisted by the storage backend. Queries are scored
+ * with BM25, so rare terms count for more than common ones and long chunks don't win by size.
+ *
+ * Text analysis is shared by indexing and querying:
+ *   - Unicode tokens (letters, combining marks, digits), so Devanagari and Hinglish work
+ *   - accents folded for Latin script only (Devanagari vowel signs are kept)
+ *   - English, romanized Hindi and Devanagari stop words dropped
+ *   - a light English stemmer for Latin tokens ("migrations", "migrating" -> "migrat")
+ */
+
+export const INDEX_VERSION = 2;
+
+const K1 = 1.2;
+const B = 0.75;
+const MIN_PREFIX = 4;
+
+const TOKEN_RE = /[\p{L}\p{M}\p{N}]+/gu;
+const LATIN_RE = /^[a-z0-9]+$/;
+
+const STOP_WORDS = new Set([
+    // English
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'about', 'from', 'by',
+    'as', 'into', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'am', 'it', 'its', 'this', 'that', 'these',
+    'those', 'there', 'here', 'what', 'where', 'when', 'who', 'whom', 'why', 'how', 'which', 'do', 'does', 'did',
+    'done', 'have', 'has', 'had', 'we', 'you', 'i', 'they', 'he', 'she', 'our', 'us', 'me', 'my', 'your', 'their',
+    'them', 'so', 'not', 'no', 'yes', 'can', 'could', 'will', 'would', 'should', 'just', 'also', 'very', 'okay',
+    'ok', 'yeah', 'um', 'uh', 'like', 'discussed', 'discuss', 'discussion', 'talk', 'talked', 'talking', 'mention',
+    'mentioned', 'say', 'said', 'stuff',
+    // Romanized Hindi (Hinglish)
+    'hai', 'hain', 'tha', 'thi', 'the', 'ho', 'hoga', 'ka', 'ki', 'ke', 'ko', 'se', 'me', 'mein', 'par', 'pe',
+    'aur', 'ya', 'toh', 'to', 'bhi', 'na', 'nahi', 'kya', 'ye', 'yeh', 'wo', 'woh', 'haan', 'accha', 'achha', 'yaar',
+    'matlab', 'bas', 'ek',
+    // Devanagari
+    'है', 'हैं', 'था', 'थी', 'थे', 'का', 'की', 'के', 'को', 'से', 'में', 'पर', 'और', 'या', 'तो', 'भी', 'ना', 'नहीं',
+    'क्या', 'यह', 'ये', 'वह', 'वो', 'हाँ', 'एक'
+]);
+
+// [suffix, replacement], first match wins: "migration" and "migrated" both become "migrat"
+const SUFFIXES = [
+    ['ational', 'at'], ['ization', 'iz'], ['ation', 'at'], ['ment', ''], ['ness', ''], ['ingly', ''], ['edly', ''],
+    ['ing', ''], ['ed', ''], ['ly', ''], ['er', ''], ['est', '']
+];
+
+/**
+ * Light suffix stripping for Latin-script tokens. Not a full Porter stemmer: it only has to
+ * map the forms people actually alternate between in questions and transcripts to one stem.
+ */
+export function stem(token) {
+    if (!LATIN_RE.test(token) || token.length <= 3 || /^\d+$/.test(token)) return token;
+
+    let t = token;
+    if (t.endsWith('ies') && t.length > 4) t = t.slice(0, -3) + 'y';
+    else if (t.endsWith('sses')) t = t.slice(0, -2);
+    else if (t.endsWith('s') && !t.endsWith('ss') && !t.endsWith('us') && !t.endsWith('is')) t = t.slice(0, -1);
+
+    for (const [suffix, replacement] of SUFFIXES) {
+        if (t.endsWith(suffix) && t.length - suffix.length >= 3) {
+            t = t.slice(0, -suffix.length) + replacement;
+            break;
+        }
+    }
+    // "planning" -> "plann" -> "plan"
+    if (/([b-df-hj-np-tv-z])\1$/.test(t) && !/(ll|ss|zz)$/.test(t)) t = t.slice(0, -1);
+    // "migrate" and "migrat(ion)" share a stem
+    if (t.endsWith('e') && t.length > 4) t = t.slice(0, -1);
+    return t;
+}
+
+function foldLatinAccents(text) {
+    // Strip combining marks only after Latin letters ("café" -> "cafe"); Indic vowel signs stay
+    return text.normalize('NFD').replace(/([a-z])\p{M}+/gu, '$1').normalize('NFC');
+}
+
+/**
+ * Text -> index terms. With keepStopWords, stop words are kept (used when a query has nothing else).
+ */
+export function analyze(text, { keepStopWords = false } = {}) {
+    const normalized = foldLatinAccents(String(text || '').normalize('NFKC').toLowerCase());
+    const tokens = normalized.match(TOKEN_RE) || [];
+    return tokens
+        .filter(t => keepStopWords || !STOP_WORDS.has(t))
+        .map(stem);
+}
+
+/**
+ * Every token of the text (stop words included) as an index term, with its offsets in the
+ * NFKC-normalized text. For phrase matching and highlighting.
+ */
+export function analyzeSpans(text) {
+    const spans = [];
+    for (const m of String(text || '').normalize('NFKC').matchAll(TOKEN_RE)) {
+        spans.push({ term: stem(foldLatinAccents(m[0].toLowerCase())), start: m.index, end: m.index + m[0].length });
+    }
+    return spans;
+}
+
+export function chunkKey(chunk, idx) {
+    return chunk.chunkId || `#${idx}`;
+}
+
+/**
+ * Build the inverted index for one meeting's chunks.
+ * Postings are [term, [[docIndex, termFrequency], ...]] pairs, so terms never become object keys
+ * (MongoDB field names can't contain dots or start with $).
+ */
+export function buildChunkIndex(meetingId, chunks) {
+    const docs = [];
+    const postings = new Map();
+
+    chunks.forEach((chunk, idx) => {
+        const terms = analyze(chunk.text);
+        docs.push({ key: chunkKey(chunk, idx), length: terms.length });
+
+        const tf = new Map();
+        terms.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+        for (const [term, count] of tf) {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push([idx, count]);
+        }
+    });
+
+    const totalLength = docs.reduce((sum, d) => sum + d.length, 0);
+    return {
+        meetingId,
+        version: INDEX_VERSION,
+        builtAt: new Date().toISOString(),
+        docCount: docs.length,
+        avgLength: docs.length ? totalLength / docs.length : 0,
+        docs,
+        postings: [...postings.entries()]
+    };
+}
+
+/**
+ * Score the chunks of an index against a query with BM25.
+ * Query terms missing from the vocabulary fall back to prefix matches ("kubern" -> "kubernet").
+ * @returns {Array<{ key, score }>} best first
+ */
+export function scoreQuery(index, query, limit = 10) {
+    if (!index || !index.docCount) return [];
+
+    const postings = new Map(index.postings);
+    let terms = [...new Set(analyze(query))];
+    if (!terms.length) terms = [...new Set(analyze(query, { keepStopWords: true }))];
+
+    const scores = new Map();
+    for (const term of terms) {
+        const expanded = postings.has(term)
+            ? [term]
+            : term.length >= MIN_PREFIX ? [...postings.keys()].filter(t => t.startsWith(term)) : [];
+
+        for (const t of expanded) {
+            const list = postings.get(t);
+            const idf = Math.log(1 + (index.docCount - list.length + 0.5) / (list.length + 0.5));
+            for (const [docIdx, tf] of list) {
+                const length = index.docs[docIdx].length;
+                const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * length / (index.avgLength || 1)));
+                scores.set(docIdx, (scores.get(docIdx) || 0) + idf * norm);
+            }
+        }
+    }
+
+    return [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([docIdx, score]) => ({ key: index.docs[docIdx].key, score }));
+}
+
+/**
+ * Keyword retrieval for one meeting: BM25 over the stored index, rebuilt if missing or stale.
+ * `store` is the storage backend (getChunkIndex, saveChunkIndex, loadChunks).
+ */
+export async function searchChunksBM25(store, query, meetingId, limit = 10) {
+    let index = await store.getChunkIndex(meetingId);
+    let chunks = null;
+
+    if (!index || index.version !== INDEX_VERSION) {
+        // Chunks saved before the index existed, or by an older analyzer
+        chunks = await store.loadChunks(meetingId);
+        if (!chunks.length) return [];
+        index = buildChunkIndex(meetingId, chunks);
+        await store.saveChunkIndex(index);
+    }
+
+    const hits = scoreQuery(index, query, limit);
+    if (!hits.length) return [];
+
+    chunks = chunks || await store.loadChunks(meetingId);
+    const byKey = new Map(chunks.map((c, idx) => [chunkKey(c, idx), c]));
+    return hits
+        .filter(h => byKey.has(h.key))
+        .map(h => ({ ...byKey.get(h.key), score: Math.round(h.score * 1000) / 1000 }));
+}
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stem, analyze, buildChunkIndex, scoreQuery, searchChunksBM25, INDEX_VERSION } from './lexical-index.js';
+
+const chunks = [
+    { chunkId: 'm#0001', text: 'We planned the Postgres migration for June and Ravi is migrating the billing tables.' },
+    { chunkId: 'm#0002', text: 'The design review covered the onboarding screens and the new colour palette.' },
+    { chunkId: 'm#0003', text: 'Kubernetes upgrade: the cluster moves to the new node pool next sprint.' },
+    { chunkId: 'm#0004', text: 'Billing billing billing. Lunch orders and the billing of the team offsite, again the offsite, the offsite, the offsite.' }
+];
+
+function memoryStore(stored) {
+    const calls = { saveChunkIndex: 0 };
+    return {
+        calls,
+        index: null,
+        async getChunkIndex() { return this.index; },
+        async saveChunkIndex(index) { calls.saveChunkIndex++; this.index = index; },
+        async loadChunks() { return stored; }
+    };
+}
+
+test('analyze drops stop words, folds Latin accents and stems alternate forms to one term', () => {
+    assert.deepEqual(analyze('What did we discuss about the migrations?'), ['migrat']);
+    assert.equal(stem('migrating'), stem('migration'));
+    assert.equal(stem('planning'), 'plan');
+    assert.deepEqual(analyze('Café résumé'), ['cafe', 'resum']);
+    // Devanagari vowel signs are part of the word, not accents
+    assert.deepEqual(analyze('बजट की समीक्षा'), ['बजट', 'समीक्षा']);
+});
+
+test('BM25 ranks the chunk where a rare term matters over one that repeats a common term', () => {
+    const index = buildChunkIndex('m', chunks);
+    assert.equal(index.version, INDEX_VERSION);
+    assert.equal(index.docCount, 4);
+
+    const hits = scoreQuery(index, 'when is the postgres billing migration?');
+    assert.equal(hits[0].key, 'm#0001');
+    assert.deepEqual(hits.map(h => h.key).sort(), ['m#0001', 'm#0004']);
+});
+
+test('unknown query terms fall back to prefix matches of four or more characters', () => {
+    const index = buildChunkIndex('m', chunks);
+    assert.deepEqual(scoreQuery(index, 'kubern').map(h => h.key), ['m#0003']);
+    assert.deepEqual(scoreQuery(index, 'xyz'), []);
+    assert.deepEqual(scoreQuery(index, 'kub'), []);
+});
+
+test('searchChunksBM25 builds a missing index once and returns chunks with rounded scores', async () => {
+    const store = memoryStore(chunks);
+    const first = await searchChunksBM25(store, 'colour palette', 'm', 2);
+    assert.equal(first[0].chunkId, 'm#0002');
+    assert.equal(first[0].text, chunks[1].text);
+    assert.equal(first[0].score, Math.round(first[0].score * 1000) / 1000);
+
+    await searchChunksBM25(store, 'onboarding', 'm');
+    assert.equal(store.calls.saveChunkIndex, 1);
+
+    // An index from an older analyzer is rebuilt
+    store.index = { ...store.index, version: INDEX_VERSION - 1 };
+    await searchChunksBM25(store, 'onboarding', 'm');
+    assert.equal(store.calls.saveChunkIndex, 2);
+});
@@ -1,42 +1,73 @@
 /**
  * Azure OpenAI Service
- * Enterprise-grade LLM provider
+ * Enterprise-grade LLM provider (used through llm-providers.js)
  */
 
 const AZURE_OPENAI_KEY = process.env.AZURE_OPENAI_KEY;
 const AZURE_OPENAI_ENDPOINT = process.env.AZURE_OPENAI_ENDPOINT; // e.g., https://your-resource.openai.azure.com/
 const AZURE_OPENAI_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT; // e.g., gpt-4o
+const AZURE_OPENAI_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-02-15-preview';
 
-export async function callAzureOpenAI(messages, jsonMode = false) {
-    if (!AZURE_OPENAI_KEY || !AZURE_OPENAI_ENDPOINT) {
+function azureRequest(messages, jsonMode, options) {
+    const deployment = options.deployment || AZURE_OPENAI_DEPLOYMENT;
+    if (!AZURE_OPENAI_KEY || !AZURE_OPENAI_ENDPOINT || !deployment) {
         throw new Error('Azure OpenAI not configured. Check your .env file.');
     }
 
-    const url = `${AZURE_OPENAI_ENDPOINT}/openai/deployments/${AZURE_OPENAI_DEPLOYMENT}/chat/completions?api-version=2024-02-15-preview`;
+    const endpoint = AZURE_OPENAI_ENDPOINT.replace(/\/+$/, '');
+    const url = `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${AZURE_OPENAI_API_VERSION}`;
 
     const body = {
         messages,
-        temperature: 0.7,
-        max_tokens: 2048
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.maxTokens ?? 2048
     };
 
     if (jsonMode) {
         body.response_format = { type: 'json_object' };
     }
+    if (options.stream) {
+        body.stream = true;
+    }
 
-    const response = await fetch(url, {
+    return fetch(url, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
             'api-key': AZURE_OPENAI_KEY
         },
-        body: JSON.stringify(body)
+        body: JSON.stringify(body),
+        // A caller's signal (e.g. the idle timeout of a stream) replaces timeoutMs
+        ...(options.signal || options.timeoutMs ? { signal: options.signal || AbortSignal.timeout(options.timeoutMs) } : {})
     });
+}
+
+/**
+ * @param {object} [options] - { deployment, temperature = 0.7, maxTokens = 2048, timeoutMs }
+ */
+export async function callAzureOpenAI(messages, jsonMode = false, options = {}) {
+    const response = await azureRequest(messages, jsonMode, options);
 
     if (!response.ok) {
         throw new Error(`Azure OpenAI Error: ${response.status} - ${await response.text()}`);
     }
 
     const data = await response.json();
-    return data.choices[0].message.content;
+    const text = data?.choices?.[0]?.message?.content;
+    if (!text) throw new Error('No response from Azure OpenAI');
+    return text;
+}
+
+/**
+ * Streamed completion: the accepted response, whose body is OpenAI-style server-sent events.
+ * @param {object} [options] - { deployment, temperature, maxTokens, signal }; pass a signal that
+ * also covers reading the body, timeoutMs would end the stream after that long
+ */
+export async function streamAzureOpenAI(messages, options = {}) {
+    const response = await azureRequest(messages, false, { ...options, stream: true });
+
+    if (!response.ok) {
+        throw new Error(`Azure OpenAI Error: ${response.status} - ${await response.text()}`);
+    }
+    return response;
 }
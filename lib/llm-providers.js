@@ -0,0 +1,334 @@
+/**
+ * LLM Providers
+ *
+ * Chat-completion backends behind one interface, so summaries, action items and chat can run
+ * on Groq, Azure OpenAI or a local OpenAI-compatible server (Ollama, llama.cpp, vLLM).
+ *
+ * A provider is { name, defaultModel, complete(messages, { model, temperature, maxTokens, jsonMode, timeoutMs }) => Promise<string> },
+ * optionally with stream(messages, options) => Promise<AsyncIterable<string>> for streamed chat answers.
+ * Built in:
+ * - 'groq' (default): Groq cloud, with API key rotation on rate limits (key-manager.js)
+ * - 'azure': an Azure OpenAI deployment (llm-azure.js); the model is the deployment name
+ * - 'local': any OpenAI-compatible /chat/completions endpoint (LLM_LOCAL_BASE_URL)
+ *
+ * Every task (summary, actions, chat, rewrite) is configured on its own:
+ *   LLM_PROVIDERS                   provider order for all tasks, e.g. "groq,azure" (default "groq")
+ *   LLM_<TASK>_PROVIDERS            provider order for one task, e.g. LLM_CHAT_PROVIDERS=local,groq
+ *   LLM_<TASK>_MODEL                model for the task's first provider, or per provider:
+ *                                   "groq=llama-3.1-8b-instant,local=qwen2.5:7b"
+ *   LLM_<TASK>_TEMPERATURE, LLM_<TASK>_MAX_TOKENS
+ * When a provider fails (not configured, HTTP error, timeout) the next one in the order answers.
+ */
+
+import { getActiveKey, rotateKey } from './key-manager.js';
+import { callAzureOpenAI, streamAzureOpenAI } from './llm-azure.js';
+
+const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
+const DEFAULT_GROQ_MODEL = 'llama-3.3-70b-versatile';
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_LOCAL_MODEL = 'llama3.1';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+// Defaults per task; 'rewrite' turns follow-up chat questions into search queries (query-rewrite.js)
+export const LLM_TASKS = {
+    summary: { temperature: 0.7, maxTokens: 2048 },
+    actions: { temperature: 0.7, maxTokens: 2048 },
+    chat: { temperature: 0.7, maxTokens: 2048 },
+    rewrite: { temperature: 0, maxTokens: 256 }
+};
+
+const providers = {
+    'groq': createGroqProvider,
+    'azure': createAzureProvider,
+    'local': createLocalProvider
+};
+
+const instances = new Map();
+
+/**
+ * Register an additional provider factory (e.g. another hosted API) under a name.
+ */
+export function registerLLMProvider(name, factory) {
+    providers[name] = factory;
+    instances.delete(name);
+}
+
+export function getLLMProvider(name) {
+    if (!instances.has(name)) {
+        const factory = providers[name];
+        if (!factory) {
+            throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+        }
+        instances.set(name, factory());
+    }
+    return instances.get(name);
+}
+
+function list(value) {
+    return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function numberFrom(value, fallback) {
+    const n = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(n) ? n : fallback;
+}
+
+// "model" applies to the first provider; "groq=a,local=b" names one per provider
+function parseModels(value, order) {
+    if (!value) return {};
+    if (!value.includes('=')) return { [order[0]]: value.trim() };
+    return Object.fromEntries(list(value).map(pair => pair.split('=').map(s => s.trim())).filter(([name, model]) => name && model));
+}
+
+/**
+ * Settings for a task, read from the environment on every call.
+ * @returns {{ task, providers: string[], models: object, temperature, maxTokens, timeoutMs }}
+ */
+export function getTaskConfig(task) {
+    const defaults = LLM_TASKS[task];
+    if (!defaults) throw new Error(`Unknown LLM task "${task}". Available: ${Object.keys(LLM_TASKS).join(', ')}`);
+
+    const prefix = `LLM_${task.toUpperCase()}_`;
+    const env = process.env;
+    const order = list(env[`${prefix}PROVIDERS`] || env.LLM_PROVIDERS || 'groq');
+    return {
+        task,
+        providers: order,
+        models: parseModels(env[`${prefix}MODEL`], order),
+        temperature: numberFrom(env[`${prefix}TEMPERATURE`], defaults.temperature),
+        maxTokens: numberFrom(env[`${prefix}MAX_TOKENS`], defaults.maxTokens),
+        timeoutMs: numberFrom(env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS)
+    };
+}
+
+/**
+ * Run a chat completion for a task, falling back through the task's providers in order.
+ * @returns {Promise<{ text, provider, model }>}
+ */
+export async function completeChat(task, messages, { jsonMode = false } = {}) {
+    const config = getTaskConfig(task);
+    const failures = [];
+
+    for (const name of config.providers) {
+        try {
+            const provider = getLLMProvider(name);
+            const model = config.models[name] || provider.defaultModel;
+            const text = await provider.complete(messages, {
+                model,
+                temperature: config.temperature,
+                maxTokens: config.maxTokens,
+                jsonMode,
+                timeoutMs: config.timeoutMs
+            });
+            if (failures.length) console.warn(`⚠️ ${task}: answered by ${name} after ${failures.length} failed provider(s)`);
+            return { text, provider: name, model };
+        } catch (err) {
+            console.warn(`⚠️ LLM provider ${name} failed for ${task}: ${err.message}`);
+            failures.push(`${name}: ${err.message}`);
+        }
+    }
+
+    throw new Error(`All LLM providers failed for ${task}. ${failures.join('; ')}`);
+}
+
+async function* single(text) {
+    yield text;
+}
+
+/**
+ * Streamed completion for a task. Resolves once a provider has accepted the request, with the
+ * answer as an async iterable of text pieces. Providers are only switched before that point:
+ * a stream that breaks midway fails. Providers without stream() answer in one piece.
+ * @returns {Promise<{ provider, model, tokens: AsyncIterable<string> }>}
+ */
+export async function streamChat(task, messages) {
+    const config = getTaskConfig(task);
+    const failures = [];
+
+    for (const name of config.providers) {
+        try {
+            const provider = getLLMProvider(name);
+            const model = config.models[name] || provider.defaultModel;
+            const options = {
+                model,
+                temperature: config.temperature,
+                maxTokens: config.maxTokens,
+                jsonMode: false,
+                timeoutMs: config.timeoutMs
+            };
+            const tokens = provider.stream
+                ? await provider.stream(messages, options)
+                : single(await provider.complete(messages, options));
+            if (failures.length) console.warn(`⚠️ ${task}: streaming from ${name} after ${failures.length} failed provider(s)`);
+            return { provider: name, model, tokens };
+        } catch (err) {
+            console.warn(`⚠️ LLM provider ${name} failed for ${task}: ${err.message}`);
+            failures.push(`${name}: ${err.message}`);
+        }
+    }
+
+    throw new Error(`All LLM providers failed for ${task}. ${failures.join('; ')}`);
+}
+
+function requestBody(messages, { model, temperature, maxTokens, jsonMode, stream = false }) {
+    const body = { model, messages, temperature, max_tokens: maxTokens, stream };
+    if (jsonMode) body.response_format = { type: 'json_object' };
+    return body;
+}
+
+async function postChat(label, url, headers, body, signal) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal
+    });
+    if (!response.ok) {
+        const error = new Error(`${label} API error: ${response.status} - ${await response.text()}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response;
+}
+
+async function postChatCompletion(label, url, headers, body, timeoutMs) {
+    const response = await postChat(label, url, headers, body, AbortSignal.timeout(timeoutMs));
+    const data = await response.json();
+    const text = data?.choices?.[0]?.message?.content;
+    if (!text) throw new Error(`No response from ${label} API`);
+    return text;
+}
+
+/**
+ * Abort signal for a streamed request that fires after timeoutMs without data. A timeout over
+ * the whole request would cut off long answers that are still arriving; reset() on every chunk.
+ */
+function idleTimeout(timeoutMs) {
+    const controller = new AbortController();
+    let timer = null;
+    const reset = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const error = new Error(`No response data for ${timeoutMs} ms`);
+            error.name = 'TimeoutError';
+            controller.abort(error);
+        }, timeoutMs);
+    };
+    reset();
+    return { signal: controller.signal, reset, clear: () => clearTimeout(timer) };
+}
+
+/**
+ * Send a streamed request with `send(signal)` and read its answer under an idle timeout.
+ */
+async function streamChatRequest(timeoutMs, send) {
+    const timeout = idleTimeout(timeoutMs);
+    try {
+        return readChatStream(await send(timeout.signal), timeout);
+    } catch (err) {
+        timeout.clear();
+        throw err;
+    }
+}
+
+/**
+ * Text pieces of an OpenAI-style streamed response: "data: {json}" lines ending with "data: [DONE]".
+ */
+async function* readChatStream(response, timeout) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            timeout.reset();
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const data = line.trim().startsWith('data:') ? line.trim().slice(5).trim() : '';
+                if (!data) continue;
+                if (data === '[DONE]') return;
+                const piece = JSON.parse(data)?.choices?.[0]?.delta?.content;
+                if (piece) yield piece;
+            }
+        }
+    } finally {
+        timeout.clear();
+        // Stops the upstream request when the reader gives up early (e.g. the client went away)
+        reader.cancel().catch(() => {});
+    }
+}
+
+/**
+ * Groq cloud. A rate-limited key (429) is rotated out and the request retried with the next one.
+ *
+ * Env: GROQ_API_KEYS (or GROQ_API_KEY), GROQ_MODEL
+ */
+export function createGroqProvider(config = {}) {
+    async function withKeyRotation(send, retries = 3) {
+        const apiKey = await getActiveKey();
+        try {
+            return await send({ 'Authorization': `Bearer ${apiKey}` });
+        } catch (error) {
+            if (error.status === 429 && retries > 0) {
+                console.warn(`⚠️ Groq Rate Limit (429) on key ending in ...${apiKey.slice(-4)}. Rotating...`);
+                await rotateKey();
+                return await withKeyRotation(send, retries - 1);
+            }
+            throw error;
+        }
+    }
+
+    return {
+        name: 'groq',
+        defaultModel: config.model || process.env.GROQ_MODEL || DEFAULT_GROQ_MODEL,
+        complete: (messages, options) => withKeyRotation(headers =>
+            postChatCompletion('Groq', GROQ_API_URL, headers, requestBody(messages, options), options.timeoutMs)
+        ),
+        stream: (messages, options) => streamChatRequest(options.timeoutMs, signal => withKeyRotation(headers =>
+            postChat('Groq', GROQ_API_URL, headers, requestBody(messages, { ...options, stream: true }), signal)
+        ))
+    };
+}
+
+/**
+ * Azure OpenAI. The model is the deployment name (default AZURE_OPENAI_DEPLOYMENT).
+ *
+ * Env: AZURE_OPENAI_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION
+ */
+export function createAzureProvider(config = {}) {
+    return {
+        name: 'azure',
+        defaultModel: config.deployment || process.env.AZURE_OPENAI_DEPLOYMENT,
+        complete: (messages, { model, temperature, maxTokens, jsonMode, timeoutMs }) =>
+            callAzureOpenAI(messages, jsonMode, { deployment: model, temperature, maxTokens, timeoutMs }),
+        stream: (messages, { model, temperature, maxTokens, timeoutMs }) => streamChatRequest(timeoutMs, signal =>
+            streamAzureOpenAI(messages, { deployment: model, temperature, maxTokens, signal })
+        )
+    };
+}
+
+/**
+ * A local OpenAI-compatible server: Ollama (default URL), llama.cpp's llama-server, vLLM, LM Studio.
+ *
+ * Env: LLM_LOCAL_BASE_URL, LLM_LOCAL_MODEL, LLM_LOCAL_API_KEY (only if the server wants one)
+ */
+export function createLocalProvider(config = {}) {
+    const baseUrl = (config.baseUrl || process.env.LLM_LOCAL_BASE_URL || DEFAULT_LOCAL_BASE_URL).replace(/\/+$/, '');
+    const apiKey = config.apiKey || process.env.LLM_LOCAL_API_KEY;
+
+    const url = `${baseUrl}/chat/completions`;
+    const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+
+    return {
+        name: 'local',
+        defaultModel: config.model || process.env.LLM_LOCAL_MODEL || DEFAULT_LOCAL_MODEL,
+        complete: (messages, options) =>
+            postChatCompletion('Local LLM', url, headers, requestBody(messages, options), options.timeoutMs),
+        stream: (messages, options) => streamChatRequest(options.timeoutMs, signal =>
+            postChat('Local LLM', url, headers, requestBody(messages, { ...options, stream: true }), signal)
+        )
+    };
+}
@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+const TIMEOUT_MS = 300;
+
+// An OpenAI-compatible stream that sends `pieces` one every `gapMs`, then stops (or stalls)
+function sse(res, pieces, gapMs, { stall = false } = {}) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    let i = 0;
+    const timer = setInterval(() => {
+        if (i < pieces.length) {
+            res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: pieces[i++] } }] })}\n\n`);
+            return;
+        }
+        clearInterval(timer);
+        if (!stall) res.end('data: [DONE]\n\n');
+    }, gapMs);
+    res.on('close', () => clearInterval(timer));
+}
+
+let server;
+let llm;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', c => { body += c; });
+        req.on('end', () => {
+            const { messages, model, stream } = JSON.parse(body);
+            const prompt = messages[0].content;
+            if (!stream) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ choices: [{ message: { content: `${model}: ${prompt}` } }] }));
+            }
+            if (prompt === 'slow') return sse(res, ['a', 'b', 'c', 'd', 'e', 'f'], TIMEOUT_MS / 3);
+            if (prompt === 'stall') return sse(res, ['a'], 10, { stall: true });
+            setTimeout(() => sse(res, ['late'], 10), TIMEOUT_MS * 2);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.LLM_CHAT_PROVIDERS = 'local';
+    process.env.LLM_LOCAL_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+    process.env.LLM_TIMEOUT_MS = String(TIMEOUT_MS);
+    llm = await import('./llm-providers.js');
+
+    llm.registerLLMProvider('down', () => ({
+        name: 'down',
+        defaultModel: 'none',
+        complete: async () => { throw new Error('503 Service Unavailable'); }
+    }));
+    llm.registerLLMProvider('echo', () => ({
+        name: 'echo',
+        defaultModel: 'echo-1',
+        complete: async (messages, { model, temperature }) => `${model}@${temperature}: ${messages[0].content}`
+    }));
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+async function collect(tokens) {
+    let text = '';
+    for await (const piece of tokens) text += piece;
+    return text;
+}
+
+test('a stream longer than the timeout completes while tokens keep arriving', async () => {
+    const { provider, tokens } = await llm.streamChat('chat', [{ role: 'user', content: 'slow' }]);
+    assert.equal(provider, 'local');
+    assert.equal(await collect(tokens), 'abcdef');
+});
+
+test('a stream that stops sending data times out', async () => {
+    const { tokens } = await llm.streamChat('chat', [{ role: 'user', content: 'stall' }]);
+    await assert.rejects(collect(tokens), { name: 'TimeoutError', message: `No response data for ${TIMEOUT_MS} ms` });
+});
+
+test('waiting for the response headers is bounded by the same timeout', async () => {
+    await assert.rejects(llm.streamChat('chat', [{ role: 'user', content: 'headers' }]), /All LLM providers failed for chat\. local: No response data/);
+});
+
+test('task settings come from the environment, with models per provider', () => {
+    process.env.LLM_SUMMARY_PROVIDERS = 'local, groq';
+    process.env.LLM_SUMMARY_MODEL = 'groq=llama-3.1-8b-instant,local=qwen2.5:7b';
+    process.env.LLM_SUMMARY_TEMPERATURE = '0.2';
+    try {
+        assert.deepEqual(llm.getTaskConfig('summary'), {
+            task: 'summary',
+            providers: ['local', 'groq'],
+            models: { groq: 'llama-3.1-8b-instant', local: 'qwen2.5:7b' },
+            temperature: 0.2,
+            maxTokens: 2048,
+            timeoutMs: TIMEOUT_MS
+        });
+        assert.deepEqual(llm.getTaskConfig('rewrite').providers, ['groq']);
+        assert.throws(() => llm.getTaskConfig('translate'), /Unknown LLM task "translate"/);
+    } finally {
+        delete process.env.LLM_SUMMARY_PROVIDERS;
+        delete process.env.LLM_SUMMARY_MODEL;
+        delete process.env.LLM_SUMMARY_TEMPERATURE;
+    }
+});
+
+test('a failing provider falls back to the next one in the task\'s order', async () => {
+    process.env.LLM_ACTIONS_PROVIDERS = 'down,echo';
+    process.env.LLM_ACTIONS_MODEL = 'echo=echo-2';
+    try {
+        assert.deepEqual(await llm.completeChat('actions', [{ role: 'user', content: 'hi' }]), {
+            text: 'echo-2@0.7: hi', provider: 'echo', model: 'echo-2'
+        });
+
+        process.env.LLM_ACTIONS_PROVIDERS = 'down,missing';
+        await assert.rejects(llm.completeChat('actions', [{ role: 'user', content: 'hi' }]),
+            /All LLM providers failed for actions\. down: 503 Service Unavailable; missing: Unknown LLM provider "missing"/);
+    } finally {
+        delete process.env.LLM_ACTIONS_PROVIDERS;
+        delete process.env.LLM_ACTIONS_MODEL;
+    }
+});
+
+test('the local provider answers plain completions, and providers without stream() answer in one piece', async () => {
+    assert.deepEqual(await llm.completeChat('chat', [{ role: 'user', content: 'hello' }]), {
+        text: 'llama3.1: hello', provider: 'local', model: 'llama3.1'
+    });
+
+    process.env.LLM_CHAT_PROVIDERS = 'echo';
+    try {
+        const { provider, tokens } = await llm.streamChat('chat', [{ role: 'user', content: 'hello' }]);
+        assert.equal(provider, 'echo');
+        assert.equal(await collect(tokens), 'echo-1@0.7: hello');
+    } finally {
+        process.env.LLM_CHAT_PROVIDERS = 'local';
+    }
+});
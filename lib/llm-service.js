@@ -1,74 +1,11 @@
 /**
- * LLM Service using Groq API
+ * LLM Service
  * Handles: Chat, Summaries, Action Item Extraction
+ * Completions go through llm-providers.js (Groq, Azure OpenAI or a local server, per task, with fallback).
  */
 
-import { getActiveKey, rotateKey } from './key-manager.js';
-
-const GROQ_MODEL = 'llama-3.3-70b-versatile';
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-
-/**
- * Call Groq API with prompt
- */
-async function callGroq(messages, jsonMode = false) {
-    return callGroqWithRetry(messages, jsonMode);
-}
-
-/**
- * Internal function with Retry Logic for Rate Limits
- */
-async function callGroqWithRetry(messages, jsonMode = false, retries = 3) {
-    try {
-        const apiKey = await getActiveKey();
-
-        const requestBody = {
-            model: GROQ_MODEL,
-            messages: messages,
-            temperature: 0.7,
-            max_tokens: 2048,
-            top_p: 1,
-            stream: false,
-            stop: null,
-        };
-
-        if (jsonMode) {
-            requestBody.response_format = { type: 'json_object' };
-        }
-
-        const response = await fetch(GROQ_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-            // Handle Rate Limit (429) specifically
-            if (response.status === 429 && retries > 0) {
-                console.warn(`⚠️ Groq Rate Limit (429) on key ending in ...${apiKey.slice(-4)}. Rotating...`);
-                await rotateKey();
-                return await callGroqWithRetry(messages, jsonMode, retries - 1);
-            }
-
-            const error = await response.text();
-            throw new Error(`Groq API error: ${response.status} - ${error}`);
-        }
-
-        const data = await response.json();
-        const text = data?.choices?.[0]?.message?.content;
-
-        if (!text) {
-            throw new Error('No response from Groq API');
-        }
-
-        return text;
-    } catch (error) {
-        throw error;
-    }
-}
+import { completeChat, streamChat } from './llm-providers.js';
+import { formatCitationContext, verifyCitations, CITATION_INSTRUCTIONS } from './citations.js';
 
 /**
  * Generate meeting summary
@@ -102,10 +39,11 @@ Format your response in clean markdown.` }
     ];
 
     try {
-        const response = await callGroq(messages);
+        const { text, provider, model } = await completeChat('summary', messages);
         return {
             meetingId,
-            summary: response,
+            summary: text,
+            generatedBy: { provider, model },
             generatedAt: new Date().toISOString()
         };
     } catch (error) {
@@ -145,12 +83,13 @@ Only return valid JSON.` }
     ];
 
     try {
-        const response = await callGroq(messages, true);
-        const data = JSON.parse(response);
+        const { text, provider, model } = await completeChat('actions', messages, { jsonMode: true });
+        const data = JSON.parse(text);
 
         return {
             meetingId,
             actionItems: data.actionItems || [],
+            generatedBy: { provider, model },
             extractedAt: new Date().toISOString()
         };
     } catch (error) {
@@ -159,54 +98,171 @@ Only return valid JSON.` }
     }
 }
 
+const CHAT_SYSTEM_PROMPT = 'You are an intelligent meeting analyst. The transcript is "Hinglish", noisy, and may contain phonetic errors (e.g., "Logesh" instead of "Yogesh", "Today" instead of "Uday").\n\nYOUR GOAL: Extract meaning and intent despite flaws.\n- IF A NAME IS MISSING: Look for phonetically similar words or context cues.\n- IF A PERSON DIDN\'T SPEAK: Briefly check if others mentioned them or their work. If truly nothing is found, say "No clear mentions found" without being robotic.\n- HINGLISH: Treat hindi phrases as valid technical context.\n- FORMATTING: Be direct. Do not start with "Based on the transcript". Just give the answer.';
+
 /**
  * Chat with meeting context (RAG)
+ * The answer cites chunks inline; citations are checked against the context (see citations.js).
+ * options.unsupported: 'flag' (default) or 'drop' claims that cite nothing.
+ * options.matchedSpeakers: names in the question resolved to speaker labels (see speaker-match.js).
+ */
+export async function chatWithMeeting(question, chunks, chatHistory = [], options = {}) {
+    const { messages, contextChunks, citationOptions } = meetingChatPrompt(question, chunks, chatHistory, options);
+
+    try {
+        const { text, provider, model } = await completeChat('chat', messages);
+        return {
+            question,
+            ...verifyCitations(text, contextChunks, citationOptions),
+            generatedBy: { provider, model },
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        console.error('Chat failed:', error);
+        throw error;
+    }
+}
+
+/**
+ * Streaming variant of chatWithMeeting. Yields { type: 'token', text } as the model writes,
+ * then { type: 'done', result } with the same result chatWithMeeting returns. Streamed text
+ * still has the raw [C1] labels; the final answer has them checked and renumbered.
  */
-export async function chatWithMeeting(question, chunks, chatHistory = []) {
+export async function* streamChatWithMeeting(question, chunks, chatHistory = [], options = {}) {
+    const { messages, contextChunks, citationOptions } = meetingChatPrompt(question, chunks, chatHistory, options);
+    const { tokens, provider, model } = await streamChat('chat', messages);
+
+    let text = '';
+    for await (const piece of tokens) {
+        text += piece;
+        yield { type: 'token', text: piece };
+    }
+
+    yield {
+        type: 'done',
+        result: {
+            question,
+            ...verifyCitations(text, contextChunks, citationOptions),
+            generatedBy: { provider, model },
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+function meetingChatPrompt(question, chunks, chatHistory, options) {
     // Build context from relevant chunks
-    const context = chunks
-        .slice(0, 10)
-        .map((chunk, idx) => `[Chunk ${idx + 1}]\n${chunk.text}`)
-        .join('\n\n');
+    const contextChunks = chunks.slice(0, 10);
+    const context = formatCitationContext(contextChunks);
+    const { matchedSpeakers = [], ...citationOptions } = options;
+    const speakerNote = matchedSpeakers.length
+        ? `SPEAKERS: ${matchedSpeakers.map(m => `"${m.matchedOn}" in the question is the speaker labelled "${m.speaker}"`).join('; ')}. Name the speaker label you answered about.\n\n`
+        : '';
 
     const messages = [
-        { role: 'system', content: 'You are an intelligent meeting analyst. The transcript is "Hinglish", noisy, and may contain phonetic errors (e.g., "Logesh" instead of "Yogesh", "Today" instead of "Uday").\n\nYOUR GOAL: Extract meaning and intent despite flaws.\n- IF A NAME IS MISSING: Look for phonetically similar words or context cues.\n- IF A PERSON DIDN\'T SPEAK: Briefly check if others mentioned them or their work. If truly nothing is found, say "No clear mentions found" without being robotic.\n- HINGLISH: Treat hindi phrases as valid technical context.\n- FORMATTING: Be direct. Do not start with "Based on the transcript". Just give the answer.' },
+        { role: 'system', content: CHAT_SYSTEM_PROMPT },
         ...chatHistory.map(msg => ({ role: msg.role === 'user' ? 'user' : 'assistant', content: msg.content })),
         {
             role: 'user', content: `MEETING CONTEXT:
 ${context}
 
+${speakerNote}USER QUESTION: ${question}
+
+${CITATION_INSTRUCTIONS}
+
+Answer:` }
+    ];
+
+    return { messages, contextChunks, citationOptions };
+}
+
+/**
+ * Chat across several meetings (RAG)
+ * Chunks carry meetingTitle and meetingDate; the answer names the meeting behind each point
+ * and cites chunks like chatWithMeeting does.
+ */
+export async function chatAcrossMeetings(question, chunks, chatHistory = [], options = {}) {
+    const context = formatCitationContext(chunks, chunk =>
+        ` | Meeting: "${chunk.meetingTitle}"${chunk.meetingDate ? ` (${chunk.meetingDate.slice(0, 10)})` : ''}`
+    );
+
+    const messages = [
+        {
+            role: 'system', content: `${CHAT_SYSTEM_PROMPT}
+- SEVERAL MEETINGS: The context comes from different meetings. Attribute every point to the meeting it came from, by its title and date in parentheses, e.g. (Sprint Planning, 2024-05-02). If meetings disagree, say so and give the most recent one last.`
+        },
+        ...chatHistory.map(msg => ({ role: msg.role === 'user' ? 'user' : 'assistant', content: msg.content })),
+        {
+            role: 'user', content: `MEETINGS CONTEXT:
+${context}
+
 USER QUESTION: ${question}
 
+${CITATION_INSTRUCTIONS}
+
 Answer:` }
     ];
 
     try {
-        const response = await callGroq(messages);
+        const { text, provider, model } = await completeChat('chat', messages);
         return {
             question,
-            answer: response,
+            ...verifyCitations(text, chunks, options),
+            generatedBy: { provider, model },
             timestamp: new Date().toISOString()
         };
     } catch (error) {
-        console.error('Chat failed:', error);
+        console.error('Cross-meeting chat failed:', error);
         throw error;
     }
 }
 
 /**
- * Simple Keyword Retrieval (RAG)
- * Uses standard MongoDB regex search (Zero Cost / High Reliability)
+ * Rewrite a follow-up question ("and who owns that?") into a standalone search query,
+ * using the recent conversation. Returns the query text only (see query-rewrite.js).
+ */
+export async function rewriteFollowUpQuestion(question, chatHistory = []) {
+    const conversation = chatHistory
+        .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+        .join('\n');
+
+    const messages = [
+        { role: 'system', content: 'You rewrite follow-up questions about a meeting transcript into standalone search queries. Replace pronouns and references ("that", "he", "the second one") with what they refer to in the conversation. Keep names, numbers and technical terms as written, and keep the language of the question (Hinglish stays Hinglish). Reply with the rewritten query only, on one line, without quotes or explanations.' },
+        {
+            role: 'user', content: `CONVERSATION:
+${conversation}
+
+FOLLOW-UP QUESTION: ${question}
+
+Standalone query:` }
+    ];
+
+    // Failures are handled by the caller, which falls back to a heuristic rewrite
+    return (await completeChat('rewrite', messages)).text;
+}
+
+/**
+ * Hybrid Retrieval (RAG)
+ * BM25 keyword hits (lexical-index.js) fused with embedding similarity hits (vector-index.js),
+ * so questions worded differently from the transcript still find their chunks.
+ * If embeddings are off or fail, this is keyword retrieval alone.
  */
 export async function searchChunksSemantic(query, meetingId, limit = 10) {
-    try {
-        const { searchChunksKeyword } = await import('./storage-prod.js');
-        // Search Native DB (Keyword Mode)
-        return await searchChunksKeyword(query, meetingId, limit);
-    } catch (err) {
-        console.error("Keyword Search failed:", err);
-        return [];
-    }
+    const { searchChunksKeyword, searchChunksVector } = await import('./storage.js');
+    const { fuseRankings } = await import('./vector-index.js');
+
+    // Each list is fetched deeper than the limit, so a chunk ranked well by both can rise
+    const [keyword, semantic] = await Promise.all([
+        searchChunksKeyword(query, meetingId, limit * 2).catch(err => {
+            console.error("Keyword Search failed:", err);
+            return [];
+        }),
+        searchChunksVector(query, meetingId, limit * 2).catch(err => {
+            console.error("Semantic Search failed:", err);
+            return [];
+        })
+    ]);
+
+    return fuseRankings({ keyword, semantic }, limit);
 }
 
 /**
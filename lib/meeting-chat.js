@@ -0,0 +1,61 @@
+/**
+ * Meeting Chat Requests
+ *
+ * What POST /api/chat/:id (one JSON answer) and POST /api/chat/:id/stream (server-sent events)
+ * share: validating the request body, retrieving the chunks to answer from (follow-ups made
+ * standalone, names resolved to speakers) and the sources listed with the answer.
+ */
+
+import { UNSUPPORTED_MODES } from './citations.js';
+import { searchChunksWithSpeakers, SPEAKER_MODES } from './speaker-match.js';
+import { rewriteQuery } from './query-rewrite.js';
+
+export const NO_CONTEXT_ANSWER = "I couldn't find relevant information in this meeting transcript to answer your question.";
+
+/**
+ * Validate a chat request body and fill in defaults.
+ * @returns {{ question, chatHistory, unsupported, speakerMode }}
+ */
+export function parseChatRequest(body) {
+    const { question, chatHistory = [], unsupported = 'flag', speakerMode = 'boost' } = body || {};
+
+    if (!question) {
+        throw new Error('INVALID_PARAM: Question is required');
+    }
+    if (!Array.isArray(chatHistory)) {
+        throw new Error('INVALID_PARAM: chatHistory must be an array of messages');
+    }
+    if (!UNSUPPORTED_MODES.includes(unsupported)) {
+        throw new Error(`INVALID_PARAM: unsupported must be one of ${UNSUPPORTED_MODES.join(', ')}`);
+    }
+    if (!SPEAKER_MODES.includes(speakerMode)) {
+        throw new Error(`INVALID_PARAM: speakerMode must be one of ${SPEAKER_MODES.join(', ')}`);
+    }
+    return { question, chatHistory, unsupported, speakerMode };
+}
+
+/**
+ * Chunks to answer from: index search (Semantic RAG) with follow-ups made standalone and
+ * names resolved to speakers.
+ * @returns {Promise<{ queryRewrite, chunks, matchedSpeakers }>}
+ */
+export async function retrieveChatContext(meetingId, { question, chatHistory, speakerMode }) {
+    const queryRewrite = await rewriteQuery(question, chatHistory);
+    const { chunks, matchedSpeakers } = await searchChunksWithSpeakers(queryRewrite.query, meetingId, { mode: speakerMode });
+    return { queryRewrite, chunks, matchedSpeakers };
+}
+
+/**
+ * Source chunks for RAG transparency.
+ */
+export function chatSources(chunks) {
+    return chunks.map(c => ({
+        chunkId: c.chunkId,
+        text: c.text,
+        startSec: c.startSec,
+        endSec: c.endSec,
+        score: c.score,
+        matchedBy: c.matchedBy,
+        speakerMatch: c.speakerMatch || null
+    }));
+}
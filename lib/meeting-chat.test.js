@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChatRequest } from './meeting-chat.js';
+
+test('chat requests get defaults and reject invalid fields as INVALID_PARAM', () => {
+    assert.deepEqual(parseChatRequest({ question: 'Who owns the rollout?' }), {
+        question: 'Who owns the rollout?', chatHistory: [], unsupported: 'flag', speakerMode: 'boost'
+    });
+
+    assert.throws(() => parseChatRequest({}), /^Error: INVALID_PARAM: Question is required/);
+    assert.throws(() => parseChatRequest({ question: 'x', chatHistory: 'hi' }), /^Error: INVALID_PARAM: chatHistory must be an array/);
+    assert.throws(() => parseChatRequest({ question: 'x', chatHistory: null }), /^Error: INVALID_PARAM: chatHistory must be an array/);
+    assert.throws(() => parseChatRequest({ question: 'x', unsupported: 'hide' }), /^Error: INVALID_PARAM: unsupported must be one of flag, drop/);
+    assert.throws(() => parseChatRequest({ question: 'x', speakerMode: 'only' }), /^Error: INVALID_PARAM: speakerMode must be one of/);
+});
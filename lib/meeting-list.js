@@ -0,0 +1,166 @@
+/**
+ * Meeting Listing
+ *
+ * Lightweight, paginated meeting metadata for the sidebar and API clients: no entries or
+ * cached AI output, just counts and flags (see storage.listMeetingMetadata).
+ *
+ * Pagination is cursor based: the cursor encodes the sort key and meetingId of the last item,
+ * so pages stay stable while meetings are added or deleted.
+ */
+
+import * as storage from './storage.js';
+
+export const TEAMS_SOURCE = 'Microsoft Teams API';
+
+export const SORT_FIELDS = ['date', 'duration'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Match a meeting's source against "teams", "upload" or an exact source value.
+ */
+export function matchesSource(meeting, source) {
+    const isTeams = meeting.source === TEAMS_SOURCE;
+    if (source === 'teams') return isTeams;
+    if (source === 'upload') return !isTeams;
+    return meeting.source === source;
+}
+
+export function meetingDate(meeting) {
+    return meeting.importedAt || meeting.uploadedAt || null;
+}
+
+/**
+ * Parse a from/to filter value; null when empty. A bare date ("2024-05-01") as an upper
+ * bound (endOfDay) means the end of that day.
+ */
+export function parseDateBound(value, endOfDay) {
+    if (!value) return null;
+    const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+    if (isNaN(date)) throw new Error(`INVALID_PARAM: "${value}" is not a date`);
+    return date;
+}
+
+function meetingTitle(meeting) {
+    return meeting.title || meeting.meetingId;
+}
+
+function sortKey(meeting, sort) {
+    return sort === 'duration' ? (meeting.durationSeconds || 0) : (meetingDate(meeting) || '');
+}
+
+function compare(a, b) {
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+function encodeCursor(data) {
+    return Buffer.from(JSON.stringify(data), 'utf8').toString('base64url');
+}
+
+// Anything that is not a cursor this module issued (bad base64, JSON null, a number, missing fields)
+function decodeCursor(cursor) {
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new Error('INVALID_CURSOR');
+    }
+    const valid = data && typeof data === 'object' && !Array.isArray(data)
+        && SORT_FIELDS.includes(data.sort) && ['asc', 'desc'].includes(data.order)
+        && ['string', 'number'].includes(typeof data.key) && typeof data.id === 'string';
+    if (!valid) throw new Error('INVALID_CURSOR');
+    return data;
+}
+
+function toListItem(meeting) {
+    return {
+        meetingId: meeting.meetingId,
+        title: meetingTitle(meeting),
+        source: meeting.source,
+        format: meeting.format || null,
+        date: meetingDate(meeting),
+        durationSeconds: meeting.durationSeconds || 0,
+        version: meeting.version || 1,
+        tags: meeting.tags || [],
+        speakers: meeting.speakers || [],
+        entriesCount: meeting.entriesCount || 0,
+        chunksCount: meeting.chunksCount || 0,
+        speakerCount: (meeting.speakers || []).length,
+        hasSummary: Boolean(meeting.hasSummary),
+        hasActionItems: Boolean(meeting.hasActionItems)
+    };
+}
+
+/**
+ * List meetings (trash excluded).
+ * @param {object} params
+ * @param {'date'|'duration'} [params.sort='date']
+ * @param {'asc'|'desc'} [params.order='desc']
+ * @param {number} [params.limit=50] - at most 200
+ * @param {string} [params.cursor] - nextCursor from the previous page
+ * @param {string} [params.source] - 'teams', 'upload' or an exact source
+ * @param {string} [params.from] - ISO date, inclusive
+ * @param {string} [params.to] - ISO date, inclusive (a bare date covers the whole day)
+ * @param {string} [params.speaker] - case-insensitive substring of a speaker name
+ * @param {string} [params.q] - case-insensitive text in the title (or meetingId / file name)
+ * @returns {Promise<{ meetings, total, nextCursor, sort, order, limit }>}
+ */
+export async function listMeetings(params = {}) {
+    const sort = params.sort || 'date';
+    const order = params.order || 'desc';
+    if (!SORT_FIELDS.includes(sort)) throw new Error(`INVALID_PARAM: sort must be one of ${SORT_FIELDS.join(', ')}`);
+    if (!['asc', 'desc'].includes(order)) throw new Error('INVALID_PARAM: order must be asc or desc');
+    const limit = Math.min(Math.max(Number(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const from = parseDateBound(params.from, false);
+    const to = parseDateBound(params.to, true);
+
+    const speaker = params.speaker?.trim().toLowerCase();
+    const q = params.q?.trim().toLowerCase();
+
+    const all = await storage.listMeetingMetadata();
+    const matching = all.filter(m => {
+        if (m.deletedAt) return false;
+        if (params.source && !matchesSource(m, params.source)) return false;
+        if (from || to) {
+            const date = meetingDate(m) ? new Date(meetingDate(m)) : null;
+            if (!date) return false;
+            if (from && date < from) return false;
+            if (to && date > to) return false;
+        }
+        if (speaker && !(m.speakers || []).some(s => s.toLowerCase().includes(speaker))) return false;
+        if (q && ![meetingTitle(m), m.meetingId, m.source].some(t => (t || '').toLowerCase().includes(q))) return false;
+        return true;
+    });
+
+    const direction = order === 'asc' ? 1 : -1;
+    matching.sort((a, b) =>
+        direction * compare(sortKey(a, sort), sortKey(b, sort)) || direction * compare(a.meetingId, b.meetingId)
+    );
+
+    let start = 0;
+    if (params.cursor) {
+        const cursor = decodeCursor(params.cursor);
+        if (cursor.sort !== sort || cursor.order !== order) throw new Error('INVALID_CURSOR');
+        // First item strictly after the cursor position
+        start = matching.findIndex(m =>
+            (direction * compare(sortKey(m, sort), cursor.key) || direction * compare(m.meetingId, cursor.id)) > 0
+        );
+        if (start === -1) start = matching.length;
+    }
+
+    const page = matching.slice(start, start + limit);
+    const last = page[page.length - 1];
+    const hasMore = start + limit < matching.length;
+
+    return {
+        meetings: page.map(toListItem),
+        total: matching.length,
+        nextCursor: hasMore ? encodeCursor({ sort, order, key: sortKey(last, sort), id: last.meetingId }) : null,
+        sort,
+        order,
+        limit
+    };
+}
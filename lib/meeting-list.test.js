@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingai-list-'));
+process.env.STORAGE_BACKEND = 'files';
+process.env.DATA_DIR = dataDir;
+
+let listMeetings;
+let TEAMS_SOURCE;
+
+before(async () => {
+    const storage = await import('./storage.js');
+    ({ listMeetings, TEAMS_SOURCE } = await import('./meeting-list.js'));
+
+    const meeting = (meetingId, day, extra = {}) => ({
+        meetingId,
+        source: `${meetingId}.vtt`,
+        importedAt: `2024-05-${String(day).padStart(2, '0')}T10:00:00.000Z`,
+        durationSeconds: day * 60,
+        entries: [{ start: '00:00:01.000', end: '00:00:02.000', speaker: 'Asha Rao', text: 'hi' }],
+        ...extra
+    });
+    await storage.saveTranscripts(meeting('standup-1', 1));
+    await storage.saveTranscripts(meeting('standup-2', 2));
+    await storage.saveTranscripts(meeting('planning', 3, { source: TEAMS_SOURCE, title: 'Sprint Planning' }));
+    await storage.saveTranscripts(meeting('retro', 4, { entries: [{ start: '00:00:01.000', end: '00:00:02.000', speaker: 'Ben', text: 'hi' }] }));
+    await storage.saveTranscripts(meeting('trashed', 5, { deletedAt: '2024-05-06T00:00:00.000Z' }));
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('cursor pagination walks every meeting once, newest first', async () => {
+    const ids = [];
+    let cursor;
+    do {
+        const page = await listMeetings({ limit: 2, cursor });
+        assert.equal(page.total, 4);
+        ids.push(...page.meetings.map(m => m.meetingId));
+        cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(ids, ['retro', 'planning', 'standup-2', 'standup-1']);
+});
+
+test('filters by source, date range, speaker and title', async () => {
+    const ids = async params => (await listMeetings(params)).meetings.map(m => m.meetingId);
+    assert.deepEqual(await ids({ source: 'teams' }), ['planning']);
+    assert.deepEqual(await ids({ from: '2024-05-02', to: '2024-05-03' }), ['planning', 'standup-2']);
+    assert.deepEqual(await ids({ speaker: 'ben' }), ['retro']);
+    assert.deepEqual(await ids({ q: 'sprint' }), ['planning']);
+    assert.deepEqual(await ids({ sort: 'duration', order: 'asc', limit: 2 }), ['standup-1', 'standup-2']);
+});
+
+test('cursors that were not issued for this listing are rejected', async () => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const { nextCursor } = await listMeetings({ limit: 1 });
+
+    for (const cursor of ['%%%', 'bnVsbA', encode(42), encode([]), encode({ sort: 'date', order: 'desc' })]) {
+        await assert.rejects(listMeetings({ cursor }), /^Error: INVALID_CURSOR$/, cursor);
+    }
+    await assert.rejects(listMeetings({ cursor: nextCursor, sort: 'duration' }), /INVALID_CURSOR/);
+    await assert.rejects(listMeetings({ sort: 'title' }), /INVALID_PARAM/);
+});
@@ -0,0 +1,140 @@
+/**
+ * Meeting Versions
+ *
+ * Content-hash dedupe and version history for uploaded meetings.
+ * The current version lives in `transcripts`; earlier versions (meeting + chunks)
+ * are snapshotted into `transcript_versions` and can be restored.
+ */
+
+import crypto from 'crypto';
+import * as storage from './storage.js';
+import { migrateMeeting } from './migrations.js';
+
+/**
+ * Hash the normalized transcript (not the raw bytes), so the same meeting
+ * exported as VTT and SRT, or re-saved with different line endings, still matches.
+ */
+export function hashEntries(entries) {
+    const normalized = entries
+        .map(e => `${e.start}|${e.speaker || 'Unknown'}|${(e.text || '').trim()}`)
+        .join('\n');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Recordings are hashed by their raw bytes: transcription output can vary between runs and providers.
+ */
+export function hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+export async function findDuplicate(contentHash) {
+    return await storage.findMeetingByHash(contentHash);
+}
+
+/**
+ * Pick a free meeting id so filename collisions never overwrite another meeting:
+ * "standup", then "standup-2", "standup-3", ...
+ */
+export async function resolveMeetingId(baseId) {
+    let candidate = baseId;
+    let n = 1;
+    while (await storage.getMeeting(candidate)) {
+        n++;
+        candidate = `${baseId}-${n}`;
+    }
+    return candidate;
+}
+
+/**
+ * Snapshot the current meeting and its chunks into version history.
+ */
+export async function archiveCurrentVersion(meetingId, reason = 'reupload') {
+    const meeting = await storage.getMeeting(meetingId);
+    if (!meeting) return null;
+
+    const chunks = await storage.loadChunks(meetingId);
+    const { _id, ...doc } = meeting;
+    const snapshot = {
+        meetingId,
+        version: meeting.version || 1,
+        contentHash: meeting.contentHash || null,
+        source: meeting.source,
+        uploadedAt: meeting.uploadedAt || meeting.importedAt || null,
+        archivedAt: new Date().toISOString(),
+        reason,
+        meeting: doc,
+        chunks: chunks.map(({ _id, ...c }) => c)
+    };
+
+    await storage.saveMeetingVersion(snapshot);
+    return snapshot;
+}
+
+export async function nextVersionNumber(meetingId) {
+    const current = await storage.getMeeting(meetingId);
+    const archived = await storage.listMeetingVersions(meetingId);
+    const versions = [current?.version || (current ? 1 : 0), ...archived.map(v => v.version)];
+    return Math.max(0, ...versions) + 1;
+}
+
+/**
+ * List the current version and every archived version (metadata only).
+ */
+export async function listVersions(meetingId) {
+    const current = await storage.getMeeting(meetingId);
+    if (!current || current.deletedAt) return null;
+
+    const archived = await storage.listMeetingVersions(meetingId);
+    return {
+        meetingId,
+        currentVersion: current.version || 1,
+        versions: [
+            {
+                version: current.version || 1,
+                contentHash: current.contentHash || null,
+                source: current.source,
+                uploadedAt: current.uploadedAt || current.importedAt || null,
+                current: true
+            },
+            ...archived.map(v => ({
+                version: v.version,
+                contentHash: v.contentHash,
+                source: v.source,
+                uploadedAt: v.uploadedAt,
+                archivedAt: v.archivedAt,
+                reason: v.reason,
+                current: false
+            }))
+        ]
+    };
+}
+
+/**
+ * Make an archived version current again. The version being replaced is archived first,
+ * so a restore can itself be undone. Snapshots are stored as they were, so they are
+ * upgraded to the current schema on the way back.
+ */
+export async function restoreVersion(meetingId, version) {
+    // Restoring a version of a trashed meeting would silently take it out of the trash
+    const current = await storage.getMeeting(meetingId);
+    if (current?.deletedAt) throw new Error('MEETING_IN_TRASH');
+
+    const target = await storage.getMeetingVersion(meetingId, Number(version));
+    if (!target) throw new Error('VERSION_NOT_FOUND');
+
+    const newVersion = await nextVersionNumber(meetingId);
+    await archiveCurrentVersion(meetingId, 'restore');
+
+    const migrated = migrateMeeting(target.meeting, target.chunks || []);
+    const meeting = {
+        ...migrated.meeting,
+        version: newVersion,
+        restoredFrom: target.version,
+        restoredAt: new Date().toISOString()
+    };
+    await storage.replaceMeeting(meeting);
+    await storage.saveChunks(migrated.chunks);
+
+    return meeting;
+}
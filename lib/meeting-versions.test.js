@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingai-versions-'));
+process.chdir(workDir);
+process.env.STORAGE_BACKEND = 'files';
+process.env.DATA_DIR = path.join(workDir, 'data');
+
+const vtt = lines => `WEBVTT\n\n${lines.map((text, i) => `00:00:0${i + 1}.000 --> 00:00:0${i + 2}.000\n<v Asha>${text}</v>\n`).join('\n')}`;
+
+let storage;
+let versions;
+let upload;
+
+before(async () => {
+    storage = await import('./storage.js');
+    versions = await import('./meeting-versions.js');
+    upload = await import('./upload-processor.js');
+});
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('the content hash ignores formatting but not content', () => {
+    const entries = [{ start: '00:00:01.000', speaker: 'Asha', text: 'Ship it' }];
+    assert.equal(versions.hashEntries(entries), versions.hashEntries([{ ...entries[0], text: '  Ship it\r\n', end: '00:00:09.000' }]));
+    assert.notEqual(versions.hashEntries(entries), versions.hashEntries([{ ...entries[0], speaker: 'Ben' }]));
+});
+
+test('a different meeting with the same file name gets its own id', async () => {
+    await upload.processTranscriptUpload('standup.vtt', Buffer.from(vtt(['Monday standup'])));
+    const other = await upload.processTranscriptUpload('standup.vtt', Buffer.from(vtt(['Tuesday standup'])));
+    assert.equal(other.meetingId, 'standup-2');
+    assert.equal(await versions.resolveMeetingId('standup'), 'standup-3');
+});
+
+test('a re-upload becomes the next version and older versions can be restored', async () => {
+    const v2 = await upload.processTranscriptUpload('standup.vtt', Buffer.from(vtt(['Monday standup', 'Late addition'])), { versionOf: 'standup' });
+    assert.deepEqual([v2.meetingId, v2.version], ['standup', 2]);
+
+    const listed = await versions.listVersions('standup');
+    assert.deepEqual(listed.versions.map(v => [v.version, v.current, v.reason]), [[2, true, undefined], [1, false, 'reupload']]);
+    assert.ok(fs.existsSync(path.join(workDir, 'public', 'uploads', 'standup-v2.vtt')));
+
+    const restored = await versions.restoreVersion('standup', 1);
+    assert.deepEqual([restored.version, restored.restoredFrom], [3, 1]);
+    assert.deepEqual((await storage.getMeeting('standup')).entries.map(e => e.text), ['Monday standup']);
+    assert.equal((await versions.listVersions('standup')).versions.length, 3);
+
+    await assert.rejects(versions.restoreVersion('standup', 9), /VERSION_NOT_FOUND/);
+});
+
+test('re-uploading a trashed meeting restores it; its versions cannot be restored while trashed', async () => {
+    await storage.updateMeeting('standup-2', { deletedAt: new Date().toISOString() });
+    assert.equal(await versions.listVersions('standup-2'), null);
+    await assert.rejects(versions.restoreVersion('standup-2', 1), /MEETING_IN_TRASH/);
+
+    const again = await upload.processTranscriptUpload('tuesday.vtt', Buffer.from(vtt(['Tuesday standup'])));
+    assert.deepEqual([again.meetingId, again.duplicate], ['standup-2', true]);
+    assert.equal((await storage.getMeeting('standup-2')).deletedAt, undefined);
+});
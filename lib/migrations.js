@@ -0,0 +1,204 @@
+/**
+ * Schema Migrations
+ *
+ * Upgrades stored transcripts and chunks to SCHEMA_VERSION (schema.js) one step at a time.
+ * Steps are pure functions of a document, so the same code serves dry runs, the migration
+ * runner, and restores of archived versions that predate a step.
+ *
+ * Every migrated meeting is validated before anything is written; a meeting that fails
+ * validation is reported and left untouched. Runs through the storage interface, so it
+ * works the same for MongoDB, file and SQLite data. Run it with scripts/migrate.js.
+ */
+
+import * as storage from './storage.js';
+import { timestampToSeconds } from './parser.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+/**
+ * Ordered steps. `meeting(doc)` and `chunk(doc, index, meeting)` return the upgraded
+ * document; either may be omitted. Step N brings a document from version N-1 to N.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Give entries and chunks stable ids, sequence numbers and numeric times',
+        meeting: (doc) => ({
+            ...doc,
+            entries: (doc.entries || []).map((e, idx) => ({
+                ...e,
+                id: e.id || `${doc.meetingId}:${String(idx + 1).padStart(4, '0')}`,
+                sequence: e.sequence || idx + 1,
+                speaker: e.speaker || 'Unknown',
+                text: e.text || ''
+            }))
+        }),
+        chunk: (doc, idx, meeting) => {
+            const startSec = Number(doc.startSec) || 0;
+            return {
+                ...doc,
+                meetingId: meeting.meetingId,
+                // Older chunks kept the indexer's placeholder ids ("web#0001")
+                chunkId: doc.chunkId && doc.chunkId.startsWith(`${meeting.meetingId}#`)
+                    ? doc.chunkId
+                    : `${meeting.meetingId}#${String(idx + 1).padStart(4, '0')}`,
+                sequence: doc.sequence || idx + 1,
+                startSec,
+                endSec: Number.isFinite(Number(doc.endSec)) ? Number(doc.endSec) : startSec,
+                text: doc.text || ''
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'Record importedAt and durationSeconds on every meeting',
+        meeting: (doc) => ({
+            ...doc,
+            // Uploads only wrote uploadedAt; listings sort by importedAt
+            importedAt: doc.importedAt || doc.uploadedAt || null,
+            durationSeconds: Number.isFinite(doc.durationSeconds) ? doc.durationSeconds : entriesDuration(doc.entries)
+        })
+    },
+    {
+        version: 3,
+        description: 'Version cached summary and action items',
+        meeting: (doc) => {
+            const out = { ...doc };
+            for (const field of ['summary', 'actionItems']) {
+                if (out[field] && !out[`${field}Version`]) out[`${field}Version`] = 1;
+            }
+            return out;
+        }
+    },
+    {
+        version: 4,
+        description: 'Record the chunking strategy on meetings and chunks',
+        // Everything chunked before strategies existed used the time-window chunker
+        meeting: (doc) => ({ ...doc, chunking: doc.chunking || { strategy: 'window', options: { windowSec: 90, minChars: 350, overlapSec: 15 } } }),
+        chunk: (doc, idx, meeting) => ({ ...doc, strategy: doc.strategy || meeting.chunking.strategy })
+    }
+];
+
+function entriesDuration(entries) {
+    const ends = (entries || []).map(e => e.end || e.start).filter(Boolean);
+    return ends.length ? Math.max(...ends.map(timestampToSeconds)) : 0;
+}
+
+/**
+ * Apply every pending step to a meeting and its chunks. Meetings and chunks are tracked
+ * separately because chunks can be rewritten (re-index) without touching the meeting.
+ * @returns {{ meeting, chunks, fromVersion, steps: string[] }}
+ */
+export function migrateMeeting(meeting, chunks = []) {
+    const { _id, ...doc } = meeting;
+    const fromVersion = doc.schemaVersion || 0;
+    let migrated = doc;
+    const steps = [];
+
+    for (const step of MIGRATIONS) {
+        if (step.version <= fromVersion || !step.meeting) continue;
+        migrated = step.meeting(migrated);
+        steps.push(`${step.version}: ${step.description}`);
+    }
+    migrated = { ...migrated, schemaVersion: SCHEMA_VERSION };
+
+    const migratedChunks = chunks.map(({ _id, ...chunk }, idx) => {
+        let out = chunk;
+        for (const step of MIGRATIONS) {
+            if (step.version <= (chunk.schemaVersion || 0) || !step.chunk) continue;
+            out = step.chunk(out, idx, migrated);
+        }
+        return { ...out, schemaVersion: SCHEMA_VERSION };
+    });
+
+    return { meeting: migrated, chunks: migratedChunks, fromVersion, steps };
+}
+
+/**
+ * Sanity checks on a migrated meeting. Returns a list of problems (empty when valid).
+ */
+export function validateMeeting(meeting, chunks = []) {
+    const problems = [];
+    if (!meeting.meetingId || typeof meeting.meetingId !== 'string') problems.push('missing meetingId');
+    if (meeting.schemaVersion !== SCHEMA_VERSION) problems.push(`schemaVersion is ${meeting.schemaVersion}, expected ${SCHEMA_VERSION}`);
+    if (!Array.isArray(meeting.entries)) problems.push('entries is not an array');
+    (meeting.entries || []).forEach((e, idx) => {
+        if (typeof e.text !== 'string') problems.push(`entry ${idx + 1} has no text`);
+        if (e.start !== undefined && !Number.isFinite(timestampToSeconds(e.start))) problems.push(`entry ${idx + 1} has a bad start time "${e.start}"`);
+    });
+    chunks.forEach((c, idx) => {
+        if (c.meetingId !== meeting.meetingId) problems.push(`chunk ${idx + 1} belongs to ${c.meetingId}`);
+        if (typeof c.text !== 'string') problems.push(`chunk ${idx + 1} has no text`);
+        if (!Number.isFinite(c.startSec) || !Number.isFinite(c.endSec)) problems.push(`chunk ${idx + 1} has non-numeric times`);
+    });
+    return problems;
+}
+
+function needsMigration(meeting, chunks) {
+    return (meeting.schemaVersion || 0) < SCHEMA_VERSION
+        || chunks.some(c => (c.schemaVersion || 0) < SCHEMA_VERSION);
+}
+
+function changedFields(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].filter(k => k !== '_id' && JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+}
+
+/**
+ * Upgrade every stored meeting (or just `meetingId`) to SCHEMA_VERSION.
+ * With dryRun, nothing is written; the report shows what would change.
+ * Archived versions are not rewritten here: restoreVersion migrates them on the way back.
+ */
+export async function runMigrations({ dryRun = false, meetingId = null } = {}) {
+    const meetings = meetingId
+        ? [await storage.getMeeting(meetingId)].filter(Boolean)
+        : await storage.loadTranscripts();
+
+    const report = {
+        dryRun,
+        targetVersion: SCHEMA_VERSION,
+        scanned: meetings.length,
+        migrated: 0,
+        upToDate: 0,
+        failed: 0,
+        meetings: []
+    };
+
+    for (const meeting of meetings) {
+        try {
+            const chunks = await storage.loadChunks(meeting.meetingId);
+            if (!needsMigration(meeting, chunks)) {
+                report.upToDate++;
+                continue;
+            }
+
+            const result = migrateMeeting(meeting, chunks);
+            const entry = {
+                meetingId: meeting.meetingId,
+                fromVersion: result.fromVersion,
+                toVersion: SCHEMA_VERSION,
+                steps: result.steps,
+                changedFields: changedFields(meeting, result.meeting),
+                chunksMigrated: chunks.filter(c => (c.schemaVersion || 0) < SCHEMA_VERSION).length
+            };
+
+            const problems = validateMeeting(result.meeting, result.chunks);
+            if (problems.length) {
+                report.failed++;
+                report.meetings.push({ ...entry, status: 'invalid', problems });
+                continue;
+            }
+
+            if (!dryRun) {
+                await storage.replaceMeeting(result.meeting);
+                if (result.chunks.length) await storage.saveChunks(result.chunks);
+            }
+            report.migrated++;
+            report.meetings.push({ ...entry, status: dryRun ? 'pending' : 'migrated' });
+        } catch (error) {
+            report.failed++;
+            report.meetings.push({ meetingId: meeting.meetingId, status: 'error', error: error.message });
+        }
+    }
+
+    return report;
+}
@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingai-migrations-'));
+process.env.STORAGE_BACKEND = 'files';
+process.env.DATA_DIR = dataDir;
+process.env.EMBEDDING_PROVIDER = 'none';
+
+// A meeting as the first uploads stored it: no schemaVersion, ids, importedAt or chunking
+const legacy = {
+    meetingId: 'legacy',
+    source: 'legacy.vtt',
+    uploadedAt: '2023-11-02T09:00:00.000Z',
+    summary: { summary: 'Old summary' },
+    entries: [
+        { start: '00:00:01.000', end: '00:00:04.000', speaker: 'Asha', text: 'Kickoff' },
+        { start: '00:01:00.000', end: '00:01:30.500', text: 'Wrap up' }
+    ]
+};
+const legacyChunks = [
+    { meetingId: 'legacy', chunkId: 'web#0001', startSec: '1', endSec: '90.5', text: '[Asha]: Kickoff\nWrap up' }
+];
+
+let storage;
+let migrations;
+let SCHEMA_VERSION;
+
+before(async () => {
+    storage = await import('./storage.js');
+    migrations = await import('./migrations.js');
+    ({ SCHEMA_VERSION } = await import('./schema.js'));
+
+    await storage.replaceMeeting(legacy);
+    await storage.saveChunks(legacyChunks);
+    await storage.replaceMeeting({ meetingId: 'broken', source: 'x.vtt', entries: [{ start: 'soon', text: 'Hi' }] });
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('migrateMeeting applies every step from version 0 and leaves the input alone', () => {
+    const { meeting, chunks, fromVersion, steps } = migrations.migrateMeeting(legacy, legacyChunks);
+
+    assert.equal(fromVersion, 0);
+    assert.equal(steps.length, migrations.MIGRATIONS.length);
+    assert.equal(meeting.schemaVersion, SCHEMA_VERSION);
+    assert.deepEqual(meeting.entries.map(e => [e.id, e.sequence, e.speaker]), [['legacy:0001', 1, 'Asha'], ['legacy:0002', 2, 'Unknown']]);
+    assert.equal(meeting.importedAt, legacy.uploadedAt);
+    assert.equal(meeting.durationSeconds, 90.5);
+    assert.equal(meeting.summaryVersion, 1);
+    assert.equal(meeting.chunking.strategy, 'window');
+    assert.deepEqual(chunks[0], {
+        meetingId: 'legacy', chunkId: 'legacy#0001', sequence: 1, startSec: 1, endSec: 90.5,
+        text: '[Asha]: Kickoff\nWrap up', strategy: 'window', schemaVersion: SCHEMA_VERSION
+    });
+    assert.equal(legacy.schemaVersion, undefined);
+    assert.deepEqual(migrations.validateMeeting(meeting, chunks), []);
+});
+
+test('a dry run reports pending work without writing; invalid meetings are left untouched', async () => {
+    const report = await migrations.runMigrations({ dryRun: true });
+    assert.deepEqual([report.scanned, report.migrated, report.failed], [2, 1, 1]);
+
+    const byId = Object.fromEntries(report.meetings.map(m => [m.meetingId, m]));
+    assert.equal(byId.legacy.status, 'pending');
+    assert.equal(byId.legacy.chunksMigrated, 1);
+    assert.ok(byId.legacy.changedFields.includes('importedAt'));
+    assert.equal(byId.broken.status, 'invalid');
+    assert.deepEqual(byId.broken.problems, ['entry 1 has a bad start time "soon"']);
+
+    assert.equal((await storage.getMeeting('legacy')).schemaVersion, undefined);
+});
+
+test('a run upgrades stored meetings and chunks, and a second run finds nothing to do', async () => {
+    const report = await migrations.runMigrations({ meetingId: 'legacy' });
+    assert.equal(report.meetings[0].status, 'migrated');
+
+    assert.equal((await storage.getMeeting('legacy')).schemaVersion, SCHEMA_VERSION);
+    assert.equal((await storage.loadChunks('legacy'))[0].chunkId, 'legacy#0001');
+
+    const again = await migrations.runMigrations({ meetingId: 'legacy' });
+    assert.deepEqual([again.migrated, again.upToDate], [0, 1]);
+});
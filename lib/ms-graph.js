@@ -215,48 +215,67 @@ async function resolveOnlineMeetingId(accessToken, meetingKey) {
 }
 
 /**
- * Fetch Teams Transcript (Option 1 path)
- * Returns VTT content if user has access.
+ * Fetch Teams Transcripts (Option 1 path)
+ * A meeting has one transcript per transcription session (stopped/restarted, multiple sessions).
+ * Returns every part, oldest first: [{ id, createdDateTime, endDateTime, content }]
  */
-export async function fetchTeamsTranscript(accessToken, meetingIdOrUrl) {
+export async function fetchTeamsTranscripts(accessToken, meetingIdOrUrl) {
     const resolvedId = await resolveOnlineMeetingId(accessToken, meetingIdOrUrl);
     const transcriptsUrl = `https://graph.microsoft.com/v1.0/me/onlineMeetings/${resolvedId}/transcripts`;
 
-    const response = await fetch(transcriptsUrl, {
-        headers: { 'Authorization': `Bearer ${accessToken}` }
-    });
+    const transcripts = [];
+    let nextUrl = transcriptsUrl;
+    while (nextUrl) {
+        const response = await fetch(nextUrl, {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        });
 
-    if (response.status === 404) {
-        throw new Error('NO_TRANSCRIPTS_FOR_MEETING');
-    }
+        if (response.status === 404) {
+            throw new Error('NO_TRANSCRIPTS_FOR_MEETING');
+        }
 
-    if (response.status === 403) {
-        throw new Error('PERMISSION_DENIED');
-    }
+        if (response.status === 403) {
+            throw new Error('PERMISSION_DENIED');
+        }
 
-    if (!response.ok) {
-        throw new Error(`Transcript List Error: ${response.status}`);
+        if (!response.ok) {
+            throw new Error(`Transcript List Error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        transcripts.push(...(data.value || []));
+        nextUrl = data['@odata.nextLink'] || null;
     }
 
-    const data = await response.json();
-    if (!data.value || data.value.length === 0) {
+    if (transcripts.length === 0) {
         throw new Error('NO_TRANSCRIPTS_FOR_MEETING');
     }
 
-    // Fetch VTT content
-    const transcript = data.value[0];
-    const contentUrl = transcript.transcriptContentUrl ||
-        `${transcriptsUrl}/${transcript.id}/content`;
+    transcripts.sort((a, b) => new Date(a.createdDateTime || 0) - new Date(b.createdDateTime || 0));
 
-    const contentRes = await fetch(contentUrl, {
-        headers: { 'Authorization': `Bearer ${accessToken}` }
-    });
+    // Fetch VTT content for each part
+    const parts = [];
+    for (const transcript of transcripts) {
+        const contentUrl = transcript.transcriptContentUrl ||
+            `${transcriptsUrl}/${transcript.id}/content`;
 
-    if (!contentRes.ok) {
-        throw new Error(`Transcript Content Error: ${contentRes.status}`);
+        const contentRes = await fetch(contentUrl, {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        });
+
+        if (!contentRes.ok) {
+            throw new Error(`Transcript Content Error: ${contentRes.status} (transcript ${transcript.id})`);
+        }
+
+        parts.push({
+            id: transcript.id,
+            createdDateTime: transcript.createdDateTime || null,
+            endDateTime: transcript.endDateTime || null,
+            content: await contentRes.text()
+        });
     }
 
-    return await contentRes.text();
+    return parts;
 }
 
 /**
@@ -0,0 +1,51 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchTeamsTranscripts } from './ms-graph.js';
+
+const BASE = 'https://graph.microsoft.com/v1.0/me/onlineMeetings/m1/transcripts';
+const realFetch = globalThis.fetch;
+
+// Answer Graph requests from a map of URL -> { status, json | text }; record what was asked
+function fakeGraph(routes) {
+    const requested = [];
+    globalThis.fetch = async (url) => {
+        requested.push(url);
+        const route = routes[url] || { status: 404 };
+        return new Response(route.json ? JSON.stringify(route.json) : (route.text ?? ''), { status: route.status || 200 });
+    };
+    return requested;
+}
+
+afterEach(() => {
+    globalThis.fetch = realFetch;
+});
+
+test('every transcript part is fetched across pages and returned oldest first', async () => {
+    const requested = fakeGraph({
+        [BASE]: { json: {
+            value: [{ id: 't2', createdDateTime: '2024-05-01T10:30:00Z', endDateTime: '2024-05-01T10:45:00Z' }],
+            '@odata.nextLink': `${BASE}?page=2`
+        } },
+        [`${BASE}?page=2`]: { json: { value: [{ id: 't1', createdDateTime: '2024-05-01T10:00:00Z', transcriptContentUrl: 'https://files.example/t1' }] } },
+        'https://files.example/t1': { text: 'WEBVTT\n\nfirst session' },
+        [`${BASE}/t2/content`]: { text: 'WEBVTT\n\nsecond session' }
+    });
+
+    const parts = await fetchTeamsTranscripts('token', 'm1');
+    assert.deepEqual(parts, [
+        { id: 't1', createdDateTime: '2024-05-01T10:00:00Z', endDateTime: null, content: 'WEBVTT\n\nfirst session' },
+        { id: 't2', createdDateTime: '2024-05-01T10:30:00Z', endDateTime: '2024-05-01T10:45:00Z', content: 'WEBVTT\n\nsecond session' }
+    ]);
+    assert.equal(requested.length, 4);
+});
+
+test('missing transcripts, missing permission and a failing part are errors', async () => {
+    fakeGraph({ [BASE]: { json: { value: [] } } });
+    await assert.rejects(fetchTeamsTranscripts('token', 'm1'), /NO_TRANSCRIPTS_FOR_MEETING/);
+
+    fakeGraph({ [BASE]: { status: 403 } });
+    await assert.rejects(fetchTeamsTranscripts('token', 'm1'), /PERMISSION_DENIED/);
+
+    fakeGraph({ [BASE]: { json: { value: [{ id: 't1' }, { id: 't2' }] } }, [`${BASE}/t1/content`]: { text: 'WEBVTT' } });
+    await assert.rejects(fetchTeamsTranscripts('token', 'm1'), /Transcript Content Error: 404 \(transcript t2\)/);
+});
@@ -0,0 +1,128 @@
+/**
+ * Teams .docx Transcript Parser
+ *
+ * Teams lets attendees download transcripts as Word documents. Two layouts exist:
+ * - Current:  "Alice Smith   1:23" on one paragraph, the spoken text on the following paragraph(s).
+ *             The timestamp is its own run (or follows a tab), so a spoken line ending in a
+ *             time ("let's sync at 10:30") is not taken for a speaker header.
+ * - Legacy:   "00:00:01.000 --> 00:00:05.000", then the speaker, then the text (VTT-like)
+ *
+ * Output matches parseVTT: [{ start, end, speaker, text }].
+ */
+
+import JSZip from 'jszip';
+import { normalizeTimestamp, finalizeEntries } from './parser.js';
+
+const LEGACY_TIMING_RE = /^(\d{1,2}:\d{1,2}:\d{1,2}(?:\.\d+)?)\s*-->\s*(\d{1,2}:\d{1,2}:\d{1,2}(?:\.\d+)?)$/;
+const HEADER_TIME_RE = /^\d{1,2}:\d{2}(?::\d{2})?$/;
+const MAX_NAME_WORDS = 6;
+const MAX_NAME_LENGTH = 60;
+
+export async function parseTeamsDocx(buffer, filename = 'unknown.docx', warnings = []) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new Error(`${filename} is not a valid .docx file`);
+  }
+
+  const documentXml = zip.file('word/document.xml');
+  if (!documentXml) throw new Error(`${filename} has no word/document.xml`);
+
+  const paragraphs = extractParagraphs(await documentXml.async('string'));
+  const entries = paragraphs.some(p => LEGACY_TIMING_RE.test(p.text))
+    ? parseLegacyLayout(paragraphs.map(p => p.text), warnings)
+    : parseCurrentLayout(paragraphs, warnings);
+
+  if (!entries.length) {
+    warnings.push({ line: 0, message: `${filename}: no transcript entries found in document` });
+  }
+  return finalizeEntries(entries);
+}
+
+/**
+ * Pull plain text out of every <w:p> paragraph, keeping tabs and line breaks.
+ * `parts` is the text split at run boundaries and tabs, which is how headers are told apart.
+ */
+function extractParagraphs(xml) {
+  const paragraphs = [];
+  const paraRE = /<w:p[ >][\s\S]*?<\/w:p>/g;
+  let m;
+  while ((m = paraRE.exec(xml)) !== null) {
+    const runs = (m[0].match(/<w:r[ >][\s\S]*?<\/w:r>/g) || []).map(run => {
+      const tokens = run.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [];
+      return decodeXml(tokens.map(r => {
+        if (r === '<w:tab/>') return '\t';
+        if (r === '<w:br/>') return '\n';
+        return r.replace(/^<w:t[^>]*>|<\/w:t>$/g, '');
+      }).join(''));
+    });
+    const text = runs.join('').trim();
+    if (!text) continue;
+    const parts = runs.flatMap(r => r.split('\t')).map(p => p.trim()).filter(Boolean);
+    paragraphs.push({ text, parts });
+  }
+  return paragraphs;
+}
+
+/**
+ * "Alice Smith" + "1:23" as separate runs (or tab-separated) -> { speaker, time }; null for spoken text.
+ * The name must be short and free of sentence punctuation.
+ */
+function parseSpeakerHeader({ text, parts }) {
+  const time = parts[parts.length - 1];
+  if (parts.length < 2 || !HEADER_TIME_RE.test(time)) return null;
+  const speaker = text.slice(0, text.lastIndexOf(time)).replace(/\s+/g, ' ').trim();
+  if (!speaker || speaker.length > MAX_NAME_LENGTH || speaker.split(' ').length > MAX_NAME_WORDS) return null;
+  if (/[?!;"“”]/.test(speaker) || /[.,:]$/.test(speaker)) return null;
+  return { speaker, time };
+}
+
+function parseCurrentLayout(paragraphs, warnings) {
+  const entries = [];
+  let current = null;
+  paragraphs.forEach((p, idx) => {
+    const header = parseSpeakerHeader(p);
+    if (header) {
+      if (current && !current.text) {
+        warnings.push({ line: idx, message: `Turn by ${current.speaker} at ${current.start} has no text; skipped` });
+        entries.pop();
+      }
+      current = { start: normalizeTimestamp(header.time), end: null, speaker: header.speaker, text: '' };
+      entries.push(current);
+    } else if (current) {
+      current.text = current.text ? `${current.text} ${p.text}` : p.text;
+    }
+    // Title and date paragraphs before the first speaker header are ignored
+  });
+  // Each turn ends where the next begins
+  entries.forEach((e, idx) => { e.end = entries[idx + 1] ? entries[idx + 1].start : e.start; });
+  return entries;
+}
+
+function parseLegacyLayout(paragraphs, warnings) {
+  const entries = [];
+  for (let i = 0; i < paragraphs.length; i++) {
+    const m = paragraphs[i].match(LEGACY_TIMING_RE);
+    if (!m) continue;
+    const speaker = paragraphs[i + 1];
+    const text = paragraphs[i + 2];
+    if (!speaker || !text || LEGACY_TIMING_RE.test(speaker) || LEGACY_TIMING_RE.test(text)) {
+      warnings.push({ line: i + 1, message: `Incomplete entry at ${m[1]}; skipped` });
+      continue;
+    }
+    entries.push({ start: normalizeTimestamp(m[1]), end: normalizeTimestamp(m[2]), speaker, text });
+    i += 2;
+  }
+  return entries;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, n) => Number(n) <= 0x10FFFF ? String.fromCodePoint(Number(n)) : match)
+    .replace(/&amp;/g, '&');
+}
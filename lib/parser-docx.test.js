@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { parseTeamsDocx } from './parser-docx.js';
+
+const run = text => `<w:r><w:t xml:space="preserve">${text}</w:t></w:r>`;
+const para = (...runs) => `<w:p>${runs.join('')}</w:p>`;
+
+async function docx(...paragraphs) {
+  const zip = new JSZip();
+  zip.file('word/document.xml', `<w:document><w:body>${paragraphs.join('')}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('current layout: speaker and timestamp runs start a turn', async () => {
+  const buffer = await docx(
+    para(run('Weekly sync')),
+    para(run('Asha Rao'), run('   0:03')),
+    para(run('Morning everyone.')),
+    para(run('Ben'), '<w:r><w:tab/></w:r>', run('1:10')),
+    para(run('Q&amp;A is next.'))
+  );
+  assert.deepEqual(await parseTeamsDocx(buffer, 'sync.docx'), [
+    { start: '00:00:03.000', end: '00:01:10.000', speaker: 'Asha Rao', text: 'Morning everyone.' },
+    { start: '00:01:10.000', end: '00:01:10.000', speaker: 'Ben', text: 'Q&A is next.' },
+  ]);
+});
+
+test('current layout: spoken text ending in a time stays text', async () => {
+  const buffer = await docx(
+    para(run('Asha Rao'), run('0:03')),
+    para(run("Let's sync at 10:30")),
+    para(run('Tomorrow works, right? Say '), run('10:30')),
+    para(run('Ben'), run('0:20')),
+    para(run('Sure.'))
+  );
+  const entries = await parseTeamsDocx(buffer, 'sync.docx');
+  assert.deepEqual(entries.map(e => e.speaker), ['Asha Rao', 'Ben']);
+  assert.equal(entries[0].text, "Let's sync at 10:30 Tomorrow works, right? Say 10:30");
+});
+
+test('legacy layout and out-of-range character references', async () => {
+  const buffer = await docx(
+    para(run('00:00:01.000 --&gt; 00:00:04.000')),
+    para(run('Asha')),
+    para(run('Budget &#99999999; approved &#233;'))
+  );
+  assert.deepEqual(await parseTeamsDocx(buffer, 'old.docx'), [
+    { start: '00:00:01.000', end: '00:00:04.000', speaker: 'Asha', text: 'Budget &#99999999; approved é' },
+  ]);
+});
+
+test('rejects files that are not .docx', async () => {
+  await assert.rejects(parseTeamsDocx(Buffer.from('not a zip'), 'x.docx'), /not a valid \.docx/);
+});
@@ -1,45 +1,309 @@
-export function parseVTT(content, filename = 'unknown.vtt') {
-  // very small wrapper that mirrors services/parser behavior
-  const lines = content.split(/\r?\n/);
-  const timestampRE = /(\d{1,2}:\d{2}:\d{2}\.\d{3})\s+-->\s+(\d{1,2}:\d{2}:\d{2}\.\d{3})/;
+/**
+ * Transcript Parsers
+ *
+ * Every parser returns the same entry shape: { start, end, speaker, text }
+ * with timestamps normalized to HH:MM:SS.mmm so the indexer can chunk them.
+ */
+
+const PARSERS = [
+  { format: 'vtt', extensions: ['.vtt'], detect: c => /^WEBVTT/.test(c), parse: parseVTT },
+  { format: 'srt', extensions: ['.srt'], detect: c => /^\s*\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2},\d{3}\s+-->/.test(c), parse: parseSRT },
+  { format: 'sbv', extensions: ['.sbv'], detect: c => /^\s*\d{1,2}:\d{2}:\d{2}\.\d{3},\d{1,2}:\d{2}:\d{2}\.\d{3}\s*$/m.test(c), parse: parseSBV },
+  { format: 'txt', extensions: ['.txt'], detect: c => PLAIN_LINE_RE.test(c.split(/\r?\n/).find(l => l.trim()) || ''), parse: parsePlainText },
+];
+
+export const SUPPORTED_EXTENSIONS = PARSERS.flatMap(p => p.extensions);
+
+/**
+ * Detect the transcript format from the file extension, falling back to content sniffing.
+ * Returns the format name ('vtt', 'srt', 'sbv', 'txt') or null if nothing matches.
+ */
+export function detectFormat(content, filename = '') {
+  const ext = (filename.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+  const byExt = PARSERS.find(p => p.extensions.includes(ext));
+  if (byExt) return byExt.format;
+  const text = stripBOM(content || '');
+  const byContent = PARSERS.find(p => p.detect(text));
+  return byContent ? byContent.format : null;
+}
+
+/**
+ * Parse any supported transcript into entries.
+ * @returns {{ format: string, entries: Array<{start, end, speaker, text}>, warnings: Array<{line, message}> }}
+ */
+export function parseTranscript(content, filename = 'unknown') {
+  const format = detectFormat(content, filename);
+  if (!format) throw new Error(`Unsupported transcript format: ${filename}`);
+  const parser = PARSERS.find(p => p.format === format);
+  const warnings = [];
+  const entries = parser.parse(stripBOM(content), filename, warnings);
+  return { format, entries, warnings };
+}
+
+/**
+ * WebVTT parser following the W3C block structure:
+ * - optional cue identifiers, hourless timestamps (MM:SS.mmm) and cue settings after the arrow
+ * - NOTE / STYLE / REGION blocks are skipped
+ * - <v> spans split a cue into one segment per speaker; <c>, <i>, <b>, <u>, <lang>, <ruby> and
+ *   inline timestamps are stripped and HTML entities decoded
+ *
+ * Cues that cannot be used are skipped and described in `warnings` ({ line, message }).
+ */
+export function parseVTT(content, filename = 'unknown.vtt', warnings = []) {
+  const lines = stripBOM(content).split(/\r\n|\r|\n/);
   const entries = [];
+
+  // Skip the header block; without a header the first block is already a cue
   let i = 0;
+  if (/^WEBVTT(?:[ \t].*)?$/.test(lines[0] || '')) {
+    while (i < lines.length && lines[i].trim() !== '') i++;
+  } else {
+    warnings.push({ line: 1, message: `${filename}: missing WEBVTT header` });
+  }
+
   while (i < lines.length) {
-    const line = lines[i].trim();
-    if (!line) { i++; continue; }
-    const m = line.match(timestampRE);
-    if (m) {
-      const start = m[1]; const end = m[2]; i++;
-      const textLines = [];
-      while (i < lines.length && !lines[i].match(timestampRE)) {
-        if (lines[i].trim() === '') { i++; break; }
-        textLines.push(lines[i]); i++;
-      }
-      let raw = textLines.join(' ').trim();
-
-      let speaker = 'Unknown';
-      let text = raw;
-
-      // Type 1: <v Speaker Name>Text</v> or <v Speaker Name>Text
-      const vTagMatch = raw.match(/<v\s+([^>]+)>(.*)/i);
-      if (vTagMatch) {
-        speaker = vTagMatch[1].trim();
-        text = vTagMatch[2].replace(/<\/v>/gi, '').trim();
-      } else {
-        // Type 2: Speaker: Text
-        const colonMatch = raw.match(/^([^:]+):\s*(.+)$/);
-        if (colonMatch) {
-          speaker = colonMatch[1].trim();
-          text = colonMatch[2].trim();
-        }
-      }
+    if (lines[i].trim() === '') { i++; continue; }
+
+    const blockLine = i + 1;
+    const first = lines[i].trim();
 
-      entries.push({ start, end, speaker, text });
+    // Comment, style and region blocks run until the next blank line
+    if (/^(NOTE|STYLE|REGION)(?:[ \t]|$)/.test(first)) {
+      while (i < lines.length && lines[i].trim() !== '') i++;
       continue;
     }
+
+    // Optional cue identifier followed by the timing line
+    let id = null;
+    if (!first.includes('-->')) {
+      id = first;
+      i++;
+      if (i >= lines.length || !lines[i].includes('-->')) {
+        warnings.push({ line: blockLine, message: `Block "${truncate(first)}" has no timing line; skipped` });
+        while (i < lines.length && lines[i].trim() !== '') i++;
+        continue;
+      }
+    }
+
+    const timingLine = lines[i].trim();
+    const timingLineNo = i + 1;
     i++;
+
+    // Payload runs until a blank line or a line that starts a new cue
+    const payload = [];
+    while (i < lines.length && lines[i].trim() !== '' && !lines[i].includes('-->')) {
+      payload.push(lines[i]);
+      i++;
+    }
+
+    const timing = timingLine.match(/^(\S+)[ \t]+-->[ \t]+(\S+)(?:[ \t]+(.*))?$/);
+    if (!timing || !VTT_TIMESTAMP_RE.test(timing[1]) || !VTT_TIMESTAMP_RE.test(timing[2])) {
+      warnings.push({ line: timingLineNo, message: `Malformed timing "${truncate(timingLine)}"${id ? ` in cue "${truncate(id)}"` : ''}; skipped` });
+      continue;
+    }
+
+    const start = normalizeTimestamp(timing[1]);
+    const end = normalizeTimestamp(timing[2]);
+    if (end < start) {
+      warnings.push({ line: timingLineNo, message: `Cue ends before it starts (${timing[1]} --> ${timing[2]}); skipped` });
+      continue;
+    }
+
+    const segments = splitVoices(payload.join('\n'));
+    if (!segments.length) {
+      warnings.push({ line: timingLineNo, message: `Cue${id ? ` "${truncate(id)}"` : ''} has no text; skipped` });
+      continue;
+    }
+    for (const seg of segments) entries.push({ start, end, ...seg });
+  }
+  return finalizeEntries(entries);
+}
+
+const VTT_TIMESTAMP_RE = /^(?:\d{2,}:)?[0-5]\d:[0-5]\d\.\d{3}$/;
+
+/**
+ * Split a cue payload on <v> spans. Text outside any voice falls back to "Speaker: text" detection.
+ */
+function splitVoices(payload) {
+  const voiceRE = /<v(?:\.[^\s>]*)?(?:[ \t]+([^>]*))?>/gi;
+  const segments = [];
+  let lastIdx = 0;
+  let speaker = null;
+  let m;
+
+  const push = (raw) => {
+    const text = decodeEntities(raw.replace(/<\/v>/gi, '').replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    segments.push(speaker ? { speaker, text } : splitSpeaker(text));
+  };
+
+  while ((m = voiceRE.exec(payload)) !== null) {
+    push(payload.slice(lastIdx, m.index));
+    speaker = decodeEntities((m[1] || '').trim()) || 'Unknown';
+    lastIdx = voiceRE.lastIndex;
   }
-  // Post-processing: Merge consecutive segments from same speaker & filter noise
+  push(payload.slice(lastIdx));
+  return segments;
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '', rlm: '' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n <= 0x10FFFF ? String.fromCodePoint(n) : match;
+    }
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+function truncate(text, max = 40) {
+  return text.length > max ? `${text.slice(0, max)}...` : text;
+}
+
+/**
+ * SubRip (.srt) - Zoom and most desktop tools.
+ * Blocks: index line, "00:00:01,000 --> 00:00:04,000", one or more text lines.
+ */
+export function parseSRT(content, filename = 'unknown.srt') {
+  const timestampRE = /(\d{1,2}:\d{2}:\d{2}[,.]\d{1,3})\s+-->\s+(\d{1,2}:\d{2}:\d{2}[,.]\d{1,3})/;
+  const entries = [];
+  for (const block of content.split(/\r?\n\s*\r?\n/)) {
+    const lines = block.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const tsIdx = lines.findIndex(l => timestampRE.test(l));
+    if (tsIdx === -1) continue;
+    const m = lines[tsIdx].match(timestampRE);
+    const raw = stripTags(lines.slice(tsIdx + 1).join(' '));
+    entries.push({ start: normalizeTimestamp(m[1]), end: normalizeTimestamp(m[2]), ...splitSpeaker(raw) });
+  }
+  return finalizeEntries(entries);
+}
+
+/**
+ * SubViewer (.sbv) - YouTube and Google Meet exports.
+ * Blocks: "0:00:01.000,0:00:04.000" followed by text lines. Meet prefixes speakers with ">>".
+ */
+export function parseSBV(content, filename = 'unknown.sbv') {
+  const timestampRE = /^(\d{1,2}:\d{2}:\d{2}\.\d{1,3}),(\d{1,2}:\d{2}:\d{2}\.\d{1,3})$/;
+  const entries = [];
+  for (const block of content.split(/\r?\n\s*\r?\n/)) {
+    const lines = block.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (!lines.length) continue;
+    const m = lines[0].match(timestampRE);
+    if (!m) continue;
+    const raw = lines.slice(1).join(' ').replace(/^>>\s*/, '');
+    entries.push({ start: normalizeTimestamp(m[1]), end: normalizeTimestamp(m[2]), ...splitSpeaker(raw) });
+  }
+  return finalizeEntries(entries);
+}
+
+// "[00:01:02] Name: text", "00:01:02 Name: text", "[01:02] Name: text"
+const PLAIN_LINE_RE = /^\s*\[?(\d{1,2}:\d{2}(?::\d{2})?(?:\.\d{1,3})?)\]?\s*[-–]?\s*(.*)$/;
+
+/**
+ * Timestamped plain text (.txt) - hand-cleaned notes.
+ * Lines without a timestamp are appended to the previous entry; each entry ends where the next begins.
+ */
+export function parsePlainText(content, filename = 'unknown.txt') {
+  const entries = [];
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const m = line.match(PLAIN_LINE_RE);
+    if (m) {
+      entries.push({ start: normalizeTimestamp(m[1]), end: null, ...splitSpeaker(m[2].trim()) });
+    } else if (entries.length) {
+      entries[entries.length - 1].text += ' ' + line.trim();
+    }
+  }
+  entries.forEach((e, idx) => { e.end = entries[idx + 1] ? entries[idx + 1].start : e.start; });
+  return finalizeEntries(entries);
+}
+
+/**
+ * Normalize "1:02", "01:02:03,5" or "1:02:03.500" to "01:02:03.500".
+ */
+export function normalizeTimestamp(ts) {
+  const [clock, frac = '0'] = String(ts).trim().split(/[.,]/);
+  const parts = clock.split(':').map(Number);
+  while (parts.length < 3) parts.unshift(0);
+  const [h, m, s] = parts;
+  const ms = Number(frac.padEnd(3, '0').slice(0, 3));
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+export function timestampToSeconds(ts) {
+  const [h, m, s] = normalizeTimestamp(ts).split(':');
+  return Number(h) * 3600 + Number(m) * 60 + Number(s);
+}
+
+export function secondsToTimestamp(totalSec) {
+  const ms = Math.round(Math.max(0, totalSec) * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * Merge parsed transcript parts (one per Teams transcription session) into a single timeline.
+ * Each part's timestamps restart at zero, so they are shifted by the part's offset from the
+ * earliest part's createdDateTime, never overlapping the previous part. Parts without a
+ * createdDateTime go last, right after the previous part. Entries keep their transcriptId.
+ */
+export function mergeTranscriptParts(parts) {
+  const createdAt = part => (part.createdDateTime ? new Date(part.createdDateTime).getTime() : null);
+  const ordered = [...parts].sort((a, b) => (createdAt(a) ?? Infinity) - (createdAt(b) ?? Infinity));
+  const firstCreated = ordered.length ? createdAt(ordered[0]) : null;
+
+  const merged = [];
+  let previousEnd = 0;
+  for (const part of ordered) {
+    const created = createdAt(part);
+    const wallClockOffset = firstCreated !== null && created !== null ? (created - firstCreated) / 1000 : previousEnd;
+    const offset = Math.max(wallClockOffset, previousEnd);
+
+    for (const e of part.entries) {
+      const entry = {
+        ...e,
+        start: secondsToTimestamp(timestampToSeconds(e.start) + offset),
+        end: secondsToTimestamp(timestampToSeconds(e.end || e.start) + offset),
+        transcriptId: part.id
+      };
+      merged.push(entry);
+      previousEnd = Math.max(previousEnd, timestampToSeconds(entry.end));
+    }
+  }
+  return merged;
+}
+
+function splitSpeaker(raw) {
+  // Type 1: <v Speaker Name>Text</v> or <v Speaker Name>Text
+  const vTagMatch = raw.match(/<v\s+([^>]+)>(.*)/i);
+  if (vTagMatch) {
+    return { speaker: vTagMatch[1].trim(), text: vTagMatch[2].replace(/<\/v>/gi, '').trim() };
+  }
+  // Type 2: Speaker: Text
+  const colonMatch = raw.match(/^([^:]+):\s*(.+)$/);
+  if (colonMatch) {
+    return { speaker: colonMatch[1].trim(), text: colonMatch[2].trim() };
+  }
+  return { speaker: 'Unknown', text: raw };
+}
+
+function stripTags(text) {
+  return text.replace(/<\/?(?:i|b|u|font)[^>]*>/gi, '').replace(/\{\\[^}]*\}/g, '').trim();
+}
+
+function stripBOM(content) {
+  return content.charCodeAt(0) === 0xFEFF ? content.slice(1) : content;
+}
+
+/**
+ * Post-processing shared by every format: filter noise and merge consecutive segments from the same speaker.
+ */
+export function finalizeEntries(entries) {
   const merged = [];
   let lastEntry = null;
 
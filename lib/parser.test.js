@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTranscript, parseVTT, parseSRT, parseSBV, parsePlainText, detectFormat, normalizeTimestamp, mergeTranscriptParts } from './parser.js';
+
+test('parseVTT reads voices, hourless timestamps and cue settings', () => {
+  const { entries, warnings } = parseTranscript([
+    'WEBVTT',
+    '',
+    'NOTE exported from Teams',
+    '',
+    'cue-1',
+    '00:01.000 --> 00:04.500 align:start',
+    '<v Asha Rao>We ship on <b>Friday</b>.</v>',
+    '',
+    '00:00:05.000 --> 00:00:07.000',
+    '<v Ben>Q&amp;A after that</v>',
+  ].join('\n'), 'call.vtt');
+
+  assert.equal(warnings.length, 0);
+  assert.deepEqual(entries, [
+    { start: '00:00:01.000', end: '00:00:04.500', speaker: 'Asha Rao', text: 'We ship on Friday.' },
+    { start: '00:00:05.000', end: '00:00:07.000', speaker: 'Ben', text: 'Q&A after that' },
+  ]);
+});
+
+test('parseVTT keeps the first cue when the WEBVTT header is missing', () => {
+  const warnings = [];
+  const entries = parseVTT([
+    '00:00:01.000 --> 00:00:02.000',
+    '<v Asha>First</v>',
+    '',
+    '00:00:03.000 --> 00:00:04.000',
+    '<v Ben>Second</v>',
+  ].join('\n'), 'headless.vtt', warnings);
+
+  assert.deepEqual(entries.map(e => e.text), ['First', 'Second']);
+  assert.match(warnings[0].message, /missing WEBVTT header/);
+});
+
+test('parseVTT keeps out-of-range character references as written', () => {
+  const { entries } = parseTranscript('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<v Asha>caf&#233; &#99999999; &#x110000;</v>', 'x.vtt');
+  assert.equal(entries[0].text, 'café &#99999999; &#x110000;');
+});
+
+test('parseVTT skips malformed cues with a warning', () => {
+  const warnings = [];
+  const entries = parseVTT([
+    'WEBVTT',
+    '',
+    '00:00:05.000 --> 00:00:01.000',
+    '<v Asha>Backwards</v>',
+    '',
+    'orphan id',
+    '',
+    '00:00:06.000 --> 00:00:07.000',
+    '<v Ben>Kept</v>',
+  ].join('\n'), 'bad.vtt', warnings);
+
+  assert.deepEqual(entries.map(e => e.text), ['Kept']);
+  assert.equal(warnings.length, 2);
+});
+
+test('parseSRT, parseSBV and parsePlainText share the entry shape', () => {
+  assert.deepEqual(parseSRT('1\n00:00:01,000 --> 00:00:02,500\nAsha: Hello there\n'), [
+    { start: '00:00:01.000', end: '00:00:02.500', speaker: 'Asha', text: 'Hello there' },
+  ]);
+  assert.deepEqual(parseSBV('0:00:01.000,0:00:02.000\n>> Ben: Hi all\n'), [
+    { start: '00:00:01.000', end: '00:00:02.000', speaker: 'Ben', text: 'Hi all' },
+  ]);
+  assert.deepEqual(parsePlainText('[00:01] Asha: Start\ncontinued here\n[00:05] Ben: Next'), [
+    { start: '00:00:01.000', end: '00:00:05.000', speaker: 'Asha', text: 'Start continued here' },
+    { start: '00:00:05.000', end: '00:00:05.000', speaker: 'Ben', text: 'Next' },
+  ]);
+});
+
+test('detectFormat falls back to content sniffing', () => {
+  assert.equal(detectFormat('WEBVTT\n\n', 'upload'), 'vtt');
+  assert.equal(detectFormat('1\n00:00:01,000 --> 00:00:02,000\nhi', 'upload'), 'srt');
+  assert.equal(detectFormat('random words', 'upload'), null);
+  assert.equal(normalizeTimestamp('1:02:03,5'), '01:02:03.500');
+});
+
+test('mergeTranscriptParts lays parts out by wall-clock time without overlaps', () => {
+  const part = (id, createdDateTime, ...cues) => ({
+    id,
+    createdDateTime,
+    entries: cues.map(([start, end, text]) => ({ start, end, speaker: 'Asha', text }))
+  });
+  // Given out of order: the restart at 10:05:05 overlaps the part started at 10:05,
+  // and the part without a createdDateTime goes last
+  const merged = mergeTranscriptParts([
+    part('t3', '2024-05-01T10:05:05Z', ['00:00:00.000', '00:00:04.000', 'restarted']),
+    part('t4', null, ['00:00:01.000', '00:00:02.000', 'undated']),
+    part('t1', '2024-05-01T10:00:00Z', ['00:00:00.000', '00:00:30.000', 'kickoff'], ['00:00:30.000', '00:01:00.000', 'agenda']),
+    part('t2', '2024-05-01T10:05:00Z', ['00:00:00.000', '00:00:10.000', 'after the break'])
+  ]);
+
+  assert.deepEqual(merged.map(e => [e.transcriptId, e.start, e.end, e.text]), [
+    ['t1', '00:00:00.000', '00:00:30.000', 'kickoff'],
+    ['t1', '00:00:30.000', '00:01:00.000', 'agenda'],
+    ['t2', '00:05:00.000', '00:05:10.000', 'after the break'],
+    ['t3', '00:05:10.000', '00:05:14.000', 'restarted'],
+    ['t4', '00:05:15.000', '00:05:16.000', 'undated']
+  ]);
+  assert.deepEqual(mergeTranscriptParts([]), []);
+});
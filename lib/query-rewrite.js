@@ -0,0 +1,106 @@
+/**
+ * Conversational Query Rewriting
+ *
+ * Chat answers see the whole conversation, but retrieval only sees one query. A follow-up like
+ * "and who owns that?" or "what about the second one?" has nothing to search for on its own,
+ * so before retrieval it is rewritten into a standalone query from the chat history
+ * ("who owns the Postgres migration?"). Only short questions and ones that open with a follow-up
+ * word or a pronoun count as follow-ups; everything else is searched as asked.
+ *
+ * QUERY_REWRITE (lib/config.js) picks how:
+ * - 'llm' (default): the chat model rewrites follow-ups; if it fails, the heuristic is used
+ * - 'heuristic': the follow-up is searched together with the previous question
+ * - 'off': always search the question as asked
+ */
+
+import { analyze } from './lexical-index.js';
+import { rewriteFollowUpQuestion } from './llm-service.js';
+import { QUERY_REWRITE, QUERY_REWRITE_MODES } from './config.js';
+
+// Only the last few turns matter for what "that" refers to; answers are trimmed to keep the prompt small
+const HISTORY_TURNS = 6;
+const MAX_TURN_CHARS = 600;
+const MAX_QUERY_CHARS = 300;
+
+// A question this short (in content words) leans on what was said before
+const MIN_STANDALONE_TERMS = 3;
+
+// A pronoun among the first few words ("did they ship it?") points back at the conversation;
+// later in a question, "that" and "this" are usually just grammar ("the bug that blocked the release")
+const ANAPHORA_WORDS = 4;
+
+const REFERENCE_WORDS = new Set([
+    'it', 'its', 'that', 'this', 'those', 'these', 'they', 'them', 'their', 'he', 'him', 'his', 'she', 'her',
+    'former', 'latter',
+    // Hinglish
+    'wo', 'woh', 'ye', 'yeh', 'uska', 'uski', 'uske', 'unka', 'unki', 'unke', 'iska', 'iski', 'iske', 'usme', 'isme', 'vahi', 'wahi'
+]);
+
+const FOLLOW_UP_START = /^\s*(and|also|but|so|then|what about|how about|aur|toh|phir)\b/i;
+
+function words(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{M}\p{N}']+/gu) || []);
+}
+
+/**
+ * Does the question depend on the conversation before it?
+ */
+export function isFollowUp(question, chatHistory = []) {
+    if (!chatHistory.some(msg => msg.role === 'user')) return false;
+    if (FOLLOW_UP_START.test(question)) return true;
+    if (words(question).slice(0, ANAPHORA_WORDS).some(w => REFERENCE_WORDS.has(w))) return true;
+    return analyze(question).length < MIN_STANDALONE_TERMS;
+}
+
+function recentHistory(chatHistory) {
+    return chatHistory
+        .filter(msg => msg && typeof msg.content === 'string' && msg.content.trim())
+        .slice(-HISTORY_TURNS)
+        .map(msg => ({
+            role: msg.role === 'user' ? 'user' : 'assistant',
+            content: msg.content.length > MAX_TURN_CHARS ? `${msg.content.slice(0, MAX_TURN_CHARS)}…` : msg.content
+        }));
+}
+
+function heuristicQuery(question, history) {
+    const previous = [...history].reverse().find(msg => msg.role === 'user');
+    return previous ? `${question} ${previous.content}` : question;
+}
+
+// Models sometimes wrap the query in quotes or repeat the label
+function cleanRewrite(text) {
+    const line = String(text || '').split('\n').map(l => l.trim()).find(Boolean) || '';
+    return line
+        .replace(/^(standalone query|query|rewritten query)\s*:\s*/i, '')
+        .replace(/^["'“”]+|["'“”]+$/g, '')
+        .trim();
+}
+
+/**
+ * The query to retrieve with for a chat question.
+ * @param {object} [options] - { mode = QUERY_REWRITE }
+ * @returns {Promise<{ original, query, rewritten, method: 'llm' | 'heuristic' | 'none' }>}
+ */
+export async function rewriteQuery(question, chatHistory = [], { mode = QUERY_REWRITE } = {}) {
+    if (!QUERY_REWRITE_MODES.includes(mode)) {
+        throw new Error(`Unknown query rewrite mode "${mode}". Available: ${QUERY_REWRITE_MODES.join(', ')}`);
+    }
+
+    const history = recentHistory(Array.isArray(chatHistory) ? chatHistory : []);
+    const asked = { original: question, query: question, rewritten: false, method: 'none' };
+    if (mode === 'off' || !isFollowUp(question, history)) return asked;
+
+    if (mode === 'llm') {
+        try {
+            const query = cleanRewrite(await rewriteFollowUpQuestion(question, history));
+            if (query && query.length <= MAX_QUERY_CHARS) {
+                return { original: question, query, rewritten: query !== question, method: 'llm' };
+            }
+        } catch (err) {
+            console.warn(`⚠️ Query rewrite fell back to the heuristic: ${err.message}`);
+        }
+    }
+
+    const query = heuristicQuery(question, history);
+    return { original: question, query, rewritten: query !== question, method: 'heuristic' };
+}
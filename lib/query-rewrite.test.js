@@ -0,0 +1,49 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.QUERY_REWRITE = 'sideways';
+
+const history = [
+    { role: 'user', content: 'What is the status of the Postgres migration?' },
+    { role: 'assistant', content: 'Ravi is moving the billing tables first.' }
+];
+
+let config;
+let isFollowUp;
+let rewriteQuery;
+
+before(async () => {
+    config = await import('./config.js');
+    ({ isFollowUp, rewriteQuery } = await import('./query-rewrite.js'));
+});
+
+test('an unknown QUERY_REWRITE falls back to llm at load time', () => {
+    assert.equal(config.QUERY_REWRITE, 'llm');
+});
+
+test('short or anaphora-led questions are follow-ups', () => {
+    assert.equal(isFollowUp('and who owns it?', history), true);
+    assert.equal(isFollowUp('Did they finish the rollback plan for the billing tables?', history), true);
+    assert.equal(isFollowUp('when is the deadline?', history), true);
+    assert.equal(isFollowUp('Did they finish the rollback plan?', []), false);
+});
+
+test('complete questions with incidental pronouns or ordinals are searched as asked', async () => {
+    const questions = [
+        'What was the first item on the sprint planning agenda?',
+        'Which customers reported the login bug that blocked the release last week?',
+        'Summarize the same budget discussion from the quarterly review above'
+    ];
+    for (const question of questions) {
+        assert.equal(isFollowUp(question, history), false, question);
+        // Default mode is llm, but standalone questions never reach the model
+        assert.deepEqual(await rewriteQuery(question, history), { original: question, query: question, rewritten: false, method: 'none' });
+    }
+});
+
+test('heuristic mode searches a follow-up with the previous question', async () => {
+    const result = await rewriteQuery('who owns that?', history, { mode: 'heuristic' });
+    assert.equal(result.method, 'heuristic');
+    assert.equal(result.query, 'who owns that? What is the status of the Postgres migration?');
+    await assert.rejects(rewriteQuery('who owns that?', history, { mode: 'sideways' }), /Unknown query rewrite mode/);
+});
@@ -0,0 +1,58 @@
+/**
+ * Re-indexing
+ *
+ * Re-chunks a stored meeting from its transcript entries with another chunking strategy
+ * (see indexer.js). Saving the new chunks through storage.saveChunks rebuilds the meeting's
+ * BM25 and vector indexes, so retrieval uses the new chunks right away. The strategy is
+ * recorded on the meeting (`chunking`) and on every chunk (`strategy`).
+ *
+ * The transcript itself, cached summary and action items are left as they are.
+ */
+
+import * as storage from './storage.js';
+import { chunkMeetingEntries, resolveChunking } from './indexer.js';
+
+/**
+ * Re-chunk one meeting.
+ * @param {string|object} [chunking] - strategy name or { strategy, options }; default CHUNKING_STRATEGY
+ * @returns {Promise<{ meetingId, chunking, previousChunking, chunksCount, previousChunksCount }>}
+ */
+export async function reindexMeeting(meetingId, chunking) {
+    const resolved = resolveChunking(chunking);
+    const meeting = await storage.getMeeting(meetingId);
+    if (!meeting) throw new Error('MEETING_NOT_FOUND');
+    if (meeting.deletedAt) throw new Error('MEETING_IN_TRASH');
+
+    const previousChunksCount = (await storage.loadChunks(meetingId)).length;
+    const { chunks } = chunkMeetingEntries(meetingId, meeting.entries || [], resolved);
+
+    if (chunks.length) {
+        await storage.saveChunks(chunks);
+    } else {
+        await storage.deleteChunks(meetingId);
+    }
+    await storage.updateMeeting(meetingId, { chunking: resolved, reindexedAt: new Date().toISOString() });
+
+    return {
+        meetingId,
+        chunking: resolved,
+        previousChunking: meeting.chunking || null,
+        chunksCount: chunks.length,
+        previousChunksCount
+    };
+}
+
+/**
+ * Re-indexing as a background job (see jobs.js).
+ */
+export function reindexJobStages(meetingId, chunking) {
+    return [
+        {
+            name: 'reindex',
+            run: async (ctx) => {
+                ctx.result = await reindexMeeting(meetingId, chunking);
+                ctx.meetingId = meetingId;
+            }
+        }
+    ];
+}
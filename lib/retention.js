@@ -0,0 +1,265 @@
+/**
+ * Data Retention
+ *
+ * Purges meeting data that is older than the rules in RETENTION_POLICY_FILE allow.
+ * A rule matches meetings by age and, optionally, source and tag:
+ *
+ *   { "name": "hr-30d", "olderThanDays": 30, "tag": "hr", "purge": "all" }
+ *   { "name": "teams-1y", "olderThanDays": 365, "source": "teams", "purge": "summary-only" }
+ *   { "name": "raw-90d", "olderThanDays": 90, "source": "upload", "purge": ["rawFile"] }
+ *
+ * `source` is "teams", "upload" or an exact `source` value. `purge` is "all" (delete the meeting
+ * outright), "summary-only" (drop everything but the cached summary) or a list of
+ * transcript, chunks, aiOutput, rawFile. When several rules match, their purges add up.
+ *
+ * Every purge is written to the purge log. previewRetention() reports what the next run would
+ * delete without touching anything. Runs are started by hand (POST /api/retention, or
+ * scripts/retention.js from cron); scheduled runs every RETENTION_INTERVAL_HOURS are opt-in
+ * (see startRetentionSchedule).
+ */
+
+import fs from 'fs';
+import * as storage from './storage.js';
+import { deleteRawFiles } from './trash.js';
+import { matchesSource, meetingDate as listingDate } from './meeting-list.js';
+import { RETENTION_POLICY_FILE, RETENTION_INTERVAL_HOURS } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Internal targets; "aiOutput" in a rule expands to summary + actionItems
+const TARGETS = ['transcript', 'chunks', 'summary', 'actionItems', 'rawFile'];
+const RULE_TARGETS = ['transcript', 'chunks', 'aiOutput', 'rawFile'];
+
+let lastRunAt = null;
+let running = null;
+let scheduledSince = null;
+
+/**
+ * Read and validate the retention rules. A missing policy file means no rules.
+ */
+export async function loadRetentionPolicy() {
+    let raw;
+    try {
+        raw = await fs.promises.readFile(RETENTION_POLICY_FILE, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return { rules: [] };
+        throw err;
+    }
+
+    const policy = JSON.parse(raw);
+    const rules = Array.isArray(policy) ? policy : policy.rules || [];
+    rules.forEach((rule, idx) => validateRule(rule, idx));
+    return { rules };
+}
+
+function validateRule(rule, idx) {
+    const label = rule.name || `#${idx + 1}`;
+    if (!Number.isFinite(rule.olderThanDays) || rule.olderThanDays < 0) {
+        throw new Error(`Retention rule ${label}: olderThanDays must be a non-negative number`);
+    }
+    if (rule.purge === 'all' || rule.purge === 'summary-only') return;
+    if (!Array.isArray(rule.purge) || rule.purge.length === 0) {
+        throw new Error(`Retention rule ${label}: purge must be "all", "summary-only" or a list of ${RULE_TARGETS.join(', ')}`);
+    }
+    const unknown = rule.purge.filter(t => !RULE_TARGETS.includes(t));
+    if (unknown.length) {
+        throw new Error(`Retention rule ${label}: unknown purge target ${unknown.join(', ')}`);
+    }
+}
+
+function ruleTargets(rule) {
+    if (rule.purge === 'all') return TARGETS;
+    if (rule.purge === 'summary-only') return TARGETS.filter(t => t !== 'summary');
+    return rule.purge.flatMap(t => (t === 'aiOutput' ? ['summary', 'actionItems'] : [t]));
+}
+
+function meetingDate(meeting) {
+    const date = listingDate(meeting);
+    return date ? new Date(date) : null;
+}
+
+function matchesRule(meeting, rule, now) {
+    const date = meetingDate(meeting);
+    if (!date || now - date.getTime() < rule.olderThanDays * DAY_MS) return false;
+
+    if (rule.source && !matchesSource(meeting, rule.source)) return false;
+
+    if (rule.tag && !(meeting.tags || []).includes(rule.tag.toLowerCase())) return false;
+    return true;
+}
+
+/**
+ * Work out, for every meeting, which matching rules apply and what is still there to purge.
+ */
+async function planRetention() {
+    const { rules } = await loadRetentionPolicy();
+    if (!rules.length) return [];
+
+    const now = Date.now();
+    const meetings = await storage.loadTranscripts();
+    const plan = [];
+
+    for (const meeting of meetings) {
+        const matched = rules.filter(rule => matchesRule(meeting, rule, now));
+        if (!matched.length) continue;
+
+        const deleteMeeting = matched.some(rule => rule.purge === 'all');
+        const targets = new Set(matched.flatMap(ruleTargets));
+        const chunksCount = targets.has('chunks') ? (await storage.loadChunks(meeting.meetingId)).length : 0;
+
+        // Only list what still exists, so already purged meetings drop out of the preview
+        const present = {
+            transcript: (meeting.entries || []).length > 0,
+            chunks: chunksCount > 0,
+            summary: Boolean(meeting.summary),
+            actionItems: Boolean(meeting.actionItems),
+            rawFile: Boolean(meeting.rawFile)
+        };
+        const pending = TARGETS.filter(t => targets.has(t) && present[t]);
+        if (!deleteMeeting && !pending.length) continue;
+
+        plan.push({
+            meetingId: meeting.meetingId,
+            source: meeting.source,
+            tags: meeting.tags || [],
+            date: meetingDate(meeting).toISOString(),
+            ageDays: Math.floor((now - meetingDate(meeting).getTime()) / DAY_MS),
+            rules: matched.map(rule => rule.name || `#${rules.indexOf(rule) + 1}`),
+            action: deleteMeeting ? 'delete' : 'purge',
+            targets: deleteMeeting ? ['meeting'] : pending,
+            entriesCount: (meeting.entries || []).length,
+            chunksCount
+        });
+    }
+
+    return plan;
+}
+
+/**
+ * What the next retention run would delete. Changes nothing.
+ */
+export async function previewRetention() {
+    const plan = await planRetention();
+    return {
+        lastRunAt,
+        nextRunAt: nextRunAt(),
+        meetings: plan
+    };
+}
+
+function nextRunAt() {
+    if (!scheduledSince) return null;
+    const from = lastRunAt && lastRunAt > scheduledSince ? lastRunAt : scheduledSince;
+    return new Date(new Date(from).getTime() + RETENTION_INTERVAL_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+async function applyPlan(item) {
+    const meeting = await storage.getMeeting(item.meetingId);
+    if (!meeting) return null;
+
+    const details = {};
+    if (item.action === 'delete') {
+        details.deletedFiles = await deleteRawFiles(meeting);
+        details.deletedChunks = (await storage.deleteMeeting(meeting.meetingId)).deletedChunks;
+        details.deletedVersions = (await storage.deleteMeetingVersions(meeting.meetingId)).deletedCount;
+    } else {
+        const { _id, ...doc } = meeting;
+        const targets = new Set(item.targets);
+
+        if (targets.has('rawFile')) {
+            details.deletedFiles = await deleteRawFiles(meeting);
+            delete doc.rawFile;
+        }
+        if (targets.has('chunks')) {
+            details.deletedChunks = (await storage.deleteChunks(meeting.meetingId)).deletedCount;
+        }
+        if (targets.has('transcript')) {
+            details.deletedEntries = (doc.entries || []).length;
+            doc.entries = [];
+            // Archived versions hold full transcripts too; without entries the hash would dedupe new uploads onto an empty meeting
+            details.deletedVersions = (await storage.deleteMeetingVersions(meeting.meetingId)).deletedCount;
+            delete doc.contentHash;
+        }
+        for (const field of ['summary', 'actionItems']) {
+            if (!targets.has(field)) continue;
+            delete doc[field];
+            delete doc[`${field}Version`];
+            delete doc[`${field}GeneratedAt`];
+        }
+
+        const purgedAt = new Date().toISOString();
+        doc.retention = {
+            purged: [...new Set([...(doc.retention?.purged || []), ...item.targets])],
+            rules: item.rules,
+            lastPurgedAt: purgedAt
+        };
+        await storage.replaceMeeting(doc);
+    }
+
+    const entry = {
+        purgedAt: new Date().toISOString(),
+        reason: 'retention',
+        meetingId: item.meetingId,
+        source: item.source,
+        rules: item.rules,
+        targets: item.targets,
+        details
+    };
+    await storage.savePurgeLogEntry(entry);
+    console.log(`🧹 Retention (${item.rules.join(', ')}): ${item.action === 'delete' ? 'deleted' : `purged ${item.targets.join(', ')} from`} ${item.meetingId}`);
+    return entry;
+}
+
+/**
+ * Apply the retention rules now. Meetings are processed one by one; a failure is reported
+ * and the run continues with the next meeting.
+ */
+export async function runRetention() {
+    if (running) return running;
+
+    running = (async () => {
+        const plan = await planRetention();
+        const purged = [];
+        const failed = [];
+
+        for (const item of plan) {
+            try {
+                const entry = await applyPlan(item);
+                if (entry) purged.push(entry);
+            } catch (error) {
+                console.error(`Retention failed for ${item.meetingId}:`, error);
+                failed.push({ meetingId: item.meetingId, error: error.message });
+            }
+        }
+
+        lastRunAt = new Date().toISOString();
+        return { ranAt: lastRunAt, purgedCount: purged.length, purged, failed };
+    })();
+
+    try {
+        return await running;
+    } finally {
+        running = null;
+    }
+}
+
+/**
+ * Run retention every RETENTION_INTERVAL_HOURS in this process, the first run one interval
+ * after the start. Called once at server start (instrumentation.js); does nothing when
+ * RETENTION_INTERVAL_HOURS is 0 (the default). @returns {boolean} whether a schedule started
+ */
+export function startRetentionSchedule() {
+    if (!RETENTION_INTERVAL_HOURS || scheduledSince) return false;
+    scheduledSince = new Date().toISOString();
+    const timer = setInterval(() => {
+        runRetention().catch(err => console.error('Retention run failed:', err));
+    }, RETENTION_INTERVAL_HOURS * 60 * 60 * 1000);
+    // The schedule alone must not keep the process alive
+    timer.unref();
+    console.log(`🧹 Retention scheduled every ${RETENTION_INTERVAL_HOURS}h`);
+    return true;
+}
+
+export async function getPurgeLog(limit = 100) {
+    return await storage.listPurgeLog(limit);
+}
@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingai-retention-'));
+process.chdir(workDir);
+process.env.STORAGE_BACKEND = 'files';
+process.env.DATA_DIR = path.join(workDir, 'data');
+process.env.RETENTION_POLICY_FILE = path.join(workDir, 'retention.json');
+delete process.env.RETENTION_INTERVAL_HOURS;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+
+let storage;
+let retention;
+
+before(async () => {
+    fs.writeFileSync(process.env.RETENTION_POLICY_FILE, JSON.stringify({
+        rules: [
+            { name: 'hr-30d', tag: 'hr', olderThanDays: 30, purge: 'all' },
+            { name: 'ai-90d', olderThanDays: 90, purge: ['aiOutput'] }
+        ]
+    }));
+    storage = await import('./storage.js');
+    retention = await import('./retention.js');
+
+    const entries = [{ start: '00:00:01.000', end: '00:00:02.000', speaker: 'Asha', text: 'Hello' }];
+    await storage.saveTranscripts({ meetingId: 'hr-old', source: 'hr.vtt', tags: ['hr'], importedAt: daysAgo(40), entries });
+    await storage.saveTranscripts({ meetingId: 'hr-new', source: 'hr2.vtt', tags: ['hr'], importedAt: daysAgo(5), entries });
+    await storage.saveTranscripts({ meetingId: 'sync-old', source: 'sync.vtt', importedAt: daysAgo(120), entries, summary: { summary: 'x' } });
+});
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('scheduled runs are off unless RETENTION_INTERVAL_HOURS is set', async () => {
+    assert.equal(retention.startRetentionSchedule(), false);
+    assert.equal((await retention.previewRetention()).nextRunAt, null);
+});
+
+test('preview lists what a run would purge without changing anything', async () => {
+    const { meetings } = await retention.previewRetention();
+    assert.deepEqual(meetings.map(m => [m.meetingId, m.action, m.targets]), [
+        ['hr-old', 'delete', ['meeting']],
+        ['sync-old', 'purge', ['summary']]
+    ]);
+    assert.ok(await storage.getMeeting('hr-old'));
+});
+
+test('a run applies the rules and logs every purge', async () => {
+    const result = await retention.runRetention();
+    assert.equal(result.purgedCount, 2);
+    assert.equal(await storage.getMeeting('hr-old'), null);
+    assert.ok(await storage.getMeeting('hr-new'));
+
+    const sync = await storage.getMeeting('sync-old');
+    assert.equal(sync.summary, undefined);
+    assert.equal(sync.entries.length, 1);
+    assert.deepEqual(sync.retention.purged, ['summary']);
+
+    const log = await retention.getPurgeLog();
+    assert.deepEqual(log.map(e => e.meetingId).sort(), ['hr-old', 'sync-old']);
+    assert.equal((await retention.previewRetention()).meetings.length, 0);
+});
+
+test('invalid rules are rejected', async () => {
+    fs.writeFileSync(process.env.RETENTION_POLICY_FILE, JSON.stringify([{ olderThanDays: 1, purge: ['everything'] }]));
+    await assert.rejects(retention.loadRetentionPolicy(), /unknown purge target everything/);
+});
@@ -0,0 +1,40 @@
+/**
+ * Stored Document Schema
+ *
+ * Every transcript and chunk written by this app carries `schemaVersion`. When the shape
+ * of stored documents changes, bump SCHEMA_VERSION and add a step to migrations.js so
+ * existing data can be upgraded (see scripts/migrate.js).
+ *
+ * Cached AI output (summary, actionItems) is versioned separately: bump its entry in
+ * AI_OUTPUT_VERSIONS when a prompt or result format changes, and older cached results
+ * are regenerated on next use instead of being served stale.
+ */
+
+export const SCHEMA_VERSION = 4;
+
+export const AI_OUTPUT_VERSIONS = {
+    summary: 1,
+    actionItems: 1
+};
+
+/**
+ * Cached output for `field` if it was produced by the current generator, else null.
+ * Results cached before versioning existed count as version 1.
+ */
+export function getCachedOutput(meeting, field) {
+    if (!meeting || !meeting[field]) return null;
+    const version = meeting[`${field}Version`] || 1;
+    return version === AI_OUTPUT_VERSIONS[field] ? meeting[field] : null;
+}
+
+/**
+ * Fields to store alongside a freshly generated output, e.g.
+ * updateMeeting(id, cachedOutputFields('summary', result)).
+ */
+export function cachedOutputFields(field, value) {
+    return {
+        [field]: value,
+        [`${field}Version`]: AI_OUTPUT_VERSIONS[field],
+        [`${field}GeneratedAt`]: new Date().toISOString()
+    };
+}
@@ -0,0 +1,202 @@
+/**
+ * Transcript Search
+ *
+ * Entry-level search across every meeting (or one). Queries support:
+ *   migration rollout            ranked terms (prefix match: "migrat" finds "migration")
+ *   "data migration"             quoted phrases, which every hit must contain
+ *   speaker:ann  speaker:"Ann Lee"   only entries by matching speakers (alone: all their entries)
+ *   from:2024-01-01  to:2024-03-31   only meetings in that date range
+ * Speaker and date filters can also be passed as options. Natural questions work too:
+ * "where did we talk about the migration" searches for "migration".
+ *
+ * Queries and entries go through the same analyzer as chat retrieval (lexical-index.js), so
+ * "meetings" finds "meeting" here too.
+ * Hits are ranked TF-IDF style over the matching entries, and come with highlighted snippets.
+ * Meetings in the trash are never searched.
+ */
+
+import * as storage from './storage.js';
+import { timestampToSeconds } from './parser.js';
+import { analyze, analyzeSpans } from './lexical-index.js';
+import { meetingDate, parseDateBound } from './meeting-list.js';
+
+const MIN_PREFIX = 3;
+const SNIPPET_CHARS = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Split a raw query into terms, phrases and inline filters.
+ */
+export function parseSearchQuery(raw = '') {
+    const parsed = { terms: [], phrases: [], speakers: [], from: null, to: null };
+    const OPERATOR_RE = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+    const words = [];
+
+    for (const m of String(raw).matchAll(OPERATOR_RE)) {
+        const [, op, opQuoted, opValue, phrase, word] = m;
+        if (op) {
+            const value = (opQuoted ?? opValue).trim();
+            const key = op.toLowerCase();
+            if (key === 'speaker' && value) parsed.speakers.push(value);
+            else if (key === 'from' || key === 'after') parsed.from = value;
+            else if (key === 'to' || key === 'before') parsed.to = value;
+            else words.push(`${op} ${value}`);
+        } else if (phrase !== undefined) {
+            const terms = analyze(phrase, { keepStopWords: true });
+            if (terms.length > 1) parsed.phrases.push(terms);
+            else words.push(phrase);
+        } else {
+            words.push(word);
+        }
+    }
+
+    const text = words.join(' ');
+    const meaningful = analyze(text);
+    // A query made only of stop words ("who said that") still searches for them
+    parsed.terms = [...new Set(meaningful.length || parsed.phrases.length ? meaningful : analyze(text, { keepStopWords: true }))];
+    return parsed;
+}
+
+function termMatches(token, term) {
+    return token === term || (term.length >= MIN_PREFIX && token.startsWith(term));
+}
+
+function findPhrase(spans, phrase) {
+    const hits = [];
+    for (let i = 0; i + phrase.length <= spans.length; i++) {
+        if (phrase.every((p, k) => (k === phrase.length - 1 ? termMatches(spans[i + k].term, p) : spans[i + k].term === p))) {
+            hits.push({ start: spans[i].start, end: spans[i + phrase.length - 1].end });
+        }
+    }
+    return hits;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function mergeRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const r of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+        else merged.push({ ...r });
+    }
+    return merged;
+}
+
+/**
+ * HTML-safe snippet around the first highlight, with highlights wrapped in <mark>.
+ */
+function buildSnippet(text, highlights) {
+    let from = 0;
+    let to = text.length;
+    if (text.length > SNIPPET_CHARS && highlights.length) {
+        from = Math.max(0, highlights[0].start - Math.floor(SNIPPET_CHARS / 3));
+        to = Math.min(text.length, from + SNIPPET_CHARS);
+    } else if (text.length > SNIPPET_CHARS) {
+        to = SNIPPET_CHARS;
+    }
+
+    let out = '';
+    let pos = from;
+    for (const h of highlights) {
+        if (h.end <= from || h.start >= to) continue;
+        const start = Math.max(h.start, from);
+        const end = Math.min(h.end, to);
+        out += escapeHtml(text.slice(pos, start)) + '<mark>' + escapeHtml(text.slice(start, end)) + '</mark>';
+        pos = end;
+    }
+    out += escapeHtml(text.slice(pos, to));
+    return (from > 0 ? '…' : '') + out + (to < text.length ? '…' : '');
+}
+
+/**
+ * Search transcript entries.
+ * @param {string} query
+ * @param {string} [meetingId] - search only this meeting
+ * @param {object} [options] - { speaker, from, to, limit, offset }; merged with inline filters
+ * @returns {Promise<{ query, parsed, total, results, limit, offset }>}
+ */
+export async function searchEntries(query, meetingId = null, options = {}) {
+    const parsed = parseSearchQuery(query);
+    if (options.speaker) parsed.speakers.push(options.speaker);
+    parsed.from = options.from || parsed.from;
+    parsed.to = options.to || parsed.to;
+
+    const limit = Math.min(Math.max(Number(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(Number(options.offset) || 0, 0);
+    const from = parseDateBound(parsed.from, false);
+    const to = parseDateBound(parsed.to, true);
+    const speakers = parsed.speakers.map(s => s.toLowerCase());
+
+    const empty = { query, parsed, total: 0, results: [], limit, offset };
+    // A speaker filter alone lists everything that speaker said
+    if (!parsed.terms.length && !parsed.phrases.length && !speakers.length) return empty;
+
+    const meetings = meetingId
+        ? [await storage.getMeeting(meetingId)].filter(Boolean)
+        : await storage.loadTranscripts();
+
+    // Pass 1: candidate entries that satisfy filters, phrases and at least one term
+    const candidates = [];
+    for (const meeting of meetings) {
+        if (meeting.deletedAt) continue;
+        const date = meetingDate(meeting) ? new Date(meetingDate(meeting)) : null;
+        if ((from || to) && !date) continue;
+        if (from && date < from) continue;
+        if (to && date > to) continue;
+
+        for (const entry of meeting.entries || []) {
+            if (speakers.length && !speakers.some(s => (entry.speaker || '').toLowerCase().includes(s))) continue;
+
+            const spans = analyzeSpans(entry.text);
+            const phraseHits = parsed.phrases.map(p => findPhrase(spans, p));
+            if (phraseHits.some(h => h.length === 0)) continue;
+
+            const termHits = parsed.terms.map(term => spans.filter(s => termMatches(s.term, term)));
+            const matchedTerms = termHits.filter(h => h.length).length;
+            if (parsed.terms.length && !matchedTerms && !parsed.phrases.length) continue;
+
+            candidates.push({ meeting, date, entry, spans, phraseHits, termHits, matchedTerms });
+        }
+    }
+
+    // Pass 2: rank. IDF is computed over the candidates, so rare terms weigh more
+    const docFreq = parsed.terms.map((_, i) => candidates.filter(c => c.termHits[i].length).length);
+    const idf = docFreq.map(df => Math.log(1 + (candidates.length + 1) / (df + 1)));
+
+    const scored = candidates.map(c => {
+        let score = 0;
+        c.termHits.forEach((hits, i) => {
+            if (hits.length) score += idf[i] * (1 + Math.log(hits.length)) / Math.sqrt(Math.max(c.spans.length, 1) / 10 + 1);
+        });
+        // Entries containing more of the query terms rank higher; phrases count for a lot
+        if (parsed.terms.length) score *= 0.5 + 0.5 * (c.matchedTerms / parsed.terms.length);
+        score += c.phraseHits.length * 2;
+
+        const text = (c.entry.text || '').normalize('NFKC');
+        const highlights = mergeRanges([...c.phraseHits.flat(), ...c.termHits.flat()].map(({ start, end }) => ({ start, end })));
+
+        return {
+            meetingId: c.meeting.meetingId,
+            meetingTitle: c.meeting.title || c.meeting.meetingId,
+            date: c.date ? c.date.toISOString() : null,
+            entryId: c.entry.id,
+            sequence: c.entry.sequence,
+            speaker: c.entry.speaker || 'Unknown',
+            start: c.entry.start,
+            end: c.entry.end || c.entry.start,
+            startSec: c.entry.start ? timestampToSeconds(c.entry.start) : null,
+            score: Math.round(score * 1000) / 1000,
+            snippet: buildSnippet(text, highlights),
+            highlights
+        };
+    });
+
+    scored.sort((a, b) => b.score - a.score || (b.date || '').localeCompare(a.date || '') || (a.sequence || 0) - (b.sequence || 0));
+
+    return { ...empty, total: scored.length, results: scored.slice(offset, offset + limit) };
+}
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingai-search-'));
+process.env.STORAGE_BACKEND = 'files';
+process.env.DATA_DIR = dataDir;
+
+let parseSearchQuery;
+let searchEntries;
+
+before(async () => {
+    const storage = await import('./storage.js');
+    ({ parseSearchQuery, searchEntries } = await import('./search.js'));
+
+    const entry = (sequence, speaker, text) => ({ sequence, start: `00:00:0${sequence}.000`, speaker, text });
+    await storage.saveTranscripts({
+        meetingId: 'infra', title: 'Infra sync', source: 'infra.vtt', importedAt: '2024-03-05T10:00:00.000Z',
+        entries: [
+            entry(1, 'Ann Lee', 'The data migration starts Monday.'),
+            entry(2, 'Ravi', 'Migration rollback needs a <script> test & a dry run.'),
+            entry(3, 'Ann Lee', 'Lunch is at noon.')
+        ]
+    });
+    await storage.saveTranscripts({
+        meetingId: 'design', title: 'Design review', source: 'design.vtt', importedAt: '2024-05-20T10:00:00.000Z',
+        entries: [entry(1, 'Meera', 'We migrated the data for the new palette.')]
+    });
+    await storage.saveTranscripts({
+        meetingId: 'old', source: 'old.vtt', importedAt: '2024-01-01T10:00:00.000Z', deletedAt: '2024-02-01T00:00:00.000Z',
+        entries: [entry(1, 'Ann Lee', 'Data migration kickoff.')]
+    });
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('queries split into terms, phrases and inline filters', () => {
+    assert.deepEqual(parseSearchQuery('where did we talk about the "data migration" speaker:"Ann Lee" from:2024-03-01 rollout'), {
+        terms: ['rollout'], phrases: [['data', 'migrat']], speakers: ['Ann Lee'], from: '2024-03-01', to: null
+    });
+    // Only stop words: search for them anyway
+    assert.deepEqual(parseSearchQuery('who said that').terms, ['who', 'said', 'that']);
+});
+
+test('queries use the same analyzer as chat retrieval', async () => {
+    const { analyze } = await import('./lexical-index.js');
+    assert.deepEqual(parseSearchQuery('the planning meetings').terms, analyze('the planning meetings'));
+    // "migrations" finds "migration" and "migrated"
+    assert.deepEqual((await searchEntries('migrations')).results.map(r => [r.meetingId, r.sequence]), [['infra', 1], ['design', 1], ['infra', 2]]);
+});
+
+test('terms match by prefix, rank by coverage and skip meetings in the trash', async () => {
+    const { total, results } = await searchEntries('migrat data');
+    assert.equal(total, 3);
+    assert.deepEqual(results.map(r => [r.meetingId, r.sequence]), [['infra', 1], ['design', 1], ['infra', 2]]);
+    assert.equal(results[0].snippet, 'The <mark>data</mark> <mark>migration</mark> starts Monday.');
+    assert.equal(results[0].startSec, 1);
+});
+
+test('phrases, speaker and date filters narrow the hits', async () => {
+    assert.deepEqual((await searchEntries('"data migration"')).results.map(r => r.meetingId), ['infra']);
+    assert.deepEqual((await searchEntries('speaker:ann')).results.map(r => r.sequence), [1, 3]);
+    assert.deepEqual((await searchEntries('data', null, { from: '2024-05-01' })).results.map(r => r.meetingId), ['design']);
+    assert.deepEqual((await searchEntries('data to:2024-03-05')).results.map(r => r.meetingId), ['infra']);
+    await assert.rejects(searchEntries('data from:someday'), /INVALID_PARAM: "someday" is not a date/);
+});
+
+test('snippets are HTML-escaped and results page with limit and offset', async () => {
+    const [hit] = (await searchEntries('rollback', 'infra')).results;
+    assert.equal(hit.snippet, 'Migration <mark>rollback</mark> needs a &lt;script&gt; test &amp; a dry run.');
+
+    const page = await searchEntries('migrat', null, { limit: 1, offset: 1 });
+    assert.deepEqual([page.total, page.results.length, page.offset], [3, 1, 1]);
+});
@@ -0,0 +1,190 @@
+/**
+ * Speaker-Aware Retrieval
+ *
+ * Transcripts garble names ("Logesh" for "Yogesh"), and people ask about each other by first
+ * name, nickname or a misspelling. resolveSpeakers() matches the words of a question against
+ * the meeting's speaker labels:
+ *   - exact:    a word equals a part of the label ("yogesh" -> "Yogesh Kumar")
+ *   - fuzzy:    small edit distance ("yogsh", "logesh" -> "Yogesh")
+ *   - phonetic: same consonant skeleton after folding sound-alike spellings
+ *               ("Shreya" / "Sreya", "Vikas" / "Wikas", "Bhavesh" / "Bavesh")
+ * Short words only match exactly, so "raj" never turns into "Ram".
+ *
+ * searchChunksWithSpeakers() then retrieves with the names resolved: chunks with the person's
+ * own turns ("[Yogesh Kumar]: ...") or that mention them rank ahead of other chunks (mode
+ * 'boost'), or are the only ones kept (mode 'filter'). Their turns are pulled in even when
+ * the question's other words miss them.
+ */
+
+import * as storage from './storage.js';
+import { searchChunksSemantic } from './llm-service.js';
+
+export const SPEAKER_MODES = ['boost', 'filter'];
+
+const MIN_FUZZY_LENGTH = 4;
+const MIN_SIMILARITY = 0.75;
+// Phonetic matches still have to look somewhat alike, or "sure" would find "Shreya" (both "sr")
+const MIN_PHONETIC_SPELLING = 0.6;
+const TURN_BOOST = 2;
+const MENTION_BOOST = 1.5;
+
+// Question words that are never names, however close they are to one
+const COMMON_WORDS = new Set([
+    'what', 'when', 'where', 'which', 'whom', 'whose', 'does', 'did', 'said', 'says', 'tell', 'told', 'about',
+    'with', 'from', 'they', 'them', 'their', 'this', 'that', 'there', 'have', 'been', 'were', 'will', 'would',
+    'should', 'could', 'commit', 'committed', 'today', 'team', 'meeting', 'owner', 'task', 'tasks', 'kaun',
+    'kya', 'kab', 'kaise', 'bola', 'kaha'
+]);
+
+// Parts of generated labels ("Speaker 2", "Unknown") that don't identify anyone
+const GENERIC_LABEL_PARTS = new Set(['speaker', 'unknown', 'guest', 'participant', 'user']);
+
+function normalizeWord(word) {
+    return word.normalize('NFKD').replace(/\p{M}+/gu, '').toLowerCase();
+}
+
+function words(text) {
+    return (String(text || '').match(/[\p{L}\p{M}]+/gu) || []).map(normalizeWord);
+}
+
+/**
+ * Consonant skeleton of a name: sound-alike spellings folded, vowels and repeats dropped.
+ */
+export function phoneticKey(word) {
+    const folded = normalizeWord(word)
+        .replace(/ph/g, 'f')
+        .replace(/([bdgkt])h/g, '$1')
+        .replace(/sh|ch/g, 's')
+        .replace(/ck|q|c/g, 'k')
+        .replace(/w/g, 'v')
+        .replace(/z/g, 'j')
+        .replace(/x/g, 'ks');
+    return folded.replace(/[aeiouy]/g, '').replace(/(.)\1+/g, '$1');
+}
+
+export function editDistance(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diag = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const temp = prev[j];
+            prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diag = temp;
+        }
+    }
+    return prev[b.length];
+}
+
+function similarity(a, b) {
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length, 1);
+}
+
+/**
+ * How well a word matches a name part: { score, method } or null.
+ */
+function matchWord(word, namePart) {
+    if (COMMON_WORDS.has(word)) return null;
+    if (word === namePart) return { score: 1, method: 'exact' };
+    if (word.length < MIN_FUZZY_LENGTH || namePart.length < MIN_FUZZY_LENGTH) return null;
+
+    const fuzzy = similarity(word, namePart);
+    const keyA = phoneticKey(word);
+    const keyB = phoneticKey(namePart);
+    // Skeletons are short, so they have to agree exactly, or but for one consonant in a long name
+    const phonetic = keyA && keyA === keyB ? 0.9 : keyA.length >= 3 && similarity(keyA, keyB) >= 0.75 ? 0.8 : 0;
+
+    if (fuzzy >= MIN_SIMILARITY && fuzzy >= phonetic) return { score: Math.round(fuzzy * 100) / 100, method: 'fuzzy' };
+    if (phonetic >= MIN_SIMILARITY && fuzzy >= MIN_PHONETIC_SPELLING) return { score: phonetic, method: 'phonetic' };
+    return null;
+}
+
+function nameParts(label) {
+    return words(label).filter(part => part.length >= 2 && !GENERIC_LABEL_PARTS.has(part));
+}
+
+/**
+ * Match the words of a question against speaker labels.
+ * @returns {Array<{ speaker, matchedOn, score, method }>} best match per speaker, best first
+ */
+export function resolveSpeakers(question, speakers) {
+    const questionWords = [...new Set(words(question))];
+    const matches = new Map();
+
+    for (const speaker of speakers) {
+        for (const part of nameParts(speaker)) {
+            for (const word of questionWords) {
+                const match = matchWord(word, part);
+                if (match && (!matches.has(speaker) || matches.get(speaker).score < match.score)) {
+                    matches.set(speaker, { speaker, matchedOn: word, ...match });
+                }
+            }
+        }
+    }
+
+    return [...matches.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * 'turn' when the chunk has the speaker's own lines, 'mention' when it names them, else null.
+ */
+export function speakerRelation(chunk, speaker) {
+    const text = chunk.text || '';
+    if (text.includes(`[${speaker}]:`)) return 'turn';
+    const parts = nameParts(speaker).filter(p => p.length >= 3);
+    const textWords = new Set(words(text.replace(/\[[^\]]*\]:/g, ' ')));
+    for (const word of textWords) {
+        if (parts.some(part => matchWord(word, part))) return 'mention';
+    }
+    return null;
+}
+
+function meetingSpeakers(meeting) {
+    return [...new Set((meeting?.entries || []).map(e => e.speaker).filter(Boolean))];
+}
+
+/**
+ * Chat retrieval with names in the question resolved to speaker labels.
+ * @param {object} [options] - { limit = 10, mode = 'boost' | 'filter' }
+ * @returns {Promise<{ chunks, matchedSpeakers }>}
+ */
+export async function searchChunksWithSpeakers(question, meetingId, { limit = 10, mode = 'boost' } = {}) {
+    if (!SPEAKER_MODES.includes(mode)) {
+        throw new Error(`INVALID_PARAM: speakerMode must be one of ${SPEAKER_MODES.join(', ')}`);
+    }
+
+    const meeting = await storage.getMeeting(meetingId);
+    const matchedSpeakers = resolveSpeakers(question, meetingSpeakers(meeting));
+    if (!matchedSpeakers.length) {
+        return { chunks: await searchChunksSemantic(question, meetingId, limit), matchedSpeakers };
+    }
+
+    // Search with the real labels, so "Logesh" finds what "Yogesh Kumar" said
+    const labels = matchedSpeakers.map(m => m.speaker);
+    const expanded = `${question} ${labels.join(' ')}`;
+    const hits = await searchChunksSemantic(expanded, meetingId, limit * 2);
+
+    const relationOf = chunk => {
+        const relations = labels.map(label => speakerRelation(chunk, label));
+        return relations.includes('turn') ? 'turn' : relations.includes('mention') ? 'mention' : null;
+    };
+
+    const ranked = hits
+        .map(chunk => {
+            const relation = relationOf(chunk);
+            const boost = relation === 'turn' ? TURN_BOOST : relation === 'mention' ? MENTION_BOOST : 1;
+            return { ...chunk, speakerMatch: relation, score: Math.round(chunk.score * boost * 10000) / 10000 };
+        })
+        .filter(chunk => mode === 'boost' || chunk.speakerMatch)
+        .sort((a, b) => b.score - a.score);
+
+    // Their turns that the search words missed, in transcript order after the ranked ones
+    const seen = new Set(ranked.map(c => c.chunkId));
+    const extra = (await storage.loadChunks(meetingId))
+        .filter(chunk => !seen.has(chunk.chunkId))
+        .map(chunk => ({ ...chunk, speakerMatch: relationOf(chunk), score: 0 }))
+        .filter(chunk => chunk.speakerMatch === 'turn');
+
+    const speakerFirst = [...ranked.filter(c => c.speakerMatch), ...extra, ...ranked.filter(c => !c.speakerMatch)];
+    return { chunks: speakerFirst.slice(0, limit), matchedSpeakers };
+}
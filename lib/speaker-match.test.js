@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingai-speakers-'));
+process.env.STORAGE_BACKEND = 'files';
+process.env.DATA_DIR = dataDir;
+process.env.EMBEDDING_PROVIDER = 'none';
+
+const SPEAKERS = ['Yogesh Kumar', 'Shreya Iyer', 'Vikas', 'Ram', 'Speaker 2', 'Bhavesh Shah'];
+
+let match;
+
+before(async () => {
+    match = await import('./speaker-match.js');
+    const storage = await import('./storage.js');
+
+    const entries = [
+        { start: '00:00:01.000', end: '00:00:20.000', speaker: 'Shreya Iyer', text: 'The pricing page ships next week.' },
+        { start: '00:01:00.000', end: '00:01:20.000', speaker: 'Yogesh Kumar', text: 'I will finish the invoice export by Friday.' },
+        { start: '00:02:00.000', end: '00:02:20.000', speaker: 'Ram', text: 'Yogesh also offered to review the pricing copy.' },
+        { start: '00:03:00.000', end: '00:03:20.000', speaker: 'Shreya Iyer', text: 'Pricing experiments start in May.' }
+    ];
+    await storage.saveTranscripts({ meetingId: 'sync', source: 'sync.vtt', entries });
+    // One chunk per turn, as the speaker-turn strategy would store them
+    await storage.saveChunks(entries.map((e, i) => ({
+        meetingId: 'sync',
+        chunkId: `sync#000${i + 1}`,
+        text: `[${e.speaker}]: ${e.text}`
+    })));
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('names resolve exactly, fuzzily or phonetically to speaker labels', () => {
+    const resolve = question => match.resolveSpeakers(question, SPEAKERS).map(m => [m.speaker, m.method]);
+    assert.deepEqual(resolve('what did yogesh say'), [['Yogesh Kumar', 'exact']]);
+    assert.deepEqual(resolve('what did logesh commit to'), [['Yogesh Kumar', 'fuzzy']]);
+    assert.deepEqual(resolve('did sreya agree'), [['Shreya Iyer', 'phonetic']]);
+    assert.deepEqual(resolve('wikas ne kya kaha'), [['Vikas', 'phonetic']]);
+    assert.deepEqual(resolve('sure, tell me about bavesh'), [['Bhavesh Shah', 'phonetic']]);
+});
+
+test('short words, question words and generic labels never match a speaker', () => {
+    assert.deepEqual(match.resolveSpeakers('what did raj say', SPEAKERS), []);
+    assert.deepEqual(match.resolveSpeakers('what did the speaker say about this', SPEAKERS), []);
+    assert.equal(match.phoneticKey('Shreya'), match.phoneticKey('Sreya'));
+    assert.equal(match.editDistance('kitten', 'sitting'), 3);
+});
+
+test('speakerRelation tells own turns from mentions', () => {
+    assert.equal(match.speakerRelation({ text: '[Yogesh Kumar]: I will do it.' }, 'Yogesh Kumar'), 'turn');
+    assert.equal(match.speakerRelation({ text: '[Ram]: Logesh offered to help.' }, 'Yogesh Kumar'), 'mention');
+    assert.equal(match.speakerRelation({ text: '[Yogesh Kumar]: Hi.' }, 'Ram'), null);
+});
+
+test('a resolved speaker\'s turns rank first, then mentions; filter mode drops everything else', async () => {
+    const question = 'what did logesh say about pricing';
+    const filtered = await match.searchChunksWithSpeakers(question, 'sync', { mode: 'filter' });
+    assert.deepEqual(filtered.matchedSpeakers.map(m => m.speaker), ['Yogesh Kumar']);
+    assert.deepEqual(filtered.chunks.map(c => [c.chunkId, c.speakerMatch]), [['sync#0002', 'turn'], ['sync#0003', 'mention']]);
+
+    // Chunks 1 and 4 match "pricing" better than chunk 2, but Yogesh's turn still leads
+    const boosted = await match.searchChunksWithSpeakers(question, 'sync');
+    assert.deepEqual(boosted.chunks.map(c => c.chunkId), ['sync#0002', 'sync#0003', 'sync#0004', 'sync#0001']);
+    await assert.rejects(match.searchChunksWithSpeakers('x', 'sync', { mode: 'only' }), /^Error: INVALID_PARAM/);
+});
@@ -0,0 +1,138 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The same contract for every backend that runs without a server
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingai-backends-'));
+process.env.DATA_DIR = dataDir;
+
+const BACKENDS = {
+    files: () => import('./storage-files.js'),
+    sqlite: () => import('./storage-sqlite.js')
+};
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const entries = [
+    { start: '00:00:01.000', end: '00:00:04.000', speaker: 'Asha', text: 'Billing moves to Postgres.' },
+    { start: '00:00:05.000', end: '00:00:09.000', speaker: 'Ben', text: 'Rollback plan is ready.' }
+];
+
+for (const [name, load] of Object.entries(BACKENDS)) {
+    const chunk = (meetingId, n, text) => ({ meetingId, chunkId: `${meetingId}#000${n}`, sequence: n, startSec: n, endSec: n + 1, text });
+
+    test(`${name}: implements every storage method`, async () => {
+        const { STORAGE_METHODS } = await import('./storage.js');
+        const impl = await load();
+        assert.deepEqual(STORAGE_METHODS.filter(m => typeof impl[m] !== 'function'), []);
+    });
+
+    test(`${name}: meetings merge, replace, update, list and delete`, async () => {
+        const store = await load();
+        const id = `${name}-sync`;
+        await store.saveTranscripts({ meetingId: id, source: 'sync.vtt', importedAt: '2024-05-02T00:00:00.000Z', contentHash: `${name}-hash`, entries });
+        await store.saveTranscripts({ meetingId: id, summary: { summary: 'Postgres' } });
+        await store.saveTranscripts({ meetingId: `${name}-older`, source: 'old.vtt', importedAt: '2024-01-01T00:00:00.000Z', entries: [] });
+
+        const saved = await store.getMeeting(id);
+        assert.deepEqual([saved.source, saved.summary.summary, saved.entries.length], ['sync.vtt', 'Postgres', 2]);
+        assert.equal(await store.getMeeting(`${name}-missing`), null);
+        assert.equal((await store.findMeetingByHash(`${name}-hash`)).meetingId, id);
+        assert.equal(await store.findMeetingByHash('nothing'), null);
+
+        const ids = (await store.loadTranscripts()).map(m => m.meetingId);
+        assert.ok(ids.indexOf(id) < ids.indexOf(`${name}-older`), 'newest first');
+
+        await store.saveChunks([chunk(id, 1, 'Billing moves to Postgres.'), chunk(id, 2, 'Rollback plan is ready.')]);
+        const meta = (await store.listMeetingMetadata()).find(m => m.meetingId === id);
+        assert.deepEqual(
+            [meta.entries, meta.summary, meta.entriesCount, meta.chunksCount, meta.speakers, meta.hasSummary, meta.hasActionItems],
+            [undefined, undefined, 2, 2, ['Asha', 'Ben'], true, false]
+        );
+
+        await store.updateMeeting(id, { tags: ['infra'] });
+        assert.deepEqual((await store.getMeeting(id)).tags, ['infra']);
+        const { summary, ...withoutSummary } = await store.getMeeting(id);
+        await store.replaceMeeting(withoutSummary);
+        assert.equal((await store.getMeeting(id)).summary, undefined);
+
+        assert.deepEqual(await store.deleteMeeting(id), { deletedCount: 1, deletedChunks: 2 });
+        assert.equal(await store.getMeeting(id), null);
+        assert.deepEqual(await store.loadChunks(id), []);
+    });
+
+    test(`${name}: chunks and their indexes are stored per meeting`, async () => {
+        const store = await load();
+        const id = `${name}-chunks`;
+        await store.saveChunks([chunk(id, 1, 'One'), chunk(id, 2, 'Two')]);
+        await store.saveChunks([chunk(`${id}-other`, 1, 'Other')]);
+        await store.saveChunkIndex({ meetingId: id, version: 1, docs: [] });
+        await store.saveChunkVectors({ meetingId: id, version: 1, vectors: [] });
+
+        assert.deepEqual((await store.loadChunks(id)).map(c => c.text), ['One', 'Two']);
+        assert.equal((await store.getChunkIndex(id)).meetingId, id);
+        assert.equal((await store.getChunkVectors(id)).meetingId, id);
+
+        // Saving again replaces the meeting's chunks
+        await store.saveChunks([chunk(id, 1, 'Only')]);
+        assert.deepEqual((await store.loadChunks(id)).map(c => c.text), ['Only']);
+
+        assert.deepEqual(await store.deleteChunks(id), { deletedCount: 1 });
+        assert.equal(await store.getChunkIndex(id), null);
+        assert.equal(await store.getChunkVectors(id), null);
+        assert.equal((await store.loadChunks(`${id}-other`)).length, 1);
+    });
+
+    test(`${name}: versions, schedules, jobs and the purge log`, async () => {
+        const store = await load();
+        const id = `${name}-versions`;
+        for (const version of [1, 2]) {
+            await store.saveMeetingVersion({ meetingId: id, version, archivedAt: `2024-05-0${version}T00:00:00.000Z`, meeting: { meetingId: id, entries }, chunks: [chunk(id, 1, 'x')] });
+        }
+        const listed = await store.listMeetingVersions(id);
+        assert.deepEqual(listed.map(v => v.version), [2, 1]);
+        assert.equal(listed[0].chunks, undefined);
+        assert.equal(listed[0].meeting.entries, undefined);
+        assert.equal((await store.getMeetingVersion(id, 1)).meeting.entries.length, 2);
+        assert.deepEqual(await store.deleteMeetingVersions(id), { deletedCount: 2 });
+
+        await store.saveScheduledRecording({ id: `${name}-s1`, title: 'Standup' });
+        await store.saveScheduledRecording({ id: `${name}-s1`, status: 'done' });
+        assert.deepEqual((await store.getScheduledRecordings()).find(s => s.id === `${name}-s1`), { id: `${name}-s1`, title: 'Standup', status: 'done' });
+        assert.deepEqual(await store.deleteScheduledRecording(`${name}-s1`), { deletedCount: 1 });
+
+        await store.saveJob({ jobId: `${name}-j1`, status: 'running' });
+        await store.saveJob({ jobId: `${name}-j2`, status: 'done' });
+        assert.equal((await store.getJob(`${name}-j1`)).status, 'running');
+        assert.deepEqual((await store.listJobsByStatus(['queued', 'running'])).map(j => j.jobId), [`${name}-j1`]);
+        assert.deepEqual(await store.listJobsByStatus([]), []);
+
+        await store.savePurgeLogEntry({ meetingId: `${name}-a`, purgedAt: '2024-05-01T00:00:00.000Z' });
+        await store.savePurgeLogEntry({ meetingId: `${name}-b`, purgedAt: '2024-05-02T00:00:00.000Z' });
+        assert.deepEqual((await store.listPurgeLog(1)).map(e => e.meetingId), [`${name}-b`]);
+    });
+}
+
+test('sqlite: keyword search ranks one meeting\'s chunks with FTS5', async () => {
+    const store = await BACKENDS.sqlite();
+    const chunk = (meetingId, n, text) => ({ meetingId, chunkId: `${meetingId}#000${n}`, sequence: n, startSec: n, endSec: n + 1, text });
+    await store.saveChunks([
+        chunk('fts', 1, 'Lunch is at noon.'),
+        chunk('fts', 2, 'The migration to Postgres starts Monday.'),
+        chunk('fts', 3, 'Migration rollback: migrate back if the migration fails.')
+    ]);
+    await store.saveChunks([chunk('fts-other', 1, 'Another migration entirely.')]);
+
+    const hits = await store.searchChunksKeyword('migrations rollback', 'fts');
+    assert.deepEqual(hits.map(h => h.chunkId), ['fts#0003', 'fts#0002']);
+    assert.ok(hits[0].score > hits[1].score);
+    assert.deepEqual((await store.searchChunksKeyword('migration', 'fts', 1)).length, 1);
+    // Only stop words: search for them anyway
+    assert.deepEqual((await store.searchChunksKeyword('is at', 'fts')).map(h => h.chunkId), ['fts#0001']);
+    assert.deepEqual(await store.searchChunksKeyword('"quoted"', 'fts'), []);
+
+    await store.deleteChunks('fts');
+    assert.deepEqual(await store.searchChunksKeyword('migration', 'fts'), []);
+});
@@ -1,76 +1,283 @@
+/**
+ * Local File Storage Backend
+ *
+ * Same interface as storage-prod.js (see storage.js), backed by JSON files under DATA_DIR:
+ *   transcripts/<meetingId>.json      one file per meeting
+ *   chunks/<meetingId>.json           one file per meeting, so saving chunks never rewrites other meetings
+ *   chunk-index/<meetingId>.json      keyword index over the meeting's chunks (lexical-index.js)
+ *   chunk-vectors/<meetingId>.json    chunk embeddings (vector-index.js)
+ *   versions/<meetingId>/<n>.json     archived meeting versions
+ *   jobs/<jobId>.json                 background job state
+ *   schedules.json                    scheduled recordings
+ *   purge-log.jsonl                   one line per purge (append-only)
+ *
+ * Every write goes to a temp file and is renamed into place, so a crash never leaves a half-written
+ * file. Writes to the same file are serialized within the process.
+ */
+
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './config.js';
 
-const TRANSCRIPTS_FILE = path.join(process.cwd(), 'data', 'transcripts.json');
-const CHUNKS_FILE = path.join(process.cwd(), 'data', 'chunks.json');
+const TRANSCRIPTS_DIR = path.join(DATA_DIR, 'transcripts');
+const CHUNKS_DIR = path.join(DATA_DIR, 'chunks');
+const CHUNK_INDEX_DIR = path.join(DATA_DIR, 'chunk-index');
+const CHUNK_VECTORS_DIR = path.join(DATA_DIR, 'chunk-vectors');
+const VERSIONS_DIR = path.join(DATA_DIR, 'versions');
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const PURGE_LOG_FILE = path.join(DATA_DIR, 'purge-log.jsonl');
 
-const useMongo = Boolean(process.env.MONGO_URL);
-let mongoClient, mongoDb, transcriptsColl, chunksColl;
+// === File helpers ===
 
-async function initMongo() {
-  if (!useMongo || mongoClient) return;
-  const { MongoClient } = await import('mongodb');
-  mongoClient = new MongoClient(process.env.MONGO_URL);
-  await mongoClient.connect();
-  mongoDb = mongoClient.db(process.env.MONGO_DB || 'teams_notes');
-  transcriptsColl = mongoDb.collection('meeting_transcripts');
-  chunksColl = mongoDb.collection('rag_chunks');
-  await transcriptsColl.createIndex({ meetingId: 1 }, { unique: true });
-  await chunksColl.createIndex({ chunkId: 1 }, { unique: true });
+function fileFor(dir, id) {
+  return path.join(dir, `${encodeURIComponent(id)}.json`);
 }
 
-export async function loadTranscripts() {
-  if (useMongo) {
-    await initMongo();
-    return await transcriptsColl.find({}).toArray();
+async function readJson(file, fallback = null) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw new Error(`Corrupt storage file ${file}: ${err.message}`);
   }
-  if (!fs.existsSync(TRANSCRIPTS_FILE)) return [];
-  const raw = fs.readFileSync(TRANSCRIPTS_FILE, 'utf8');
-  try { const p = JSON.parse(raw); return p.transcripts || p || []; } catch { return []; }
 }
 
-export async function loadChunks() {
-  if (useMongo) {
-    await initMongo();
-    return await chunksColl.find({}).toArray();
+async function writeJsonAtomic(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2), 'utf8');
+  await fs.promises.rename(tmp, file);
+}
+
+async function removeFile(file) {
+  try {
+    await fs.promises.unlink(file);
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
   }
-  if (!fs.existsSync(CHUNKS_FILE)) return [];
-  const raw = fs.readFileSync(CHUNKS_FILE, 'utf8');
-  try { const p = JSON.parse(raw); return p.chunks || p || []; } catch { return []; }
-}
-
-export async function saveTranscripts(transcripts) {
-  if (useMongo) {
-    await initMongo();
-    const ops = (Array.isArray(transcripts) ? transcripts : [transcripts]).map(t => ({
-      updateOne: {
-        filter: { meetingId: t.meetingId },
-        update: { $set: t },
-        upsert: true
-      }
-    }));
-    if (ops.length) await transcriptsColl.bulkWrite(ops);
-    return;
+}
+
+async function readDirJson(dir) {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
   }
-  await fs.promises.mkdir(path.dirname(TRANSCRIPTS_FILE), { recursive: true });
-  const payload = Array.isArray(transcripts) ? { transcripts } : transcripts;
-  await fs.promises.writeFile(TRANSCRIPTS_FILE, JSON.stringify(payload, null, 2), 'utf8');
+  const docs = await Promise.all(names.filter(n => n.endsWith('.json')).map(n => readJson(path.join(dir, n))));
+  return docs.filter(Boolean);
+}
+
+// Serialize read-modify-write cycles per file
+const locks = new Map();
+function withLock(key, fn) {
+  const prev = locks.get(key) || Promise.resolve();
+  const next = prev.then(fn, fn);
+  const tail = next.catch(() => {});
+  locks.set(key, tail);
+  // Forget the key once nothing else is queued behind this call
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return next;
+}
+
+// === Transcripts ===
+
+export async function loadTranscripts() {
+  const meetings = await readDirJson(TRANSCRIPTS_DIR);
+  // Newest first by importedAt, falling back to uploadedAt for uploads from before schema v2
+  const sortDate = m => m.importedAt || m.uploadedAt || '';
+  return meetings.sort((a, b) => sortDate(b).localeCompare(sortDate(a)));
+}
+
+export async function listMeetingMetadata() {
+  const meetings = await readDirJson(TRANSCRIPTS_DIR);
+  return Promise.all(meetings.map(async ({ entries = [], summary, actionItems, ...meta }) => ({
+    ...meta,
+    entriesCount: entries.length,
+    chunksCount: (await loadChunks(meta.meetingId)).length,
+    speakers: [...new Set(entries.map(e => e.speaker).filter(Boolean))],
+    hasSummary: summary != null,
+    hasActionItems: actionItems != null
+  })));
+}
+
+export async function getMeeting(meetingId) {
+  return await readJson(fileFor(TRANSCRIPTS_DIR, meetingId));
+}
+
+export async function saveTranscripts(meeting) {
+  const file = fileFor(TRANSCRIPTS_DIR, meeting.meetingId);
+  await withLock(file, async () => {
+    const existing = await readJson(file, {});
+    await writeJsonAtomic(file, { ...existing, ...meeting });
+  });
 }
 
+export async function replaceMeeting(meeting) {
+  const file = fileFor(TRANSCRIPTS_DIR, meeting.meetingId);
+  const { _id, ...doc } = meeting;
+  await withLock(file, () => writeJsonAtomic(file, doc));
+}
+
+export async function updateMeeting(meetingId, updateData) {
+  const file = fileFor(TRANSCRIPTS_DIR, meetingId);
+  await withLock(file, async () => {
+    const existing = await readJson(file);
+    if (!existing) return;
+    await writeJsonAtomic(file, { ...existing, ...updateData });
+  });
+}
+
+export async function deleteMeeting(meetingId) {
+  const deleted = await withLock(fileFor(TRANSCRIPTS_DIR, meetingId), () => removeFile(fileFor(TRANSCRIPTS_DIR, meetingId)));
+  const chunks = await loadChunks(meetingId);
+  await withLock(fileFor(CHUNKS_DIR, meetingId), () => removeFile(fileFor(CHUNKS_DIR, meetingId)));
+  await withLock(fileFor(CHUNK_INDEX_DIR, meetingId), () => removeFile(fileFor(CHUNK_INDEX_DIR, meetingId)));
+  await withLock(fileFor(CHUNK_VECTORS_DIR, meetingId), () => removeFile(fileFor(CHUNK_VECTORS_DIR, meetingId)));
+  return { deletedCount: deleted ? 1 : 0, deletedChunks: chunks.length };
+}
+
+export async function findMeetingByHash(contentHash) {
+  const meetings = await readDirJson(TRANSCRIPTS_DIR);
+  return meetings.find(m => m.contentHash === contentHash) || null;
+}
+
+// === Chunks ===
+
 export async function saveChunks(chunks) {
-  if (useMongo) {
-    await initMongo();
-    const ops = (Array.isArray(chunks) ? chunks : [chunks]).map(c => ({
-      updateOne: {
-        filter: { chunkId: c.chunkId },
-        update: { $set: c },
-        upsert: true
-      }
-    }));
-    if (ops.length) await chunksColl.bulkWrite(ops);
-    return;
+  if (!chunks.length) return;
+  const file = fileFor(CHUNKS_DIR, chunks[0].meetingId);
+  await withLock(file, () => writeJsonAtomic(file, chunks));
+}
+
+export async function loadChunks(meetingId) {
+  return await readJson(fileFor(CHUNKS_DIR, meetingId), []);
+}
+
+export async function deleteChunks(meetingId) {
+  const file = fileFor(CHUNKS_DIR, meetingId);
+  return await withLock(file, async () => {
+    const chunks = await readJson(file, []);
+    await removeFile(file);
+    await withLock(fileFor(CHUNK_INDEX_DIR, meetingId), () => removeFile(fileFor(CHUNK_INDEX_DIR, meetingId)));
+    await withLock(fileFor(CHUNK_VECTORS_DIR, meetingId), () => removeFile(fileFor(CHUNK_VECTORS_DIR, meetingId)));
+    return { deletedCount: chunks.length };
+  });
+}
+
+export async function saveChunkIndex(index) {
+  const file = fileFor(CHUNK_INDEX_DIR, index.meetingId);
+  await withLock(file, () => writeJsonAtomic(file, index));
+}
+
+export async function getChunkIndex(meetingId) {
+  return await readJson(fileFor(CHUNK_INDEX_DIR, meetingId), null);
+}
+
+export async function saveChunkVectors(index) {
+  const file = fileFor(CHUNK_VECTORS_DIR, index.meetingId);
+  await withLock(file, () => writeJsonAtomic(file, index));
+}
+
+export async function getChunkVectors(meetingId) {
+  return await readJson(fileFor(CHUNK_VECTORS_DIR, meetingId), null);
+}
+
+// === Version history ===
+
+function versionFile(meetingId, version) {
+  return path.join(VERSIONS_DIR, encodeURIComponent(meetingId), `${version}.json`);
+}
+
+export async function saveMeetingVersion(snapshot) {
+  await writeJsonAtomic(versionFile(snapshot.meetingId, snapshot.version), snapshot);
+}
+
+export async function listMeetingVersions(meetingId) {
+  const versions = await readDirJson(path.join(VERSIONS_DIR, encodeURIComponent(meetingId)));
+  return versions
+    .map(({ chunks, meeting, ...v }) => {
+      const { entries, ...meetingMeta } = meeting || {};
+      return { ...v, meeting: meetingMeta };
+    })
+    .sort((a, b) => b.version - a.version);
+}
+
+export async function getMeetingVersion(meetingId, version) {
+  return await readJson(versionFile(meetingId, version));
+}
+
+export async function deleteMeetingVersions(meetingId) {
+  const dir = path.join(VERSIONS_DIR, encodeURIComponent(meetingId));
+  const versions = await readDirJson(dir);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+  return { deletedCount: versions.length };
+}
+
+// === Scheduled recordings ===
+
+export async function saveScheduledRecording(schedule) {
+  await withLock(SCHEDULES_FILE, async () => {
+    const schedules = await readJson(SCHEDULES_FILE, []);
+    const idx = schedules.findIndex(s => s.id === schedule.id);
+    if (idx === -1) schedules.push(schedule);
+    else schedules[idx] = { ...schedules[idx], ...schedule };
+    await writeJsonAtomic(SCHEDULES_FILE, schedules);
+  });
+}
+
+export async function getScheduledRecordings() {
+  return await readJson(SCHEDULES_FILE, []);
+}
+
+export async function deleteScheduledRecording(id) {
+  return await withLock(SCHEDULES_FILE, async () => {
+    const schedules = await readJson(SCHEDULES_FILE, []);
+    const remaining = schedules.filter(s => s.id !== id);
+    if (remaining.length !== schedules.length) await writeJsonAtomic(SCHEDULES_FILE, remaining);
+    return { deletedCount: schedules.length - remaining.length };
+  });
+}
+
+// === Background jobs ===
+
+export async function saveJob(job) {
+  const file = fileFor(JOBS_DIR, job.jobId);
+  const { _id, ...doc } = job;
+  await withLock(file, () => writeJsonAtomic(file, doc));
+}
+
+export async function getJob(jobId) {
+  return await readJson(fileFor(JOBS_DIR, jobId));
+}
+
+export async function listJobsByStatus(statuses) {
+  return (await readDirJson(JOBS_DIR)).filter(job => statuses.includes(job.status));
+}
+
+// === Purge log ===
+
+export async function savePurgeLogEntry(entry) {
+  await withLock(PURGE_LOG_FILE, async () => {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    await fs.promises.appendFile(PURGE_LOG_FILE, JSON.stringify(entry) + '\n', 'utf8');
+  });
+}
+
+export async function listPurgeLog(limit = 100) {
+  let content;
+  try {
+    content = await fs.promises.readFile(PURGE_LOG_FILE, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
   }
-  await fs.promises.mkdir(path.dirname(CHUNKS_FILE), { recursive: true });
-  const payload = { chunks: Array.isArray(chunks) ? chunks : [chunks] };
-  await fs.promises.writeFile(CHUNKS_FILE, JSON.stringify(payload, null, 2), 'utf8');
+  return content.split('\n').filter(Boolean).map(line => JSON.parse(line)).reverse().slice(0, limit);
 }
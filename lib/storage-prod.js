@@ -14,55 +14,6 @@ async function connect() {
     return db;
 }
 
-/**
- * SIMPLIFIED RAG RETRIEVAL
- * Standard Keyword Search for Production (Reliable & Cost-Free)
- */
-export async function searchChunksKeyword(query, meetingId, limit = 10) {
-    const database = await connect();
-    const collection = database.collection('chunks');
-
-    if (!meetingId) {
-        console.error("❌ searchChunksKeyword called without meetingId!");
-        return [];
-    }
-
-    // 1. Clean terms (remove stop words like "what", "did", "discuss")
-    const stopWords = ['what', 'did', 'the', 'is', 'a', 'an', 'to', 'for', 'of', 'in', 'discussed', 'discuss', 'stuff', 'about'];
-    const terms = query.toLowerCase()
-        .replace(/[^a-z0-9 ]/g, '')
-        .split(' ')
-        .filter(t => t.length > 2 && !stopWords.includes(t));
-
-    if (terms.length === 0) {
-        // Fallback: Just try the raw query if filtering removed everything
-        return await collection.find({
-            meetingId: meetingId,
-            text: { $regex: query, $options: 'i' }
-        }).limit(limit).toArray();
-    }
-
-    // 2. Perform OR search: Find chunks containing ANY of the key terms
-    // "Akash Kundu" -> matches chunks with "Akash" OR "Kundu"
-    const results = await collection.find({
-        meetingId: meetingId,
-        $or: terms.map(t => ({ text: { $regex: t, $options: 'i' } }))
-    }).limit(limit * 2).toArray();
-
-    // 3. Simple Scoring (Client-side)
-    // Prioritize chunks that contain MORE of the terms
-    const scored = results.map(doc => {
-        let score = 0;
-        terms.forEach(t => {
-            if (doc.text.toLowerCase().includes(t)) score++;
-        });
-        return { ...doc, score };
-    });
-
-    // Return top matches sorted by score
-    return scored.sort((a, b) => b.score - a.score).slice(0, limit);
-}
-
 export async function saveTranscripts(meeting) {
     const database = await connect();
     await database.collection('transcripts').updateOne(
@@ -87,9 +38,71 @@ export async function saveChunks(chunks) {
     await database.collection('chunks').insertMany(chunks);
 }
 
+export async function deleteChunks(meetingId) {
+    const database = await connect();
+    const res = await database.collection('chunks').deleteMany({ meetingId });
+    await database.collection('chunk_index').deleteOne({ meetingId });
+    await database.collection('chunk_vectors').deleteOne({ meetingId });
+    return { deletedCount: res.deletedCount };
+}
+
+/**
+ * KEYWORD INDEX (see lexical-index.js)
+ */
+export async function saveChunkIndex(index) {
+    const database = await connect();
+    await database.collection('chunk_index').replaceOne({ meetingId: index.meetingId }, index, { upsert: true });
+}
+
+export async function getChunkIndex(meetingId) {
+    const database = await connect();
+    return await database.collection('chunk_index').findOne({ meetingId }, { projection: { _id: 0 } });
+}
+
+/**
+ * VECTOR INDEX (see vector-index.js)
+ */
+export async function saveChunkVectors(index) {
+    const database = await connect();
+    await database.collection('chunk_vectors').replaceOne({ meetingId: index.meetingId }, index, { upsert: true });
+}
+
+export async function getChunkVectors(meetingId) {
+    const database = await connect();
+    return await database.collection('chunk_vectors').findOne({ meetingId }, { projection: { _id: 0 } });
+}
+
 export async function loadTranscripts() {
     const database = await connect();
-    return await database.collection('transcripts').find({}).sort({ importedAt: -1 }).toArray();
+    // Teams imports set importedAt, uploads from before schema v2 only have uploadedAt
+    return await database.collection('transcripts').aggregate([
+        { $addFields: { _sortDate: { $ifNull: ['$importedAt', '$uploadedAt'] } } },
+        { $sort: { _sortDate: -1 } },
+        { $project: { _sortDate: 0 } }
+    ]).toArray();
+}
+
+export async function listMeetingMetadata() {
+    const database = await connect();
+    const chunkCounts = await database.collection('chunks')
+        .aggregate([{ $group: { _id: '$meetingId', count: { $sum: 1 } } }])
+        .toArray();
+    const countByMeeting = new Map(chunkCounts.map(c => [c._id, c.count]));
+
+    // Counts are computed in the database so entries never leave it
+    const meetings = await database.collection('transcripts').aggregate([
+        {
+            $addFields: {
+                entriesCount: { $size: { $ifNull: ['$entries', []] } },
+                speakers: { $setUnion: [{ $ifNull: ['$entries.speaker', []] }, []] },
+                hasSummary: { $ne: [{ $ifNull: ['$summary', null] }, null] },
+                hasActionItems: { $ne: [{ $ifNull: ['$actionItems', null] }, null] }
+            }
+        },
+        { $project: { _id: 0, entries: 0, summary: 0, actionItems: 0 } }
+    ]).toArray();
+
+    return meetings.map(m => ({ ...m, chunksCount: countByMeeting.get(m.meetingId) || 0 }));
 }
 
 export async function getMeeting(meetingId) {
@@ -101,6 +114,8 @@ export async function deleteMeeting(meetingId) {
     const database = await connect();
     const tRes = await database.collection('transcripts').deleteOne({ meetingId });
     const cRes = await database.collection('chunks').deleteMany({ meetingId });
+    await database.collection('chunk_index').deleteOne({ meetingId });
+    await database.collection('chunk_vectors').deleteOne({ meetingId });
     return { deletedCount: tRes.deletedCount, deletedChunks: cRes.deletedCount };
 }
 
@@ -130,3 +145,89 @@ export async function deleteScheduledRecording(id) {
     const database = await connect();
     return await database.collection('schedules').deleteOne({ id });
 }
+
+/**
+ * DEDUPE & VERSION HISTORY
+ */
+export async function findMeetingByHash(contentHash) {
+    const database = await connect();
+    return await database.collection('transcripts').findOne({ contentHash });
+}
+
+export async function replaceMeeting(meeting) {
+    const database = await connect();
+    const { _id, ...doc } = meeting;
+    await database.collection('transcripts').replaceOne(
+        { meetingId: meeting.meetingId },
+        doc,
+        { upsert: true }
+    );
+}
+
+export async function saveMeetingVersion(snapshot) {
+    const database = await connect();
+    await database.collection('transcript_versions').updateOne(
+        { meetingId: snapshot.meetingId, version: snapshot.version },
+        { $set: snapshot },
+        { upsert: true }
+    );
+}
+
+export async function listMeetingVersions(meetingId) {
+    const database = await connect();
+    return await database.collection('transcript_versions')
+        .find({ meetingId }, { projection: { 'meeting.entries': 0, chunks: 0 } })
+        .sort({ version: -1 })
+        .toArray();
+}
+
+export async function getMeetingVersion(meetingId, version) {
+    const database = await connect();
+    return await database.collection('transcript_versions').findOne({ meetingId, version });
+}
+
+export async function deleteMeetingVersions(meetingId) {
+    const database = await connect();
+    const res = await database.collection('transcript_versions').deleteMany({ meetingId });
+    return { deletedCount: res.deletedCount };
+}
+
+/**
+ * BACKGROUND JOBS
+ */
+export async function saveJob(job) {
+    const database = await connect();
+    const { _id, ...doc } = job;
+    await database.collection('jobs').updateOne(
+        { jobId: job.jobId },
+        { $set: doc },
+        { upsert: true }
+    );
+}
+
+export async function getJob(jobId) {
+    const database = await connect();
+    return await database.collection('jobs').findOne({ jobId }, { projection: { _id: 0 } });
+}
+
+export async function listJobsByStatus(statuses) {
+    const database = await connect();
+    return await database.collection('jobs').find({ status: { $in: statuses } }, { projection: { _id: 0 } }).toArray();
+}
+
+/**
+ * PURGE LOG
+ */
+export async function savePurgeLogEntry(entry) {
+    const database = await connect();
+    await database.collection('purge_log').insertOne({ ...entry });
+}
+
+export async function listPurgeLog(limit = 100) {
+    const database = await connect();
+    return await database.collection('purge_log')
+        .find({}, { projection: { _id: 0 } })
+        .sort({ purgedAt: -1 })
+        .limit(limit)
+        .toArray();
+}
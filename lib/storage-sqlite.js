@@ -0,0 +1,354 @@
+/**
+ * SQLite Storage Backend
+ *
+ * Same interface as storage-prod.js (see storage.js), in a single database file for
+ * small teams and single-box installs. Documents are stored as JSON; fields that are
+ * queried (meetingId, contentHash, importedAt) are generated columns with indexes.
+ * Chunk text is mirrored into an FTS5 table, so keyword search is ranked with SQLite's own
+ * bm25() instead of the shared index in lexical-index.js (see searchChunksKeyword).
+ *
+ * Requires the optional dependency better-sqlite3. Path: SQLITE_PATH (default DATA_DIR/meetingai.sqlite).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './config.js';
+import { analyze } from './lexical-index.js';
+
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(DATA_DIR, 'meetingai.sqlite');
+
+let db = null;
+
+async function connect() {
+    if (db) return db;
+
+    let Database;
+    try {
+        Database = (await import('better-sqlite3')).default;
+    } catch (err) {
+        throw new Error('SQLite backend needs better-sqlite3. Run: npm install better-sqlite3');
+    }
+
+    fs.mkdirSync(path.dirname(SQLITE_PATH), { recursive: true });
+    const conn = new Database(SQLITE_PATH);
+    conn.pragma('journal_mode = WAL');
+    conn.pragma('foreign_keys = ON');
+
+    // An existing chunks table without a chunks_fts table gets the FTS table backfilled below
+    const hasFts = Boolean(conn.prepare("SELECT 1 FROM sqlite_master WHERE name = 'chunks_fts'").get());
+
+    conn.exec(`
+        CREATE TABLE IF NOT EXISTS transcripts (
+            doc TEXT NOT NULL,
+            meeting_id TEXT GENERATED ALWAYS AS (json_extract(doc, '$.meetingId')) VIRTUAL UNIQUE,
+            content_hash TEXT GENERATED ALWAYS AS (json_extract(doc, '$.contentHash')) VIRTUAL,
+            imported_at TEXT GENERATED ALWAYS AS (json_extract(doc, '$.importedAt')) VIRTUAL
+        );
+        CREATE INDEX IF NOT EXISTS idx_transcripts_hash ON transcripts(content_hash);
+        CREATE INDEX IF NOT EXISTS idx_transcripts_imported ON transcripts(imported_at);
+
+        CREATE TABLE IF NOT EXISTS chunks (
+            id INTEGER PRIMARY KEY,
+            meeting_id TEXT NOT NULL,
+            doc TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_chunks_meeting ON chunks(meeting_id);
+
+        CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(
+            text,
+            meeting_id UNINDEXED,
+            tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TABLE IF NOT EXISTS chunk_index (
+            meeting_id TEXT PRIMARY KEY,
+            doc TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS chunk_vectors (
+            meeting_id TEXT PRIMARY KEY,
+            doc TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS transcript_versions (
+            meeting_id TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            doc TEXT NOT NULL,
+            PRIMARY KEY (meeting_id, version)
+        );
+
+        CREATE TABLE IF NOT EXISTS schedules (
+            id TEXT PRIMARY KEY,
+            doc TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS jobs (
+            job_id TEXT PRIMARY KEY,
+            doc TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS purge_log (
+            id INTEGER PRIMARY KEY,
+            doc TEXT NOT NULL
+        );
+    `);
+
+    if (!hasFts) {
+        conn.exec(`INSERT INTO chunks_fts (rowid, text, meeting_id) SELECT id, COALESCE(json_extract(doc, '$.text'), ''), meeting_id FROM chunks`);
+    }
+
+    db = conn;
+    return db;
+}
+
+function parse(row) {
+    return row ? JSON.parse(row.doc) : null;
+}
+
+function serialize(doc) {
+    const { _id, ...rest } = doc;
+    return JSON.stringify(rest);
+}
+
+/**
+ * Keyword retrieval ranked by FTS5 BM25; storage.js uses it instead of the shared index.
+ * Query terms go through the same analyzer as lexical-index.js (stop words dropped, light
+ * stemming) and are prefix-matched, so "migrations" finds "migration". OR-combined.
+ */
+export async function searchChunksKeyword(query, meetingId, limit = 10) {
+    const database = await connect();
+
+    let terms = [...new Set(analyze(query))];
+    if (!terms.length) terms = [...new Set(analyze(query, { keepStopWords: true }))];
+    if (!terms.length) return [];
+
+    const match = terms.map(t => `"${t.replace(/"/g, '""')}"*`).join(' OR ');
+    const rows = database.prepare(`
+        SELECT chunks.doc AS doc, bm25(chunks_fts) AS rank
+        FROM chunks_fts JOIN chunks ON chunks.id = chunks_fts.rowid
+        WHERE chunks_fts MATCH ? AND chunks_fts.meeting_id = ?
+        ORDER BY rank
+        LIMIT ?
+    `).all(match, meetingId, limit);
+
+    // bm25() is lower-is-better; expose a higher-is-better score like the shared index
+    return rows.map(row => ({ ...parse(row), score: Math.round(-row.rank * 1000) / 1000 }));
+}
+
+export async function saveTranscripts(meeting) {
+    const database = await connect();
+    database.transaction(() => {
+        const existing = parse(database.prepare('SELECT doc FROM transcripts WHERE meeting_id = ?').get(meeting.meetingId));
+        upsertMeeting(database, { ...(existing || {}), ...meeting });
+    })();
+}
+
+export async function replaceMeeting(meeting) {
+    const database = await connect();
+    upsertMeeting(database, meeting);
+}
+
+function upsertMeeting(database, meeting) {
+    const doc = serialize(meeting);
+    const res = database.prepare('UPDATE transcripts SET doc = ? WHERE meeting_id = ?').run(doc, meeting.meetingId);
+    if (res.changes === 0) database.prepare('INSERT INTO transcripts (doc) VALUES (?)').run(doc);
+}
+
+export async function updateMeeting(meetingId, updateData) {
+    const database = await connect();
+    database.transaction(() => {
+        const existing = parse(database.prepare('SELECT doc FROM transcripts WHERE meeting_id = ?').get(meetingId));
+        if (existing) upsertMeeting(database, { ...existing, ...updateData });
+    })();
+}
+
+export async function saveChunks(chunks) {
+    const database = await connect();
+    if (!chunks.length) return;
+    const meetingId = chunks[0].meetingId;
+    database.transaction(() => {
+        deleteChunksFor(database, meetingId);
+        const insertChunk = database.prepare('INSERT INTO chunks (meeting_id, doc) VALUES (?, ?)');
+        const insertFts = database.prepare('INSERT INTO chunks_fts (rowid, text, meeting_id) VALUES (?, ?, ?)');
+        for (const chunk of chunks) {
+            const { lastInsertRowid } = insertChunk.run(meetingId, serialize(chunk));
+            insertFts.run(lastInsertRowid, chunk.text || '', meetingId);
+        }
+    })();
+}
+
+function deleteChunksFor(database, meetingId) {
+    database.prepare('DELETE FROM chunks_fts WHERE rowid IN (SELECT id FROM chunks WHERE meeting_id = ?)').run(meetingId);
+    database.prepare('DELETE FROM chunk_index WHERE meeting_id = ?').run(meetingId);
+    database.prepare('DELETE FROM chunk_vectors WHERE meeting_id = ?').run(meetingId);
+    return database.prepare('DELETE FROM chunks WHERE meeting_id = ?').run(meetingId).changes;
+}
+
+export async function deleteChunks(meetingId) {
+    const database = await connect();
+    return { deletedCount: database.transaction(() => deleteChunksFor(database, meetingId))() };
+}
+
+export async function saveChunkIndex(index) {
+    const database = await connect();
+    database.prepare(`
+        INSERT INTO chunk_index (meeting_id, doc) VALUES (?, ?)
+        ON CONFLICT(meeting_id) DO UPDATE SET doc = excluded.doc
+    `).run(index.meetingId, JSON.stringify(index));
+}
+
+export async function getChunkIndex(meetingId) {
+    const database = await connect();
+    return parse(database.prepare('SELECT doc FROM chunk_index WHERE meeting_id = ?').get(meetingId));
+}
+
+export async function saveChunkVectors(index) {
+    const database = await connect();
+    database.prepare(`
+        INSERT INTO chunk_vectors (meeting_id, doc) VALUES (?, ?)
+        ON CONFLICT(meeting_id) DO UPDATE SET doc = excluded.doc
+    `).run(index.meetingId, JSON.stringify(index));
+}
+
+export async function getChunkVectors(meetingId) {
+    const database = await connect();
+    return parse(database.prepare('SELECT doc FROM chunk_vectors WHERE meeting_id = ?').get(meetingId));
+}
+
+export async function loadTranscripts() {
+    const database = await connect();
+    return database.prepare(`
+        SELECT doc FROM transcripts
+        ORDER BY COALESCE(imported_at, json_extract(doc, '$.uploadedAt')) DESC
+    `).all().map(parse);
+}
+
+export async function listMeetingMetadata() {
+    const database = await connect();
+    return database.prepare(`
+        SELECT
+            json_remove(doc, '$.entries', '$.summary', '$.actionItems') AS doc,
+            COALESCE(json_array_length(doc, '$.entries'), 0) AS entries_count,
+            (SELECT json_group_array(DISTINCT json_extract(e.value, '$.speaker'))
+                FROM json_each(doc, '$.entries') e
+                WHERE json_extract(e.value, '$.speaker') IS NOT NULL) AS speakers,
+            json_type(doc, '$.summary') NOT IN ('null') AS has_summary,
+            json_type(doc, '$.actionItems') NOT IN ('null') AS has_action_items,
+            (SELECT COUNT(*) FROM chunks WHERE chunks.meeting_id = transcripts.meeting_id) AS chunks_count
+        FROM transcripts
+    `).all().map(row => ({
+        ...parse(row),
+        entriesCount: row.entries_count,
+        chunksCount: row.chunks_count,
+        speakers: JSON.parse(row.speakers || '[]'),
+        hasSummary: Boolean(row.has_summary),
+        hasActionItems: Boolean(row.has_action_items)
+    }));
+}
+
+export async function getMeeting(meetingId) {
+    const database = await connect();
+    return parse(database.prepare('SELECT doc FROM transcripts WHERE meeting_id = ?').get(meetingId));
+}
+
+export async function deleteMeeting(meetingId) {
+    const database = await connect();
+    return database.transaction(() => {
+        const deletedCount = database.prepare('DELETE FROM transcripts WHERE meeting_id = ?').run(meetingId).changes;
+        const deletedChunks = deleteChunksFor(database, meetingId);
+        return { deletedCount, deletedChunks };
+    })();
+}
+
+export async function loadChunks(meetingId) {
+    const database = await connect();
+    return database.prepare('SELECT doc FROM chunks WHERE meeting_id = ? ORDER BY id').all(meetingId).map(parse);
+}
+
+/**
+ * SCHEDULED RECORDINGS
+ */
+export async function saveScheduledRecording(schedule) {
+    const database = await connect();
+    database.transaction(() => {
+        const existing = parse(database.prepare('SELECT doc FROM schedules WHERE id = ?').get(schedule.id));
+        database.prepare('INSERT OR REPLACE INTO schedules (id, doc) VALUES (?, ?)')
+            .run(schedule.id, serialize({ ...(existing || {}), ...schedule }));
+    })();
+}
+
+export async function getScheduledRecordings() {
+    const database = await connect();
+    return database.prepare('SELECT doc FROM schedules').all().map(parse);
+}
+
+export async function deleteScheduledRecording(id) {
+    const database = await connect();
+    return { deletedCount: database.prepare('DELETE FROM schedules WHERE id = ?').run(id).changes };
+}
+
+/**
+ * DEDUPE & VERSION HISTORY
+ */
+export async function findMeetingByHash(contentHash) {
+    const database = await connect();
+    return parse(database.prepare('SELECT doc FROM transcripts WHERE content_hash = ? LIMIT 1').get(contentHash));
+}
+
+export async function saveMeetingVersion(snapshot) {
+    const database = await connect();
+    database.prepare('INSERT OR REPLACE INTO transcript_versions (meeting_id, version, doc) VALUES (?, ?, ?)')
+        .run(snapshot.meetingId, snapshot.version, serialize(snapshot));
+}
+
+export async function listMeetingVersions(meetingId) {
+    const database = await connect();
+    return database.prepare(`
+        SELECT json_remove(doc, '$.chunks', '$.meeting.entries') AS doc
+        FROM transcript_versions WHERE meeting_id = ? ORDER BY version DESC
+    `).all(meetingId).map(parse);
+}
+
+export async function getMeetingVersion(meetingId, version) {
+    const database = await connect();
+    return parse(database.prepare('SELECT doc FROM transcript_versions WHERE meeting_id = ? AND version = ?').get(meetingId, version));
+}
+
+export async function deleteMeetingVersions(meetingId) {
+    const database = await connect();
+    return { deletedCount: database.prepare('DELETE FROM transcript_versions WHERE meeting_id = ?').run(meetingId).changes };
+}
+
+/**
+ * BACKGROUND JOBS
+ */
+export async function saveJob(job) {
+    const database = await connect();
+    database.prepare('INSERT OR REPLACE INTO jobs (job_id, doc) VALUES (?, ?)').run(job.jobId, serialize(job));
+}
+
+export async function getJob(jobId) {
+    const database = await connect();
+    return parse(database.prepare('SELECT doc FROM jobs WHERE job_id = ?').get(jobId));
+}
+
+export async function listJobsByStatus(statuses) {
+    // "IN ()" is a syntax error in SQLite
+    if (!statuses.length) return [];
+    const database = await connect();
+    return database.prepare(`SELECT doc FROM jobs WHERE json_extract(doc, '$.status') IN (${statuses.map(() => '?').join(', ')})`)
+        .all(...statuses).map(parse);
+}
+
+/**
+ * PURGE LOG
+ */
+export async function savePurgeLogEntry(entry) {
+    const database = await connect();
+    database.prepare('INSERT INTO purge_log (doc) VALUES (?)').run(serialize(entry));
+}
+
+export async function listPurgeLog(limit = 100) {
+    const database = await connect();
+    return database.prepare('SELECT doc FROM purge_log ORDER BY id DESC LIMIT ?').all(limit).map(parse);
+}
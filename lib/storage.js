@@ -0,0 +1,206 @@
+/**
+ * Storage Interface
+ *
+ * Every module talks to storage through this file. The backend is chosen from config
+ * (STORAGE_BACKEND, see config.js) and loaded lazily, so a files-only install never
+ * needs MongoDB. Each backend must implement every method in STORAGE_METHODS.
+ * A backend with its own full-text ranking may also implement searchChunksKeyword (sqlite, FTS5);
+ * the others get keyword search from the shared BM25 index (lexical-index.js).
+ */
+
+import { STORAGE_BACKEND } from './config.js';
+import { buildChunkIndex, searchChunksBM25 } from './lexical-index.js';
+import { indexChunkVectors, searchChunksVector as searchVectors } from './vector-index.js';
+
+const BACKENDS = {
+    mongo: () => import('./storage-prod.js'),
+    files: () => import('./storage-files.js'),
+    sqlite: () => import('./storage-sqlite.js')
+};
+
+export const STORAGE_METHODS = [
+    // Transcripts
+    'loadTranscripts', 'listMeetingMetadata', 'getMeeting', 'saveTranscripts', 'replaceMeeting', 'updateMeeting', 'deleteMeeting',
+    'findMeetingByHash',
+    // Chunks
+    'saveChunks', 'loadChunks', 'deleteChunks',
+    // Keyword and vector indexes (lexical-index.js, vector-index.js); backends drop them in deleteChunks / deleteMeeting
+    'saveChunkIndex', 'getChunkIndex', 'saveChunkVectors', 'getChunkVectors',
+    // Version history
+    'saveMeetingVersion', 'listMeetingVersions', 'getMeetingVersion', 'deleteMeetingVersions',
+    // Scheduled recordings
+    'saveScheduledRecording', 'getScheduledRecordings', 'deleteScheduledRecording',
+    // Background jobs
+    'saveJob', 'getJob', 'listJobsByStatus',
+    // Purge log (retention and trash)
+    'savePurgeLogEntry', 'listPurgeLog'
+];
+
+let backendPromise = null;
+
+async function backend() {
+    if (!backendPromise) {
+        const load = BACKENDS[STORAGE_BACKEND];
+        if (!load) {
+            throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}". Available: ${Object.keys(BACKENDS).join(', ')}`);
+        }
+        backendPromise = load().then(impl => {
+            const missing = STORAGE_METHODS.filter(m => typeof impl[m] !== 'function');
+            if (missing.length) {
+                throw new Error(`Storage backend "${STORAGE_BACKEND}" is missing: ${missing.join(', ')}`);
+            }
+            return impl;
+        });
+        backendPromise.catch(() => { backendPromise = null; });
+    }
+    return backendPromise;
+}
+
+export function getBackendName() {
+    return STORAGE_BACKEND;
+}
+
+// === Transcripts ===
+
+/** All meetings, newest first. */
+export async function loadTranscripts() {
+    return (await backend()).loadTranscripts();
+}
+
+/**
+ * Every meeting without entries, summary or action items, plus entriesCount, chunksCount,
+ * speakers, hasSummary and hasActionItems. Unsorted; see meeting-list.js.
+ */
+export async function listMeetingMetadata() {
+    return (await backend()).listMeetingMetadata();
+}
+
+export async function getMeeting(meetingId) {
+    return (await backend()).getMeeting(meetingId);
+}
+
+/** Upsert: merges fields into an existing meeting with the same meetingId. */
+export async function saveTranscripts(meeting) {
+    return (await backend()).saveTranscripts(meeting);
+}
+
+/** Upsert: replaces the whole meeting document. */
+export async function replaceMeeting(meeting) {
+    return (await backend()).replaceMeeting(meeting);
+}
+
+export async function updateMeeting(meetingId, updateData) {
+    return (await backend()).updateMeeting(meetingId, updateData);
+}
+
+/**
+ * Removes the meeting and its chunks for good. App code should go through trash.js,
+ * which soft-deletes first. @returns {{ deletedCount, deletedChunks }}
+ */
+export async function deleteMeeting(meetingId) {
+    return (await backend()).deleteMeeting(meetingId);
+}
+
+export async function findMeetingByHash(contentHash) {
+    return (await backend()).findMeetingByHash(contentHash);
+}
+
+// === Chunks ===
+
+/** Replaces every chunk of the meeting the chunks belong to, and rebuilds its keyword and vector indexes. */
+export async function saveChunks(chunks) {
+    const impl = await backend();
+    await impl.saveChunks(chunks);
+    if (!chunks.length) return;
+    if (!impl.searchChunksKeyword) await impl.saveChunkIndex(buildChunkIndex(chunks[0].meetingId, chunks));
+    await indexChunkVectors(impl, chunks[0].meetingId, chunks);
+}
+
+export async function loadChunks(meetingId) {
+    return (await backend()).loadChunks(meetingId);
+}
+
+/** @returns {{ deletedCount }} */
+export async function deleteChunks(meetingId) {
+    return (await backend()).deleteChunks(meetingId);
+}
+
+/** BM25 keyword retrieval within one meeting; chunks come back best first with a `score`. */
+export async function searchChunksKeyword(query, meetingId, limit = 10) {
+    if (!meetingId) {
+        console.error("❌ searchChunksKeyword called without meetingId!");
+        return [];
+    }
+    const impl = await backend();
+    if (impl.searchChunksKeyword) return impl.searchChunksKeyword(query, meetingId, limit);
+    return searchChunksBM25(impl, query, meetingId, limit);
+}
+
+/** Embedding similarity retrieval within one meeting; [] when EMBEDDING_PROVIDER=none. */
+export async function searchChunksVector(query, meetingId, limit = 10) {
+    if (!meetingId) {
+        console.error("❌ searchChunksVector called without meetingId!");
+        return [];
+    }
+    return searchVectors(await backend(), query, meetingId, limit);
+}
+
+// === Version history ===
+
+export async function saveMeetingVersion(snapshot) {
+    return (await backend()).saveMeetingVersion(snapshot);
+}
+
+/** Archived versions of a meeting, newest first, without entries and chunks. */
+export async function listMeetingVersions(meetingId) {
+    return (await backend()).listMeetingVersions(meetingId);
+}
+
+export async function getMeetingVersion(meetingId, version) {
+    return (await backend()).getMeetingVersion(meetingId, version);
+}
+
+/** @returns {{ deletedCount }} */
+export async function deleteMeetingVersions(meetingId) {
+    return (await backend()).deleteMeetingVersions(meetingId);
+}
+
+// === Scheduled recordings ===
+
+export async function saveScheduledRecording(schedule) {
+    return (await backend()).saveScheduledRecording(schedule);
+}
+
+export async function getScheduledRecordings() {
+    return (await backend()).getScheduledRecordings();
+}
+
+export async function deleteScheduledRecording(id) {
+    return (await backend()).deleteScheduledRecording(id);
+}
+
+// === Background jobs ===
+
+export async function saveJob(job) {
+    return (await backend()).saveJob(job);
+}
+
+export async function getJob(jobId) {
+    return (await backend()).getJob(jobId);
+}
+
+/** Jobs whose status is one of `statuses`, e.g. ['queued', 'running']. */
+export async function listJobsByStatus(statuses) {
+    return (await backend()).listJobsByStatus(statuses);
+}
+
+// === Purge log ===
+
+export async function savePurgeLogEntry(entry) {
+    return (await backend()).savePurgeLogEntry(entry);
+}
+
+/** Newest first. */
+export async function listPurgeLog(limit = 100) {
+    return (await backend()).listPurgeLog(limit);
+}
@@ -0,0 +1,119 @@
+/**
+ * Transcription Providers
+ *
+ * Turn an audio/video recording into timed entries ({ start, end, speaker, text }),
+ * the same shape parseVTT produces, so recordings flow through the normal chunk/store path.
+ *
+ * A provider is { name, transcribe(filePath, options) => Promise<entries> }.
+ * Selected with TRANSCRIPTION_PROVIDER:
+ * - 'whisper-cpp' (default): local CPU transcription with a whisper.cpp binary, no cloud dependency
+ * - 'fake': deterministic entries for tests and local development
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { normalizeTimestamp } from './parser.js';
+
+const execFileAsync = promisify(execFile);
+
+const providers = {
+    'whisper-cpp': createWhisperCppProvider,
+    'fake': createFakeProvider
+};
+
+/**
+ * Register an additional provider factory (e.g. a cloud API) under a name.
+ */
+export function registerTranscriptionProvider(name, factory) {
+    providers[name] = factory;
+}
+
+/**
+ * Get the configured provider (TRANSCRIPTION_PROVIDER, default 'whisper-cpp').
+ */
+export function getTranscriptionProvider(name = process.env.TRANSCRIPTION_PROVIDER || 'whisper-cpp') {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown transcription provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+    }
+    return factory();
+}
+
+/**
+ * whisper.cpp running on the box.
+ * The recording is converted to 16 kHz mono WAV with ffmpeg (whisper.cpp's required input),
+ * then transcribed with JSON output so every segment keeps its own timestamps.
+ *
+ * Env: WHISPER_CPP_BIN, WHISPER_CPP_MODEL, WHISPER_CPP_THREADS, WHISPER_CPP_LANGUAGE, FFMPEG_BIN,
+ *      TRANSCRIPTION_TIMEOUT_MS
+ */
+export function createWhisperCppProvider(config = {}) {
+    const binary = config.binary || process.env.WHISPER_CPP_BIN || 'whisper-cli';
+    const model = config.model || process.env.WHISPER_CPP_MODEL;
+    const ffmpeg = config.ffmpeg || process.env.FFMPEG_BIN || 'ffmpeg';
+    const threads = String(config.threads || process.env.WHISPER_CPP_THREADS || Math.max(1, os.cpus().length - 1));
+    const timeout = Number(config.timeoutMs || process.env.TRANSCRIPTION_TIMEOUT_MS || 30 * 60 * 1000);
+
+    return {
+        name: 'whisper-cpp',
+        async transcribe(filePath, options = {}) {
+            if (!model) {
+                throw new Error('whisper.cpp not configured. Set WHISPER_CPP_MODEL (path to a ggml model) in your .env file.');
+            }
+
+            const workDir = await mkdtemp(path.join(os.tmpdir(), 'whisper-'));
+            try {
+                const wavPath = path.join(workDir, 'audio.wav');
+                await execFileAsync(ffmpeg, ['-y', '-i', filePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath], { timeout });
+
+                const outBase = path.join(workDir, 'transcript');
+                const language = options.language || process.env.WHISPER_CPP_LANGUAGE || 'auto';
+                await execFileAsync(binary, ['-m', model, '-f', wavPath, '-t', threads, '-l', language, '-oj', '-of', outBase], {
+                    timeout,
+                    maxBuffer: 64 * 1024 * 1024
+                });
+
+                const output = JSON.parse(await readFile(`${outBase}.json`, 'utf8'));
+                return whisperJsonToEntries(output);
+            } finally {
+                await rm(workDir, { recursive: true, force: true });
+            }
+        }
+    };
+}
+
+/**
+ * Deterministic provider for tests: returns the given entries (or a fixed two-line script)
+ * regardless of the recording's content.
+ */
+export function createFakeProvider(config = {}) {
+    const entries = config.entries || [
+        { start: '00:00:00.000', end: '00:00:04.000', speaker: 'Speaker 1', text: 'This is a fake transcription of the uploaded recording.' },
+        { start: '00:00:04.000', end: '00:00:08.000', speaker: 'Speaker 2', text: 'It exists so the recording pipeline can run without a model.' }
+    ];
+
+    return {
+        name: 'fake',
+        async transcribe() {
+            return entries.map(e => ({ ...e }));
+        }
+    };
+}
+
+/**
+ * whisper.cpp -oj output: { transcription: [{ timestamps: { from: "00:00:01,000", to: "..." }, text }] }
+ * whisper.cpp does not diarize, so every segment is attributed to "Unknown".
+ */
+function whisperJsonToEntries(output) {
+    return (output.transcription || [])
+        .map(seg => ({
+            start: normalizeTimestamp(seg.timestamps.from),
+            end: normalizeTimestamp(seg.timestamps.to),
+            speaker: 'Unknown',
+            text: (seg.text || '').trim()
+        }))
+        .filter(e => e.text && !/^\[(BLANK_AUDIO|MUSIC|NOISE)\]$/i.test(e.text));
+}
@@ -0,0 +1,161 @@
+/**
+ * Trash
+ *
+ * Deleting a meeting only stamps `deletedAt` on it. Trashed meetings are hidden from
+ * listings, search and chat (see backend-adapter.js) but keep their transcript, chunks,
+ * version history and raw files until they are restored or purged.
+ *
+ * Trashed meetings older than TRASH_RETENTION_DAYS are purged by sweepExpiredTrash: by hand
+ * (POST /api/trash) or every TRASH_SWEEP_INTERVAL_HOURS when that is set. Reads never purge.
+ */
+
+import { unlink } from 'fs/promises';
+import path from 'path';
+import * as storage from './storage.js';
+import { UPLOAD_DIR, TRASH_RETENTION_DAYS, TRASH_SWEEP_INTERVAL_HOURS } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let sweepScheduled = false;
+
+export function isTrashed(meeting) {
+    return Boolean(meeting?.deletedAt);
+}
+
+function purgeDate(deletedAt) {
+    if (!TRASH_RETENTION_DAYS) return null;
+    return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+function trashEntry(meeting) {
+    return {
+        meetingId: meeting.meetingId,
+        source: meeting.source,
+        durationSeconds: meeting.durationSeconds || 0,
+        entriesCount: (meeting.entries || []).length,
+        deletedAt: meeting.deletedAt,
+        purgeAt: purgeDate(meeting.deletedAt)
+    };
+}
+
+/**
+ * Soft-delete a meeting. Returns null if it does not exist or is already in the trash.
+ */
+export async function trashMeeting(meetingId) {
+    const meeting = await storage.getMeeting(meetingId);
+    if (!meeting || isTrashed(meeting)) return null;
+
+    const deletedAt = new Date().toISOString();
+    await storage.updateMeeting(meetingId, { deletedAt });
+    return trashEntry({ ...meeting, deletedAt });
+}
+
+/**
+ * Trashed meetings, most recently deleted first.
+ */
+export async function listTrash() {
+    const meetings = await storage.loadTranscripts();
+    return meetings
+        .filter(isTrashed)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+        .map(trashEntry);
+}
+
+/**
+ * Take a meeting out of the trash. Returns null if it is not in the trash.
+ */
+export async function restoreFromTrash(meetingId) {
+    const meeting = await storage.getMeeting(meetingId);
+    if (!isTrashed(meeting)) return null;
+
+    // Full replace: updateMeeting can only set fields, not remove them
+    const { _id, deletedAt, ...doc } = meeting;
+    await storage.replaceMeeting(doc);
+    return doc;
+}
+
+/**
+ * Delete the raw uploaded files of a meeting and all its archived versions.
+ * @returns {Promise<number>} files deleted
+ */
+export async function deleteRawFiles(meeting) {
+    const versions = await storage.listMeetingVersions(meeting.meetingId);
+    const rawFiles = new Set([meeting.rawFile, ...versions.map(v => v.meeting?.rawFile)].filter(Boolean));
+
+    let deletedFiles = 0;
+    for (const file of rawFiles) {
+        try {
+            await unlink(path.join(UPLOAD_DIR, path.basename(file)));
+            deletedFiles++;
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+    return deletedFiles;
+}
+
+/**
+ * Permanently delete a meeting: transcript, chunks, archived versions and raw uploaded files.
+ * Only meetings in the trash can be purged. Every purge is written to the purge log.
+ */
+export async function purgeMeeting(meetingId) {
+    const meeting = await storage.getMeeting(meetingId);
+    if (!isTrashed(meeting)) return null;
+
+    const deletedFiles = await deleteRawFiles(meeting);
+    const { deletedChunks } = await storage.deleteMeeting(meetingId);
+    const { deletedCount: deletedVersions } = await storage.deleteMeetingVersions(meetingId);
+
+    const result = { meetingId, deletedChunks, deletedVersions, deletedFiles };
+    await storage.savePurgeLogEntry({
+        purgedAt: new Date().toISOString(),
+        reason: 'trash',
+        meetingId,
+        source: meeting.source,
+        targets: ['meeting'],
+        details: { deletedChunks, deletedVersions, deletedFiles }
+    });
+
+    console.log(`🗑️ Purged meeting ${meetingId} (${deletedChunks} chunks, ${deletedVersions} versions, ${deletedFiles} files)`);
+    return result;
+}
+
+/**
+ * Purge everything in the trash, or only meetings deleted before `before` (a Date).
+ */
+export async function emptyTrash({ before = null } = {}) {
+    const trashed = await listTrash();
+    const due = before ? trashed.filter(m => new Date(m.deletedAt) < before) : trashed;
+
+    const purged = [];
+    for (const m of due) {
+        const result = await purgeMeeting(m.meetingId);
+        if (result) purged.push(result);
+    }
+    return { purgedCount: purged.length, purged };
+}
+
+/**
+ * Purge meetings that have been in the trash longer than TRASH_RETENTION_DAYS.
+ */
+export async function sweepExpiredTrash() {
+    if (!TRASH_RETENTION_DAYS) return { purgedCount: 0, purged: [] };
+    return await emptyTrash({ before: new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS) });
+}
+
+/**
+ * Sweep the trash every TRASH_SWEEP_INTERVAL_HOURS in this process, the first sweep one interval
+ * after the start. Called once at server start (instrumentation.js); does nothing when
+ * TRASH_SWEEP_INTERVAL_HOURS is 0 (the default). @returns {boolean} whether a schedule started
+ */
+export function startTrashSweepSchedule() {
+    if (!TRASH_SWEEP_INTERVAL_HOURS || !TRASH_RETENTION_DAYS || sweepScheduled) return false;
+    sweepScheduled = true;
+    const timer = setInterval(() => {
+        sweepExpiredTrash().catch(err => console.error('Trash sweep failed:', err));
+    }, TRASH_SWEEP_INTERVAL_HOURS * 60 * 60 * 1000);
+    // The schedule alone must not keep the process alive
+    timer.unref();
+    console.log(`🗑️ Trash sweep scheduled every ${TRASH_SWEEP_INTERVAL_HOURS}h`);
+    return true;
+}
@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingai-trash-'));
+process.chdir(workDir);
+process.env.STORAGE_BACKEND = 'files';
+process.env.DATA_DIR = path.join(workDir, 'data');
+delete process.env.TRASH_RETENTION_DAYS;
+delete process.env.TRASH_SWEEP_INTERVAL_HOURS;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const uploads = path.join(workDir, 'public', 'uploads');
+
+let storage;
+let trash;
+
+async function addMeeting(meetingId, rawFile) {
+    const entries = [{ start: '00:00:01.000', end: '00:00:02.000', speaker: 'Asha', text: `Notes for ${meetingId}` }];
+    await storage.saveTranscripts({ meetingId, source: `${meetingId}.vtt`, rawFile, entries });
+    await storage.saveChunks([{ meetingId, chunkId: `${meetingId}#0001`, startSec: 1, endSec: 2, text: entries[0].text }]);
+    if (rawFile) fs.writeFileSync(path.join(uploads, rawFile), 'WEBVTT');
+}
+
+before(async () => {
+    fs.mkdirSync(uploads, { recursive: true });
+    storage = await import('./storage.js');
+    trash = await import('./trash.js');
+
+    await addMeeting('standup', 'standup-raw.vtt');
+    await addMeeting('retro');
+    await addMeeting('planning');
+    // An older upload of standup, with its own raw file
+    fs.writeFileSync(path.join(uploads, 'standup-v1.vtt'), 'WEBVTT');
+    await storage.saveMeetingVersion({ meetingId: 'standup', version: 1, archivedAt: new Date().toISOString(), meeting: { meetingId: 'standup', rawFile: 'standup-v1.vtt' }, chunks: [] });
+});
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('trashing keeps the meeting data and restoring brings it back', async () => {
+    const entry = await trash.trashMeeting('retro');
+    assert.equal(entry.meetingId, 'retro');
+    assert.equal(new Date(entry.purgeAt) - new Date(entry.deletedAt), 30 * DAY_MS);
+    assert.equal(await trash.trashMeeting('retro'), null);
+    assert.deepEqual((await trash.listTrash()).map(m => m.meetingId), ['retro']);
+    assert.equal((await storage.loadChunks('retro')).length, 1);
+
+    const restored = await trash.restoreFromTrash('retro');
+    assert.equal(restored.deletedAt, undefined);
+    assert.equal((await storage.getMeeting('retro')).deletedAt, undefined);
+    assert.equal(await trash.restoreFromTrash('retro'), null);
+});
+
+test('only trashed meetings can be purged; a purge removes chunks, versions and raw files', async () => {
+    assert.equal(await trash.purgeMeeting('standup'), null);
+
+    await trash.trashMeeting('standup');
+    assert.deepEqual(await trash.purgeMeeting('standup'), { meetingId: 'standup', deletedChunks: 1, deletedVersions: 1, deletedFiles: 2 });
+    assert.equal(await storage.getMeeting('standup'), null);
+    assert.deepEqual(fs.readdirSync(uploads), []);
+
+    const [logged] = await storage.listPurgeLog();
+    assert.deepEqual([logged.reason, logged.meetingId, logged.targets], ['trash', 'standup', ['meeting']]);
+});
+
+test('the sweep purges only meetings past TRASH_RETENTION_DAYS', async () => {
+    await trash.trashMeeting('retro');
+    await trash.trashMeeting('planning');
+    await storage.updateMeeting('planning', { deletedAt: new Date(Date.now() - 40 * DAY_MS).toISOString() });
+
+    // Listing never purges, even when something has expired
+    assert.deepEqual((await trash.listTrash()).map(m => m.meetingId).sort(), ['planning', 'retro']);
+
+    const { purgedCount, purged } = await trash.sweepExpiredTrash();
+    assert.equal(purgedCount, 1);
+    assert.equal(purged[0].meetingId, 'planning');
+    assert.deepEqual((await trash.listTrash()).map(m => m.meetingId), ['retro']);
+});
+
+test('scheduled sweeps are off unless TRASH_SWEEP_INTERVAL_HOURS is set', () => {
+    assert.equal(trash.startTrashSweepSchedule(), false);
+});
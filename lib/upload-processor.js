@@ -0,0 +1,446 @@
+/**
+ * Upload Processor
+ *
+ * Turns uploaded transcript files and recordings into stored meetings:
+ * parse (or transcribe) -> normalize meeting object -> save transcript -> chunk -> save chunks -> keep raw file.
+ * Shared by single-file, ZIP archive and recording uploads.
+ */
+
+import { writeFile, mkdir, mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { parseTranscript, detectFormat, SUPPORTED_EXTENSIONS } from './parser.js';
+import { parseTeamsDocx } from './parser-docx.js';
+import { chunkMeetingEntries } from './indexer.js';
+import { SCHEMA_VERSION } from './schema.js';
+import { getTranscriptionProvider } from './transcription.js';
+import * as storage from './storage.js';
+import { UPLOAD_DIR } from './config.js';
+import { restoreFromTrash } from './trash.js';
+import { hashEntries, hashBuffer, findDuplicate, resolveMeetingId, archiveCurrentVersion, nextVersionNumber } from './meeting-versions.js';
+
+export { UPLOAD_DIR };
+export const TRANSCRIPT_EXTENSIONS = [...SUPPORTED_EXTENSIONS, '.docx'];
+
+const MAX_ARCHIVE_FILES = 500;
+// Transcripts are text; anything near this once inflated is not a transcript archive (or is a zip bomb)
+const MAX_ARCHIVE_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+// ZIP record signatures ("PK\x05\x06" ends the archive; "PK\x01\x02" starts each central directory entry)
+const END_OF_CENTRAL_DIRECTORY = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+const CENTRAL_FILE_HEADER = 0x02014b50;
+
+/**
+ * Check whether a file can be parsed as a transcript (by extension or content).
+ */
+export function isSupportedTranscript(fileName, buffer) {
+    return isDocx(fileName, buffer) || Boolean(detectFormat(buffer.toString('utf8'), fileName));
+}
+
+export function isZipArchive(fileName) {
+    return /\.zip$/i.test(fileName);
+}
+
+/**
+ * Parse, chunk and store a single transcript file as a meeting.
+ *
+ * - Identical content (by hash) is not stored again; the existing meeting is returned with `duplicate: true`.
+ * - A filename that collides with another meeting gets a fresh id instead of overwriting it.
+ * - `options.versionOf` stores the upload as a new version of that meeting, archiving the current one.
+ * - `options.chunking` picks the chunking strategy (a name or { strategy, options }, see indexer.js).
+ *
+ * @returns {Promise<{meetingId, fileName, format, entriesCount, chunksCount, durationSeconds, warnings, version, duplicate}>}
+ */
+export async function processTranscriptUpload(fileName, buffer, options = {}) {
+    const parsed = await parseUpload(fileName, buffer);
+    const prepared = await prepareMeeting(fileName, parsed, options);
+    return await storeMeeting(prepared, buffer);
+}
+
+/**
+ * Transcribe an audio/video recording with the configured provider, then store it like any transcript.
+ * `options.provider` overrides TRANSCRIPTION_PROVIDER (e.g. a fake provider in tests).
+ */
+export async function processRecordingUpload(fileName, buffer, options = {}) {
+    const prepared = await findStoredRecording(fileName, buffer)
+        || await prepareMeeting(fileName, await transcribeUpload(fileName, buffer, options), options);
+    return await storeMeeting(prepared, buffer);
+}
+
+// === Pipeline stages (also run one by one as background jobs, see jobs.js) ===
+
+/**
+ * Stage 1 (transcripts): parse the file into entries.
+ * @returns {Promise<{format, entries, warnings}>}
+ */
+export async function parseUpload(fileName, buffer) {
+    let parsed;
+    if (isDocx(fileName, buffer)) {
+        const warnings = [];
+        const entries = await parseTeamsDocx(buffer, fileName, warnings);
+        parsed = { format: 'docx', entries, warnings };
+    } else {
+        parsed = parseTranscript(buffer.toString('utf8'), fileName);
+    }
+
+    if (!parsed.entries.length) {
+        const reasons = parsed.warnings.map(w => w.message).slice(0, 3).join('; ');
+        throw new Error(`No transcript entries found in ${fileName}${reasons ? ` (${reasons})` : ''}`);
+    }
+    return parsed;
+}
+
+/**
+ * Stage 0 (recordings): recordings are deduped by their bytes, so a re-upload is recognized
+ * before paying for transcription. Returns a prepared duplicate for storeMeeting, or null.
+ */
+export async function findStoredRecording(fileName, buffer) {
+    const existing = await findDuplicate(hashBuffer(buffer));
+    return existing ? await duplicateUpload(existing, fileName, 'recording', []) : null;
+}
+
+/**
+ * Stage 1 (recordings): transcribe the file into entries.
+ * @returns {Promise<{format, entries, warnings, contentHash, transcribedBy}>}
+ */
+export async function transcribeUpload(fileName, buffer, options = {}) {
+    const provider = options.provider || getTranscriptionProvider();
+
+    // Providers work on files (ffmpeg/whisper.cpp), so stage the upload in a temp dir
+    const workDir = await mkdtemp(path.join(os.tmpdir(), 'recording-'));
+    let entries;
+    try {
+        const filePath = path.join(workDir, `input${path.extname(fileName).toLowerCase()}`);
+        await writeFile(filePath, buffer);
+        entries = await provider.transcribe(filePath, { language: options.language });
+    } finally {
+        await rm(workDir, { recursive: true, force: true });
+    }
+
+    if (!entries.length) {
+        throw new Error(`No speech detected in ${fileName}`);
+    }
+
+    return {
+        format: 'recording',
+        entries,
+        warnings: [],
+        contentHash: hashBuffer(buffer),
+        transcribedBy: provider.name
+    };
+}
+
+/**
+ * Stage 2: dedupe, pick the meeting id and version, build the meeting object and its chunks.
+ * Nothing is written yet. Returns { duplicate: true, result } when the content is already stored.
+ */
+export async function prepareMeeting(fileName, parsed, options = {}) {
+    const { format, entries, warnings } = parsed;
+
+    // Skip content we already have
+    const contentHash = parsed.contentHash || hashEntries(entries);
+    const existing = await findDuplicate(contentHash);
+    if (existing) return await duplicateUpload(existing, fileName, format, warnings);
+
+    // Re-upload of a known meeting becomes its next version; otherwise pick a non-colliding ID from the filename
+    let meetingId;
+    let version = 1;
+    if (options.versionOf) {
+        const current = await storage.getMeeting(options.versionOf);
+        if (!current || current.deletedAt) {
+            throw new Error(`Meeting ${options.versionOf} not found`);
+        }
+        meetingId = options.versionOf;
+        version = await nextVersionNumber(meetingId);
+    } else {
+        const baseId = fileName.replace(/\.[^.]+$/, '').replace(/[^a-z0-9-_]/gi, '-').toLowerCase();
+        meetingId = await resolveMeetingId(baseId);
+    }
+
+    // Calculate duration
+    const durationSeconds = entries.length > 0
+        ? Math.max(...entries.map(e => {
+            const end = e.end || e.start;
+            const parts = (end || '00:00:00').split(':');
+            return Number(parts[0]) * 3600 + Number(parts[1]) * 60 + Number(parts[2]);
+        }))
+        : 0;
+
+    // Raw files are stored per meeting version so re-uploads and name collisions never overwrite each other
+    const rawFile = `${meetingId}-v${version}${path.extname(fileName).toLowerCase()}`;
+
+    // Create meeting object
+    const uploadedAt = new Date().toISOString();
+    const meeting = {
+        schemaVersion: SCHEMA_VERSION,
+        meetingId,
+        source: fileName,
+        rawFile,
+        format,
+        ...(parsed.transcribedBy ? { transcribedBy: parsed.transcribedBy } : {}),
+        contentHash,
+        version,
+        parseWarnings: warnings,
+        uploadedAt,
+        importedAt: uploadedAt,
+        durationSeconds,
+        entries: entries.map((e, idx) => ({
+            id: `${meetingId}:${String(idx + 1).padStart(4, '0')}`,
+            sequence: idx + 1,
+            start: e.start,
+            end: e.end,
+            speaker: e.speaker || 'Unknown',
+            text: e.text || '',
+        }))
+    };
+
+    // Generate chunks with the requested strategy (CHUNKING_STRATEGY by default)
+    const { chunks, chunking } = chunkMeetingEntries(meetingId, entries, options.chunking);
+    meeting.chunking = chunking;
+
+    return { duplicate: false, isNewVersion: Boolean(options.versionOf), fileName, warnings, meeting, chunks };
+}
+
+async function duplicateUpload(existing, fileName, format, warnings) {
+    const existingChunks = await storage.loadChunks(existing.meetingId);
+    return {
+        duplicate: true,
+        // Uploading a trashed meeting again brings it back
+        restoreFromTrash: Boolean(existing.deletedAt),
+        result: {
+            meetingId: existing.meetingId,
+            fileName,
+            format,
+            entriesCount: (existing.entries || []).length,
+            chunksCount: existingChunks.length,
+            durationSeconds: existing.durationSeconds || 0,
+            warnings,
+            version: existing.version || 1,
+            duplicate: true
+        }
+    };
+}
+
+/**
+ * Stage 3: archive the previous version (re-uploads), save transcript, chunks and the raw file.
+ * Safe to run again after a partial failure, so the job may retry it.
+ */
+export async function storeMeeting(prepared, buffer) {
+    if (prepared.duplicate) {
+        if (prepared.restoreFromTrash) await restoreFromTrash(prepared.result.meetingId);
+        return prepared.result;
+    }
+
+    const { meeting, chunks } = prepared;
+    // A retried store after the swap must not archive the new version as an old one
+    if (prepared.isNewVersion && (await storage.getMeeting(meeting.meetingId))?.version !== meeting.version) {
+        await archiveCurrentVersion(meeting.meetingId, 'reupload');
+    }
+
+    // Save meeting to MongoDB (a full replace, so a new version drops the old cached summary/action items)
+    await storage.replaceMeeting(meeting);
+    await storage.saveChunks(chunks);
+
+    // Save uploaded file
+    await mkdir(UPLOAD_DIR, { recursive: true });
+    await writeFile(path.join(UPLOAD_DIR, meeting.rawFile), buffer);
+
+    return {
+        meetingId: meeting.meetingId,
+        fileName: prepared.fileName,
+        format: meeting.format,
+        entriesCount: meeting.entries.length,
+        chunksCount: chunks.length,
+        durationSeconds: meeting.durationSeconds,
+        warnings: prepared.warnings,
+        version: meeting.version,
+        duplicate: false
+    };
+}
+
+// === Background job definitions (see jobs.js) ===
+
+/**
+ * Job stages for a single transcript or recording: parse (or dedupe and transcribe), chunk, store.
+ * Parse errors are permanent, so that stage is not retried; transcription may be.
+ */
+export function uploadJobStages(fileName, buffer, options = {}) {
+    const first = options.recording
+        ? [
+            {
+                name: 'dedupe',
+                run: async (ctx) => {
+                    ctx.prepared = await findStoredRecording(fileName, buffer);
+                    ctx.duplicate = Boolean(ctx.prepared);
+                }
+            },
+            { name: 'transcribe', skip: ctx => ctx.duplicate, run: async (ctx) => { ctx.parsed = await transcribeUpload(fileName, buffer, options); } }
+        ]
+        : [{ name: 'parse', retry: false, run: async (ctx) => { ctx.parsed = await parseUpload(fileName, buffer); } }];
+
+    return [
+        ...first,
+        {
+            name: 'chunk',
+            skip: ctx => ctx.duplicate,
+            run: async (ctx) => {
+                ctx.prepared = await prepareMeeting(fileName, ctx.parsed, options);
+                ctx.duplicate = ctx.prepared.duplicate;
+            }
+        },
+        {
+            name: 'store',
+            run: async (ctx) => {
+                ctx.result = await storeMeeting(ctx.prepared, buffer);
+                ctx.meetingId = ctx.result.meetingId;
+            }
+        }
+    ];
+}
+
+/**
+ * Job stages for a ZIP archive. Per-file failures are reported in the result, not retried.
+ */
+export function archiveJobStages(archiveName, buffer, options = {}) {
+    return [
+        {
+            name: 'process',
+            retry: false,
+            run: async (ctx, { setProgress }) => {
+                ctx.result = await processArchiveUpload(archiveName, buffer, { ...options, onProgress: setProgress });
+            }
+        }
+    ];
+}
+
+/**
+ * Read a ZIP archive's directory and check its limits without inflating anything.
+ * The upload route calls this before queueing, so a bad archive is a 400 instead of a failed job.
+ * Declared sizes are only a claim; processArchiveUpload counts the bytes actually inflated.
+ * @returns {Promise<Array<{entry, declaredBytes}>>} the JSZip entries to process (no folders or junk files)
+ */
+export async function openArchive(archiveName, buffer) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (err) {
+        throw new Error(`INVALID_PARAM: ${archiveName} is not a valid ZIP archive`);
+    }
+
+    const files = Object.values(zip.files).filter(f => !f.dir && !isJunkEntry(f.name));
+    if (files.length > MAX_ARCHIVE_FILES) {
+        throw new Error(`INVALID_PARAM: Archive contains ${files.length} files; the limit is ${MAX_ARCHIVE_FILES}`);
+    }
+    const sizes = declaredSizes(buffer);
+    const entries = files.map(entry => ({ entry, declaredBytes: sizes.get(entry.name) }));
+    const uncompressedBytes = entries.reduce((sum, e) => sum + (e.declaredBytes || 0), 0);
+    if (uncompressedBytes > MAX_ARCHIVE_UNCOMPRESSED_BYTES) {
+        throw new Error(`INVALID_PARAM: Archive unpacks to ${Math.ceil(uncompressedBytes / 1024 / 1024)} MB; the limit is ${MAX_ARCHIVE_UNCOMPRESSED_BYTES / 1024 / 1024} MB`);
+    }
+    return entries;
+}
+
+/**
+ * Uncompressed sizes by entry name, as declared in the ZIP's central directory.
+ * Entries missing here (ZIP64, data before the archive) are bounded by the archive budget alone.
+ */
+function declaredSizes(buffer) {
+    const sizes = new Map();
+    const end = buffer.lastIndexOf(END_OF_CENTRAL_DIRECTORY);
+    if (end < 0 || end + 22 > buffer.length) return sizes;
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let i = 0; i < count && offset + 46 <= buffer.length && buffer.readUInt32LE(offset) === CENTRAL_FILE_HEADER; i++) {
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const size = buffer.readUInt32LE(offset + 24);
+        if (size !== 0xffffffff) sizes.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), size);
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    return sizes;
+}
+
+/**
+ * Inflate one entry, counting the bytes it really produces. Stops as soon as the entry
+ * passes its declared size or the archive passes its budget (`budget.exceeded` is set then).
+ */
+function inflateEntry({ entry, declaredBytes }, budget) {
+    return new Promise((resolve, reject) => {
+        const stream = entry.nodeStream('nodebuffer');
+        const chunks = [];
+        let bytes = 0;
+        const stop = (message) => {
+            stream.removeAllListeners('data');
+            stream.destroy();
+            reject(new Error(message));
+        };
+
+        stream.on('data', chunk => {
+            bytes += chunk.length;
+            budget.remaining -= chunk.length;
+            if (budget.remaining < 0) {
+                budget.exceeded = true;
+                return stop(`INVALID_PARAM: Archive unpacks to more than ${MAX_ARCHIVE_UNCOMPRESSED_BYTES / 1024 / 1024} MB`);
+            }
+            if (declaredBytes !== undefined && bytes > declaredBytes) {
+                return stop(`Entry unpacks to more than the ${declaredBytes} bytes it declares`);
+            }
+            chunks.push(chunk);
+        });
+        stream.on('error', reject);
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+/**
+ * Process every transcript inside a ZIP archive as its own meeting.
+ * One bad file never fails the batch; each file gets its own result.
+ * `options.onProgress({ done, total })` is called after each file; `options.chunking` applies to every file.
+ * @returns {Promise<{filesCount, processed, failed, results: Array}>}
+ */
+export async function processArchiveUpload(archiveName, buffer, options = {}) {
+    const files = await openArchive(archiveName, buffer);
+    const budget = { remaining: MAX_ARCHIVE_UNCOMPRESSED_BYTES, exceeded: false };
+
+    const results = [];
+    for (const file of files) {
+        const { entry } = file;
+        const fileName = path.basename(entry.name);
+        try {
+            const content = await inflateEntry(file, budget);
+            if (isZipArchive(fileName)) {
+                throw new Error('Nested archives are not supported');
+            }
+            if (!isSupportedTranscript(fileName, content)) {
+                throw new Error(`Unsupported transcript format. Supported: ${TRANSCRIPT_EXTENSIONS.join(', ')}`);
+            }
+            const result = await processTranscriptUpload(fileName, content, { chunking: options.chunking });
+            results.push({ success: true, path: entry.name, ...result });
+        } catch (err) {
+            // Past the archive budget nothing else gets inflated
+            if (budget.exceeded) throw err;
+            console.error(`Archive entry ${entry.name} failed:`, err.message);
+            results.push({ success: false, path: entry.name, fileName, error: err.message });
+        }
+        if (options.onProgress) await options.onProgress({ done: results.length, total: files.length });
+    }
+
+    const processed = results.filter(r => r.success).length;
+    return {
+        filesCount: results.length,
+        processed,
+        failed: results.length - processed,
+        results
+    };
+}
+
+// .docx files are ZIP containers ("PK" magic bytes)
+function isDocx(fileName, buffer) {
+    if (/\.docx$/i.test(fileName)) return true;
+    return !/\.[^.]+$/.test(fileName) && buffer[0] === 0x50 && buffer[1] === 0x4b;
+}
+
+// macOS resource forks and hidden files that archivers add
+function isJunkEntry(name) {
+    return name.startsWith('__MACOSX/') || path.basename(name).startsWith('.');
+}
@@ -0,0 +1,133 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Raw uploads go to ./public/uploads, so run inside a scratch directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetingai-upload-'));
+process.chdir(workDir);
+process.env.STORAGE_BACKEND = 'files';
+process.env.DATA_DIR = path.join(workDir, 'data');
+
+let upload;
+
+before(async () => {
+    upload = await import('./upload-processor.js');
+});
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const VTT = 'WEBVTT\n\n00:00:01.000 --> 00:00:05.000\n<v Asha>We ship the billing migration on Friday.</v>\n\n00:00:05.000 --> 00:00:09.000\n<v Ben>I will update the runbook.</v>\n';
+const SRT = '1\n00:00:01,000 --> 00:00:05,000\nAsha: We ship the billing migration on Friday.\n\n2\n00:00:05,000 --> 00:00:09,000\nBen: I will update the runbook.\n';
+
+function countingProvider() {
+    const provider = {
+        name: 'counting',
+        calls: 0,
+        async transcribe() {
+            provider.calls++;
+            return [{ start: '00:00:00.000', end: '00:00:03.000', speaker: 'Speaker 1', text: 'Recorded standup notes.' }];
+        }
+    };
+    return provider;
+}
+
+test('a transcript is stored once; the same meeting in another format is a duplicate', async () => {
+    const first = await upload.processTranscriptUpload('standup.vtt', Buffer.from(VTT));
+    assert.equal(first.meetingId, 'standup');
+    assert.equal(first.entriesCount, 2);
+    assert.equal(first.duplicate, false);
+    assert.ok(first.chunksCount > 0);
+
+    const again = await upload.processTranscriptUpload('standup-copy.srt', Buffer.from(SRT));
+    assert.equal(again.duplicate, true);
+    assert.equal(again.meetingId, 'standup');
+});
+
+test('a re-uploaded recording is recognized before it is transcribed', async () => {
+    const provider = countingProvider();
+    const recording = Buffer.from('RIFF fake wav bytes');
+
+    const first = await upload.processRecordingUpload('call.wav', recording, { provider });
+    assert.equal(first.duplicate, false);
+    assert.equal(provider.calls, 1);
+
+    const again = await upload.processRecordingUpload('call-again.wav', recording, { provider });
+    assert.equal(again.duplicate, true);
+    assert.equal(again.meetingId, first.meetingId);
+    assert.equal(provider.calls, 1);
+});
+
+test('recording job stages skip transcription for a stored recording', async () => {
+    const provider = countingProvider();
+    const recording = Buffer.from('RIFF another recording');
+    await upload.processRecordingUpload('weekly.wav', recording, { provider });
+
+    const stages = upload.uploadJobStages('weekly.wav', recording, { recording: true, provider });
+    assert.deepEqual(stages.map(s => s.name), ['dedupe', 'transcribe', 'chunk', 'store']);
+
+    const ctx = {};
+    for (const stage of stages) {
+        if (stage.skip && stage.skip(ctx)) continue;
+        await stage.run(ctx, { setProgress: async () => {} });
+    }
+    assert.equal(ctx.result.duplicate, true);
+    assert.equal(provider.calls, 1);
+});
+
+async function zipOf(files) {
+    const { default: JSZip } = await import('jszip');
+    const zip = new JSZip();
+    for (const [name, content] of Object.entries(files)) zip.file(name, content);
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+test('archive entries become meetings, one bad file does not fail the batch', async () => {
+    const buffer = await zipOf({
+        'week1/retro.vtt': VTT.replace('Friday', 'Monday'),
+        'notes.pdf': 'not a transcript',
+        '__MACOSX/._retro.vtt': 'junk'
+    });
+    const result = await upload.processArchiveUpload('batch.zip', buffer);
+    assert.equal(result.filesCount, 2);
+    assert.equal(result.processed, 1);
+    assert.equal(result.results.find(r => !r.success).path, 'notes.pdf');
+});
+
+test('corrupt and oversized archives are rejected as invalid', async () => {
+    await assert.rejects(upload.openArchive('broken.zip', Buffer.from('PK not really')), /^Error: INVALID_PARAM: broken\.zip is not a valid ZIP archive/);
+
+    // Claim 4 GB unpacked in the central directory, like a zip bomb would
+    const bomb = await zipOf({ 'huge.vtt': VTT });
+    const central = bomb.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    bomb.writeUInt32LE(0xfffffff0, central + 24);
+    await assert.rejects(upload.openArchive('bomb.zip', bomb), /INVALID_PARAM: Archive unpacks to \d+ MB; the limit is 200 MB/);
+});
+
+test('an entry that inflates past its declared size is stopped, not trusted', async () => {
+    // Under-report the size instead, so the directory check passes
+    const honest = VTT.replace('Friday', 'Tuesday');
+    const liar = await zipOf({ 'liar.vtt': VTT, 'honest.vtt': honest });
+    const central = liar.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    liar.writeUInt32LE(10, central + 24);
+
+    assert.deepEqual((await upload.openArchive('liar.zip', liar)).map(f => f.declaredBytes), [10, Buffer.byteLength(honest)]);
+    const result = await upload.processArchiveUpload('liar.zip', liar);
+    assert.deepEqual(result.results.map(r => [r.path, r.success]), [['liar.vtt', false], ['honest.vtt', true]]);
+    assert.equal(result.results[0].error, 'Entry unpacks to more than the 10 bytes it declares');
+});
+
+test('storing a re-upload again after a partial failure keeps the version history intact', async () => {
+    const first = await upload.processTranscriptUpload('retry.vtt', Buffer.from(VTT.replace('Friday', 'Sunday')));
+    const { listVersions } = await import('./meeting-versions.js');
+
+    const newer = Buffer.from(VTT.replace('Friday', 'Saturday'));
+    const prepared = await upload.prepareMeeting('retry.vtt', await upload.parseUpload('retry.vtt', newer), { versionOf: first.meetingId });
+    await upload.storeMeeting(prepared, newer);
+    // The job retries the whole stage
+    await upload.storeMeeting(prepared, newer);
+
+    const { versions } = await listVersions(first.meetingId);
+    assert.deepEqual(versions.map(v => [v.version, v.current]), [[2, true], [1, false]]);
+});
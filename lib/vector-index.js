@@ -0,0 +1,139 @@
+/**
+ * Vector Index and Hybrid Retrieval
+ *
+ * One vector index per meeting: an embedding for every chunk, computed by the configured
+ * embedding provider (embeddings.js) when storage.saveChunks writes the meeting's chunks, and
+ * persisted by the storage backend next to the BM25 index (lexical-index.js). Meetings hold
+ * tens to a few hundred chunks, so a query is scored against every vector of the meeting.
+ *
+ * An index built with another provider or model is rebuilt on the next query, as is a missing one.
+ * fuseRankings() combines the keyword and vector rankings with reciprocal rank fusion.
+ */
+
+import { getEmbeddingProvider, normalizeVector } from './embeddings.js';
+import { chunkKey } from './lexical-index.js';
+
+export const VECTOR_INDEX_VERSION = 1;
+
+// Reciprocal rank fusion constant; 60 is the usual choice and keeps single-list outliers in check
+const RRF_K = 60;
+
+// Cross-meeting chat searches many meetings with one question; embed it once
+const QUERY_CACHE_SIZE = 50;
+const queryCache = new Map();
+
+function roundVector(vector) {
+    // Six decimals is far below what changes a ranking, and keeps stored indexes small
+    return vector.map(v => Math.round(v * 1e6) / 1e6);
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+async function embedQuery(provider, query) {
+    const key = `${provider.name}:${provider.model}:${query}`;
+    if (!queryCache.has(key)) {
+        // The pending embedding is cached, so meetings searched in parallel embed the query once
+        const pending = provider.embed([query]).then(([vector]) => normalizeVector(vector));
+        pending.catch(() => queryCache.get(key) === pending && queryCache.delete(key));
+        queryCache.set(key, pending);
+        if (queryCache.size > QUERY_CACHE_SIZE) queryCache.delete(queryCache.keys().next().value);
+    }
+    return queryCache.get(key);
+}
+
+function isCurrent(index, provider) {
+    return index && index.version === VECTOR_INDEX_VERSION && index.provider === provider.name && index.model === provider.model;
+}
+
+/**
+ * Embed one meeting's chunks.
+ */
+export async function buildVectorIndex(provider, meetingId, chunks) {
+    const vectors = await provider.embed(chunks.map(c => c.text || ''));
+    return {
+        meetingId,
+        version: VECTOR_INDEX_VERSION,
+        provider: provider.name,
+        model: provider.model,
+        dims: vectors[0]?.length || 0,
+        builtAt: new Date().toISOString(),
+        vectors: chunks.map((chunk, idx) => [chunkKey(chunk, idx), roundVector(normalizeVector(vectors[idx]))])
+    };
+}
+
+/**
+ * Called by storage.saveChunks. Embedding failures are logged, not thrown: the chunks are
+ * saved either way, and the index is rebuilt on the next query once the provider works.
+ */
+export async function indexChunkVectors(store, meetingId, chunks) {
+    try {
+        const provider = getEmbeddingProvider();
+        if (!provider) return;
+        await store.saveChunkVectors(await buildVectorIndex(provider, meetingId, chunks));
+    } catch (err) {
+        console.warn(`⚠️ Could not embed chunks for ${meetingId}: ${err.message}`);
+    }
+}
+
+/**
+ * Semantic retrieval for one meeting: cosine similarity between the query and every chunk.
+ * Chunks below the provider's minSimilarity are dropped. Returns [] when embeddings are off.
+ * `store` is the storage backend (getChunkVectors, saveChunkVectors, loadChunks).
+ */
+export async function searchChunksVector(store, query, meetingId, limit = 10) {
+    const provider = getEmbeddingProvider();
+    if (!provider) return [];
+
+    let index = await store.getChunkVectors(meetingId);
+    let chunks = null;
+
+    if (!isCurrent(index, provider)) {
+        chunks = await store.loadChunks(meetingId);
+        if (!chunks.length) return [];
+        index = await buildVectorIndex(provider, meetingId, chunks);
+        await store.saveChunkVectors(index);
+    }
+
+    const q = await embedQuery(provider, query);
+    const hits = index.vectors
+        .map(([key, vector]) => ({ key, similarity: dot(q, vector) }))
+        .filter(h => h.similarity >= provider.minSimilarity)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+    if (!hits.length) return [];
+
+    chunks = chunks || await store.loadChunks(meetingId);
+    const byKey = new Map(chunks.map((c, idx) => [chunkKey(c, idx), c]));
+    return hits
+        .filter(h => byKey.has(h.key))
+        .map(h => ({ ...byKey.get(h.key), score: Math.round(h.similarity * 1000) / 1000 }));
+}
+
+/**
+ * Reciprocal rank fusion of several best-first chunk lists, e.g. { keyword, semantic }.
+ * Each fused chunk keeps the per-list scores (`keywordScore`, `semanticScore`) and `matchedBy`.
+ */
+export function fuseRankings(lists, limit = 10) {
+    const fused = new Map();
+
+    for (const [name, results] of Object.entries(lists)) {
+        results.forEach((chunk, rank) => {
+            const key = chunk.chunkId || chunk.text;
+            const { score, ...rest } = chunk;
+            const entry = fused.get(key) || { ...rest, score: 0, matchedBy: [] };
+            entry.score += 1 / (RRF_K + rank + 1);
+            entry[`${name}Score`] = score;
+            entry.matchedBy.push(name);
+            fused.set(key, entry);
+        });
+    }
+
+    return [...fused.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(c => ({ ...c, score: Math.round(c.score * 10000) / 10000 }));
+}
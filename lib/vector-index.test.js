@@ -0,0 +1,69 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEmbeddingProvider, createFakeProvider, registerEmbeddingProvider } from './embeddings.js';
+import { buildVectorIndex, indexChunkVectors, searchChunksVector, fuseRankings, VECTOR_INDEX_VERSION } from './vector-index.js';
+
+const chunks = [
+    { chunkId: 'm#0001', text: 'Ravi is migrating the billing database to Postgres in June.' },
+    { chunkId: 'm#0002', text: 'The onboarding screens get a new colour palette.' },
+    { chunkId: 'm#0003', text: 'Lunch orders for the team offsite.' }
+];
+
+function memoryStore(stored) {
+    return {
+        saved: 0,
+        vectors: null,
+        async getChunkVectors() { return this.vectors; },
+        async saveChunkVectors(index) { this.saved++; this.vectors = index; },
+        async loadChunks() { return stored; }
+    };
+}
+
+afterEach(() => { delete process.env.EMBEDDING_PROVIDER; });
+
+test('embeddings are off by default and unknown providers are rejected', () => {
+    assert.equal(getEmbeddingProvider(), null);
+    assert.throws(() => getEmbeddingProvider('cloud'), /Unknown embedding provider "cloud"\. Available: local, fake, none/);
+});
+
+test('vector search ranks related chunks, drops weak matches and returns [] when embeddings are off', async () => {
+    const store = memoryStore(chunks);
+    assert.deepEqual(await searchChunksVector(store, 'postgres migrations', 'm'), []);
+
+    process.env.EMBEDDING_PROVIDER = 'fake';
+    const hits = await searchChunksVector(store, 'postgres migrations', 'm');
+    assert.equal(hits[0].chunkId, 'm#0001');
+    assert.ok(hits.every(h => h.score >= createFakeProvider().minSimilarity));
+    assert.ok(!hits.some(h => h.chunkId === 'm#0003'));
+    assert.equal(store.saved, 1);
+    assert.equal(store.vectors.version, VECTOR_INDEX_VERSION);
+});
+
+test('an index built by another model is rebuilt on the next search', async () => {
+    process.env.EMBEDDING_PROVIDER = 'fake';
+    const store = memoryStore(chunks);
+    store.vectors = await buildVectorIndex(createFakeProvider({ dims: 64 }), 'm', chunks);
+
+    await searchChunksVector(store, 'colour palette', 'm');
+    assert.equal(store.saved, 1);
+    assert.equal(store.vectors.model, 'hashed-256');
+});
+
+test('a failing provider does not stop chunks from being saved', async () => {
+    registerEmbeddingProvider('broken', () => ({ name: 'broken', model: 'x', async embed() { throw new Error('offline'); } }));
+    process.env.EMBEDDING_PROVIDER = 'broken';
+    const store = memoryStore(chunks);
+    await indexChunkVectors(store, 'm', chunks);
+    assert.equal(store.saved, 0);
+});
+
+test('reciprocal rank fusion favours chunks ranked well by both lists', () => {
+    const keyword = [{ chunkId: 'a', text: 'A', score: 7.1 }, { chunkId: 'b', text: 'B', score: 3.2 }];
+    const semantic = [{ chunkId: 'b', text: 'B', score: 0.8 }, { chunkId: 'c', text: 'C', score: 0.7 }];
+    const fused = fuseRankings({ keyword, semantic });
+
+    assert.deepEqual(fused.map(c => c.chunkId), ['b', 'a', 'c']);
+    assert.deepEqual(fused[0], { chunkId: 'b', text: 'B', score: 0.0325, matchedBy: ['keyword', 'semantic'], keywordScore: 3.2, semanticScore: 0.8 });
+    assert.deepEqual(fused[2].matchedBy, ['semantic']);
+    assert.equal(fuseRankings({ keyword, semantic }, 1).length, 1);
+});
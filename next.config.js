@@ -1,5 +1,11 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {}
+const nextConfig = {
+  experimental: {
+    // instrumentation.js starts scheduled work (retention) once per server
+    instrumentationHook: true,
+    // Optional native modules (SQLite storage backend, local embeddings); load them from node_modules at runtime
+    serverComponentsExternalPackages: ['better-sqlite3', '@huggingface/transformers']
+  }
+}
 
 export default nextConfig
-
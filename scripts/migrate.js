@@ -0,0 +1,46 @@
+/**
+ * Upgrade stored meetings to the current schema version (see lib/migrations.js).
+ *
+ *   npm run migrate -- --dry-run          show what would change, write nothing
+ *   npm run migrate                       migrate everything
+ *   npm run migrate -- --meeting <id>     migrate one meeting
+ *
+ * Uses the same storage settings as the app (.env.local, then .env).
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config({ path: '.env.local', quiet: true });
+dotenv.config({ quiet: true });
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const meetingIdx = args.indexOf('--meeting');
+const meetingId = meetingIdx !== -1 ? args[meetingIdx + 1] : null;
+
+// Imported after dotenv so config.js sees STORAGE_BACKEND, MONGO_URL, ...
+const { runMigrations } = await import('../lib/migrations.js');
+const { getBackendName } = await import('../lib/storage.js');
+
+console.log(`${dryRun ? '[dry run] ' : ''}Migrating ${meetingId || 'all meetings'} (storage: ${getBackendName()})`);
+
+try {
+    const report = await runMigrations({ dryRun, meetingId });
+
+    for (const m of report.meetings) {
+        if (m.status === 'error') {
+            console.log(`✗ ${m.meetingId}: ${m.error}`);
+        } else if (m.status === 'invalid') {
+            console.log(`✗ ${m.meetingId}: not migrated, ${m.problems.join('; ')}`);
+        } else {
+            console.log(`${dryRun ? '•' : '✓'} ${m.meetingId}: v${m.fromVersion} → v${m.toVersion} (${m.changedFields.join(', ') || 'no field changes'}; ${m.chunksMigrated} chunks)`);
+            m.steps.forEach(s => console.log(`    ${s}`));
+        }
+    }
+
+    console.log(`\nScanned ${report.scanned}: ${report.migrated} ${dryRun ? 'to migrate' : 'migrated'}, ${report.upToDate} up to date, ${report.failed} failed`);
+    process.exit(report.failed ? 1 : 0);
+} catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+}
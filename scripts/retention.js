@@ -0,0 +1,37 @@
+/**
+ * Apply the data retention rules (see lib/retention.js), e.g. from cron.
+ *
+ *   npm run retention -- --preview    list what would be purged, change nothing
+ *   npm run retention                 purge now
+ *
+ * Uses the same storage settings as the app (.env.local, then .env).
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config({ path: '.env.local', quiet: true });
+dotenv.config({ quiet: true });
+
+const preview = process.argv.includes('--preview');
+
+// Imported after dotenv so config.js sees STORAGE_BACKEND, RETENTION_POLICY_FILE, ...
+const { previewRetention, runRetention } = await import('../lib/retention.js');
+
+try {
+    if (preview) {
+        const { meetings } = await previewRetention();
+        for (const m of meetings) {
+            console.log(`• ${m.meetingId} (${m.ageDays} days, ${m.rules.join(', ')}): ${m.action === 'delete' ? 'delete meeting' : `purge ${m.targets.join(', ')}`}`);
+        }
+        console.log(`\n${meetings.length} meetings would be affected`);
+        process.exit(0);
+    }
+
+    const result = await runRetention();
+    result.failed.forEach(f => console.log(`✗ ${f.meetingId}: ${f.error}`));
+    console.log(`Purged ${result.purgedCount} meetings, ${result.failed.length} failed`);
+    process.exit(result.failed.length ? 1 : 0);
+} catch (error) {
+    console.error('Retention run failed:', error);
+    process.exit(1);
+}